@@ -1,20 +1,64 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { StatusBar } from 'expo-status-bar';
-import { StyleSheet, View, Text, TouchableOpacity, Image } from 'react-native';
+import { StyleSheet, View, Text, TouchableOpacity, Image, AppState, Alert } from 'react-native';
+import { GestureHandlerRootView } from 'react-native-gesture-handler';
 
 // Import screens
 import HomeScreen from './screens/HomeScreen';
 import HistoryScreen from './screens/HistoryScreen';
 import AddTimerScreen from './screens/AddTimerScreen';
+import SettingsScreen from './screens/SettingsScreen';
+
+// Import stored data migrations and damaged data recovery
+import { run_migrations, is_stored_data_newer } from './utils/migrations';
+import { check_stored_data } from './utils/data_recovery';
+import { purge_expired_trash } from './utils/trash';
+
+// Import storage context for backup restores
+import StorageContext from './contexts/StorageContext';
+import { enqueue_write, flush_pending_writes } from './utils/write_queue';
 
 // Import theme context
 import { ThemeProvider, use_theme } from './contexts/ThemeContext';
 
+// Import timer engine context
+import { TimerEngineProvider } from './contexts/TimerEngineContext';
+
+// Import settings context
+import { SettingsProvider } from './contexts/SettingsContext';
+
+// Import app-wide sound cues and spoken announcements
+import SoundCues from './components/SoundCues';
+import VoiceAnnouncements from './components/VoiceAnnouncements';
+
+// Import notifications for timers finishing in the background
+import CompletionNotifications from './components/CompletionNotifications';
+import { navigation_ref, flush_pending_navigation, navigate } from './utils/navigation';
+
 // Create bottom tab navigator
 const Tab = createBottomTabNavigator();
 
+/**
+ * Tells the user that damaged data was found at startup and what was recovered
+ * @param {Array<Object>} recovery_reports - Damaged data found by check_stored_data
+ */
+const show_recovery_prompt = (recovery_reports) => {
+  const details = recovery_reports
+    .map(({ label, salvaged_count }) => `${label}: ${salvaged_count} entries recovered`)
+    .join('\n');
+
+  Alert.alert(
+    'Some Data Was Damaged',
+    `Part of your saved data couldn't be read.\n\n${details}\n\nA copy of the damaged data has been kept. You can share or discard it in Settings.`,
+    [
+      { text: 'OK', style: 'cancel' },
+      { text: 'Open Settings', onPress: () => navigate('Settings') },
+    ]
+  );
+};
+
 /**
  * App content component that uses theme context
  * Contains navigation and header with theme support
@@ -23,7 +67,7 @@ function AppContent() {
   const { theme, is_dark_mode, toggle_theme } = use_theme();
 
   return (
-    <NavigationContainer>
+    <NavigationContainer ref={navigation_ref} onReady={flush_pending_navigation}>
       <View style={[styles.header, { backgroundColor: theme.background_secondary, borderBottomColor: theme.border_primary }]}>
         {/* Left spacer for balanced layout */}
         <View style={styles.header_left} />
@@ -85,25 +129,143 @@ function AppContent() {
             tabBarLabel: 'History',
           }}
         />
+        <Tab.Screen
+          name="Settings"
+          component={SettingsScreen}
+          options={{
+            tabBarLabel: 'Settings',
+          }}
+        />
       </Tab.Navigator>
+      <SoundCues />
+      <VoiceAnnouncements />
+      <CompletionNotifications />
       <StatusBar style={is_dark_mode ? "light" : "dark"} />
     </NavigationContainer>
   );
 }
 
 /**
- * Main App component with theme provider
- * Wraps the entire app with theme context
+ * Main App component with theme, settings and timer engine providers
+ * Wraps the entire app with theme context, settings and the shared timer engine
  */
 export default function App() {
+  // Stored data is checked and migrated before any provider or screen reads it
+  const [is_storage_ready, set_is_storage_ready] = useState(false);
+
+  // Data saved by a newer version of the app blocks the app until it is updated
+  const [is_update_required, set_is_update_required] = useState(false);
+
+  useEffect(() => {
+    const prepare_storage = async () => {
+      let recovery_reports = [];
+      try {
+        // Nothing may write to data this version can't read, not even recovery or migrations
+        if (await is_stored_data_newer()) {
+          console.warn('🗄️ Stored data is from a newer version of the app, not opening it');
+          set_is_update_required(true);
+          return;
+        }
+
+        // Damaged data is set aside first, so migrations only see readable data
+        recovery_reports = await check_stored_data();
+        await run_migrations();
+        await purge_expired_trash();
+      } catch (error) {
+        console.error('💥 Error preparing storage:', error);
+        Alert.alert(
+          'Storage Error',
+          'Your saved data couldn\'t be checked at startup. Some of it may not load, and it is left unchanged where it can\'t be read.',
+          [{ text: 'OK' }]
+        );
+      } finally {
+        set_is_storage_ready(true);
+      }
+
+      if (recovery_reports.length > 0) {
+        show_recovery_prompt(recovery_reports);
+      }
+    };
+    prepare_storage();
+  }, []);
+
+  // Writes still waiting are saved before the app can be suspended
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (next_app_state) => {
+      if (next_app_state !== 'active') {
+        flush_pending_writes();
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+
+  /**
+   * Unmounts the app, changes stored data, then mounts it again so everything reloads
+   * @param {function(): Promise<boolean>} change_stored_data - Writes the new data
+   * @returns {Promise<boolean>} - Result of the change
+   */
+  const replace_stored_data = async (change_stored_data) => {
+    set_is_storage_ready(false);
+    try {
+      // Let the unmount finish and earlier writes land first, so nothing saves over the new data
+      await new Promise(resolve => setTimeout(resolve, 0));
+      await flush_pending_writes();
+      return await enqueue_write(change_stored_data);
+    } finally {
+      set_is_storage_ready(true);
+    }
+  };
+
+  if (is_update_required) {
+    return (
+      <View style={styles.update_required}>
+        <Text style={styles.update_required_title}>Update Required</Text>
+        <Text style={styles.update_required_text}>
+          Your data was saved by a newer version of Health Flex. Update the app to keep using it - your data has been left untouched.
+        </Text>
+      </View>
+    );
+  }
+
+  if (!is_storage_ready) {
+    return null;
+  }
+
   return (
-    <ThemeProvider>
-      <AppContent />
-    </ThemeProvider>
+    <GestureHandlerRootView style={styles.gesture_root}>
+      <StorageContext.Provider value={{ replace_stored_data }}>
+        <ThemeProvider>
+          <SettingsProvider>
+            <TimerEngineProvider>
+              <AppContent />
+            </TimerEngineProvider>
+          </SettingsProvider>
+        </ThemeProvider>
+      </StorageContext.Provider>
+    </GestureHandlerRootView>
   );
 }
 
 const styles = StyleSheet.create({
+  gesture_root: {
+    flex: 1,
+  },
+  update_required: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 30,
+  },
+  update_required_title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 12,
+  },
+  update_required_text: {
+    fontSize: 16,
+    textAlign: 'center',
+    lineHeight: 22,
+  },
   header: {
     paddingTop: 50,
     paddingBottom: 15,
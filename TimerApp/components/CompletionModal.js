@@ -1,11 +1,14 @@
-import React from 'react';
-import { View, Text, Modal, TouchableOpacity, StyleSheet, Animated, Dimensions } from 'react-native';
+import React, { useState, useEffect } from 'react';
+import { View, Text, Modal, TouchableOpacity, StyleSheet, Animated, Dimensions, TextInput, KeyboardAvoidingView, Platform } from 'react-native';
 import { use_theme } from '../contexts/ThemeContext';
+import { SESSION_MOODS, SESSION_RATINGS, MAX_NOTE_LENGTH } from '../utils/history';
 
 const { width, height } = Dimensions.get('window');
 
 /**
  * CompletionModal component - Shows a celebratory modal when a timer completes
+ * Lets the user note how the session went; every button passes that reflection
+ * ({note, rating, mood}, unset fields empty) to its callback
  * @param {Object} props - Component props
  * @param {boolean} props.visible - Whether the modal is visible
  * @param {Object} props.timer_data - Timer data object with name, duration, category
@@ -22,6 +25,30 @@ export default function CompletionModal({
 }) {
   const { theme } = use_theme();
 
+  // How the session went, filled in by the user
+  const [note, set_note] = useState('');
+  const [rating, set_rating] = useState(null);
+  const [mood, set_mood] = useState(null);
+
+  // Start every completion with an empty reflection
+  useEffect(() => {
+    if (visible) {
+      set_note('');
+      set_rating(null);
+      set_mood(null);
+    }
+  }, [visible]);
+
+  /**
+   * Calls a button's callback with the reflection filled in so far
+   * @param {Function} callback - Callback of the pressed button
+   */
+  const handle_action = (callback) => {
+    if (callback) {
+      callback({ note, rating, mood });
+    }
+  };
+
   /**
    * Formats duration in seconds to MM:SS format
    * @param {number} seconds - Duration in seconds
@@ -38,9 +65,12 @@ export default function CompletionModal({
       animationType="fade"
       transparent={true}
       visible={visible}
-      onRequestClose={onClose}
+      onRequestClose={() => handle_action(onClose)}
     >
-      <View style={[styles.modal_overlay, { backgroundColor: theme.overlay }]}>
+      <KeyboardAvoidingView
+        style={[styles.modal_overlay, { backgroundColor: theme.overlay }]}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
         <View style={[styles.modal_container, { 
           backgroundColor: theme.background_primary,
           shadowColor: theme.shadow 
@@ -84,12 +114,57 @@ export default function CompletionModal({
             </Text>
           </View>
 
+          {/* Session Reflection */}
+          <View style={styles.reflection_container}>
+            <Text style={[styles.reflection_label, { color: theme.text_secondary }]}>How did it go? (optional)</Text>
+            <View style={styles.reflection_row}>
+              {SESSION_RATINGS.map((value) => (
+                <TouchableOpacity
+                  key={value}
+                  onPress={() => set_rating(rating === value ? null : value)}
+                  hitSlop={{ top: 6, bottom: 6, left: 4, right: 4 }}
+                >
+                  <Text style={[styles.rating_star, { color: rating && value <= rating ? theme.button_warning : theme.text_tertiary }]}>
+                    {rating && value <= rating ? '★' : '☆'}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <View style={styles.reflection_row}>
+              {SESSION_MOODS.map((emoji) => (
+                <TouchableOpacity
+                  key={emoji}
+                  style={[styles.mood_button, { 
+                    backgroundColor: mood === emoji ? theme.stats_background : 'transparent',
+                    borderColor: mood === emoji ? theme.button_primary : 'transparent'
+                  }]}
+                  onPress={() => set_mood(mood === emoji ? null : emoji)}
+                >
+                  <Text style={styles.mood_emoji}>{emoji}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <TextInput
+              style={[styles.note_input, { 
+                backgroundColor: theme.background_secondary,
+                borderColor: theme.border_primary,
+                color: theme.text_primary
+              }]}
+              value={note}
+              onChangeText={set_note}
+              placeholder="Add a note..."
+              placeholderTextColor={theme.text_tertiary}
+              maxLength={MAX_NOTE_LENGTH}
+              multiline
+            />
+          </View>
+
           {/* Action Buttons */}
           <View style={styles.buttons_container}>
             {/* Restart Timer Button */}
             <TouchableOpacity
               style={[styles.action_button, { backgroundColor: theme.button_success }]}
-              onPress={onRestart}
+              onPress={() => handle_action(onRestart)}
               activeOpacity={0.8}
             >
               <Text style={[styles.button_text, { color: theme.text_inverse }]}>🔄 Restart Timer</Text>
@@ -98,7 +173,7 @@ export default function CompletionModal({
             {/* View History Button */}
             <TouchableOpacity
               style={[styles.action_button, { backgroundColor: theme.button_primary }]}
-              onPress={onViewHistory}
+              onPress={() => handle_action(onViewHistory)}
               activeOpacity={0.8}
             >
               <Text style={[styles.button_text, { color: theme.text_inverse }]}>📊 View History</Text>
@@ -111,7 +186,7 @@ export default function CompletionModal({
                 borderWidth: 1,
                 borderColor: theme.border
               }]}
-              onPress={onClose}
+              onPress={() => handle_action(onClose)}
               activeOpacity={0.8}
             >
               <Text style={[styles.button_text, { color: theme.text_primary }]}>✨ Close</Text>
@@ -125,7 +200,7 @@ export default function CompletionModal({
             <Text style={styles.decoration_emoji}>✨</Text>
           </View>
         </View>
-      </View>
+      </KeyboardAvoidingView>
     </Modal>
   );
 }
@@ -212,6 +287,39 @@ const styles = StyleSheet.create({
     lineHeight: 22,
     fontStyle: 'italic',
   },
+  reflection_container: {
+    marginBottom: 20,
+    gap: 8,
+  },
+  reflection_label: {
+    fontSize: 14,
+    textAlign: 'center',
+  },
+  reflection_row: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 8,
+  },
+  rating_star: {
+    fontSize: 28,
+  },
+  mood_button: {
+    padding: 4,
+    borderRadius: 20,
+    borderWidth: 2,
+  },
+  mood_emoji: {
+    fontSize: 26,
+  },
+  note_input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 14,
+    minHeight: 44,
+    maxHeight: 90,
+    textAlignVertical: 'top',
+  },
   buttons_container: {
     gap: 12,
   },
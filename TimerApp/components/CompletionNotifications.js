@@ -0,0 +1,109 @@
+import { useEffect, useRef, useState } from 'react';
+import * as Notifications from 'expo-notifications';
+import { use_timer_engine } from '../contexts/TimerEngineContext';
+import { use_settings } from '../contexts/SettingsContext';
+import { get_projected_end } from '../utils/timer_engine';
+import { get_completion_sound, NO_SOUND } from '../utils/sound';
+import { navigate } from '../utils/navigation';
+import {
+  configure_notifications,
+  schedule_completion_notification,
+  cancel_completion_notification,
+  cancel_all_completion_notifications,
+  get_response_timer_id,
+} from '../utils/notifications';
+
+// Projected ends closer than this are the same end, so the notification is left alone
+const RESCHEDULE_TOLERANCE_MS = 1000;
+
+/**
+ * CompletionNotifications component - keeps a local notification scheduled for every running timer
+ * Follows the engine's run states, so starting, pausing, resetting or deleting a timer from
+ * anywhere (including bulk actions) reschedules or cancels its notification. Renders nothing
+ */
+const CompletionNotifications = () => {
+  const { run_states, get_timer_definition } = use_timer_engine();
+  const { settings } = use_settings();
+
+  // Whether stale notifications have been cleared and scheduling can start
+  const [is_ready, set_is_ready] = useState(false);
+
+  // Notification currently scheduled for each timer: { fire_at, with_sound }
+  const scheduled_ref = useRef({});
+
+  /**
+   * Opens the home screen on the timer a tapped notification belongs to
+   * @param {Object|null} response - Notification response from expo-notifications
+   */
+  const handle_notification_response = (response) => {
+    const timer_id = get_response_timer_id(response);
+    if (timer_id !== null) {
+      console.log(`🔔 Notification tapped for timer ${timer_id}`);
+      navigate('Home', { completed_timer_id: timer_id });
+    }
+  };
+
+  // Set up notifications, replacing anything scheduled by a previous launch
+  useEffect(() => {
+    const setup_notifications = async () => {
+      await configure_notifications();
+      await cancel_all_completion_notifications();
+      set_is_ready(true);
+    };
+    setup_notifications();
+
+    // The app may have been launched by tapping a notification
+    Notifications.getLastNotificationResponseAsync().then((response) => {
+      if (response) {
+        handle_notification_response(response);
+        Notifications.clearLastNotificationResponseAsync();
+      }
+    });
+
+    const subscription = Notifications.addNotificationResponseReceivedListener(handle_notification_response);
+    return () => subscription.remove();
+  }, []);
+
+  // Schedule, move or cancel each timer's notification as its run changes
+  useEffect(() => {
+    if (!is_ready) {
+      return;
+    }
+
+    const now = Date.now();
+    const timer_ids = new Set([...Object.keys(run_states), ...Object.keys(scheduled_ref.current)]);
+
+    timer_ids.forEach((timer_key) => {
+      const timer = get_timer_definition(timer_key);
+      const run_state = run_states[timer_key];
+      const scheduled = scheduled_ref.current[timer_key];
+
+      const projected_end = timer && run_state ? get_projected_end(run_state, timer) : null;
+      const fire_at = projected_end !== null && projected_end > now ? projected_end : null;
+      const with_sound = !!timer && settings.sound_enabled && get_completion_sound(timer) !== NO_SOUND;
+
+      if (fire_at === null) {
+        if (scheduled) {
+          // A notification whose time has come was shown and is left for the user to tap
+          if (scheduled.fire_at > now) {
+            cancel_completion_notification(timer_key);
+          }
+          delete scheduled_ref.current[timer_key];
+        }
+        return;
+      }
+
+      if (scheduled && Math.abs(scheduled.fire_at - fire_at) < RESCHEDULE_TOLERANCE_MS && scheduled.with_sound === with_sound) {
+        return;
+      }
+
+      // Scheduling under the same identifier replaces the previous notification
+      scheduled_ref.current[timer_key] = { fire_at, with_sound };
+      schedule_completion_notification(timer, fire_at, with_sound);
+    });
+  }, [run_states, is_ready, settings.sound_enabled]);
+
+  return null;
+};
+
+export default CompletionNotifications;
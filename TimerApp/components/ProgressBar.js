@@ -9,18 +9,23 @@ import { use_theme } from '../contexts/ThemeContext';
  * - color: string - Color of the progress bar (optional, defaults to theme primary)
  * - height: number - Height of the progress bar (optional, default 8)
  * - backgroundColor: string - Background color (optional, defaults to theme secondary background)
+ * - markers: number[] (0-1) - Positions of tick marks drawn over the bar (optional)
+ * - marker_color: string - Color of the tick marks (optional, defaults to theme secondary text)
  */
 export default function ProgressBar({ 
   progress, 
   color, 
   height = 8, 
-  background_color 
+  background_color,
+  markers = [],
+  marker_color
 }) {
   const { theme } = use_theme();
   
   // Use theme colors as defaults if not provided
   const progress_color = color || theme.button_primary;
   const bg_color = background_color || theme.background_secondary;
+  const tick_color = marker_color || theme.text_secondary;
   
   // Animated value for smooth progress transitions
   const animated_progress = useRef(new Animated.Value(0)).current;
@@ -58,6 +63,18 @@ export default function ProgressBar({
           },
         ]}
       />
+      {markers.map((marker) => (
+        <View
+          key={marker}
+          style={[
+            styles.marker,
+            {
+              left: `${Math.max(0, Math.min(1, marker)) * 100}%`,
+              backgroundColor: tick_color,
+            },
+          ]}
+        />
+      ))}
     </View>
   );
 }
@@ -73,4 +90,11 @@ const styles = StyleSheet.create({
     borderRadius: 4,
     minWidth: 2, // Minimum width for visibility
   },
+  marker: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    width: 2,
+    marginLeft: -1,
+  },
 }); 
\ No newline at end of file
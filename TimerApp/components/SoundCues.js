@@ -0,0 +1,93 @@
+import { useEffect, useRef } from 'react';
+import { use_timer_engine } from '../contexts/TimerEngineContext';
+import { use_settings } from '../contexts/SettingsContext';
+import { get_run_status, get_elapsed_ms } from '../utils/timer_engine';
+import { get_timer_phases, get_phase_at, is_count_up_timer } from '../utils/timer_types';
+import {
+  configure_audio,
+  play_sound,
+  get_completion_sound,
+  NO_SOUND,
+  COUNTDOWN_BEEP_SECONDS,
+} from '../utils/sound';
+
+/**
+ * SoundCues component - plays the sound cues of every timer
+ * Listens to the timer engine rather than to timer cards, so cues play for
+ * timers that are scrolled away or collapsed too. Renders nothing
+ */
+const SoundCues = () => {
+  const { run_states, now, subscribe_to_events, get_timer_definition } = use_timer_engine();
+  const { settings } = use_settings();
+
+  // Last countdown beep played for each timer, so each second only beeps once
+  const last_beeps_ref = useRef({});
+
+  // Apply the silent mode preference
+  useEffect(() => {
+    configure_audio(settings.play_in_silent_mode);
+  }, [settings.play_in_silent_mode]);
+
+  // Play start, transition and completion cues as the engine reports them
+  useEffect(() => {
+    /**
+     * Plays the cue for a batch of engine events; when several happened at once
+     * (e.g. while the app was in the background) only the most important plays
+     * @param {Object} timer - Timer definition the events belong to
+     * @param {Array<Object>} events - Events produced by the engine
+     */
+    const handle_run_events = (timer, events) => {
+      if (!settings.sound_enabled) {
+        return;
+      }
+
+      const completion_sound = get_completion_sound(timer);
+      const event_types = events.map(event => event.type);
+
+      if (event_types.includes('complete')) {
+        if (completion_sound !== NO_SOUND) {
+          play_sound(completion_sound, settings.sound_volume);
+        }
+      } else if (event_types.includes('phase_complete') || event_types.includes('round_complete')) {
+        if (completion_sound !== NO_SOUND) {
+          play_sound('transition', settings.sound_volume);
+        }
+      } else if (event_types.includes('start') && settings.start_sound_enabled) {
+        play_sound('start', settings.sound_volume);
+      }
+    };
+
+    return subscribe_to_events(handle_run_events);
+  }, [settings]);
+
+  // Beep during the last seconds before each phase of a timer reaches zero
+  useEffect(() => {
+    if (!settings.sound_enabled) {
+      return;
+    }
+
+    Object.entries(run_states).forEach(([timer_id, run_state]) => {
+      const timer = get_timer_definition(timer_id);
+      if (!timer || !timer.countdown_beeps || is_count_up_timer(timer) || get_run_status(run_state) !== 'running') {
+        return;
+      }
+
+      const { index, phase, phase_elapsed_ms } = get_phase_at(get_timer_phases(timer), get_elapsed_ms(run_state, now));
+      const remaining_ms = phase.duration * 1000 - phase_elapsed_ms;
+      const seconds_left = Math.ceil(remaining_ms / 1000);
+      if (remaining_ms <= 0 || !COUNTDOWN_BEEP_SECONDS.includes(seconds_left)) {
+        return;
+      }
+
+      const beep_key = `${run_state.started_at}:${run_state.round || 1}:${index}:${seconds_left}`;
+      if (last_beeps_ref.current[timer_id] !== beep_key) {
+        last_beeps_ref.current[timer_id] = beep_key;
+        play_sound('countdown', settings.sound_volume);
+      }
+    });
+  }, [run_states, now, settings]);
+
+  return null;
+};
+
+export default SoundCues;
@@ -1,7 +1,9 @@
-import React, { useRef, forwardRef, useImperativeHandle } from 'react';
+import React, { useRef } from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, Animated, PanResponder, Dimensions, Alert } from 'react-native';
 import Timer from './Timer';
 import { use_theme } from '../contexts/ThemeContext';
+import { use_timer_engine } from '../contexts/TimerEngineContext';
+import { TRASH_RETENTION_DAYS } from '../utils/trash';
 
 const { width: screenWidth } = Dimensions.get('window');
 const SWIPE_THRESHOLD = screenWidth * 0.3; // 30% of screen width
@@ -12,75 +14,51 @@ const SWIPE_THRESHOLD = screenWidth * 0.3; // 30% of screen width
  * @param {Object} props - Component props
  * @param {Object} props.timer - Timer object with id, name, duration, category, is_default
  * @param {Function} props.onComplete - Callback when timer completes
- * @param {Function} props.onDelete - Callback when timer is deleted
+ * @param {Function} props.onDelete - Callback with the timer ID and delete options when timer is deleted
  * @param {Function} props.onViewHistory - Callback when View History is pressed
- * @param {Object} ref - React ref for external control
+ * @param {Function} props.onTogglePin - Callback with the timer when its pin button is pressed
  */
-const SwipeableTimer = forwardRef(({ timer, onComplete, onDelete, onViewHistory }, ref) => {
+const SwipeableTimer = ({ timer, onComplete, onDelete, onViewHistory, onTogglePin }) => {
   const { theme } = use_theme();
+  const { is_timer_in_progress } = use_timer_engine();
   const translateX = useRef(new Animated.Value(0)).current;
   const lastOffset = useRef(0);
 
-  // Reference to the Timer component for forwarding methods
-  const timer_component_ref = useRef(null);
-
-  // Forward timer control methods to the Timer component
-  useImperativeHandle(ref, () => ({
-    start_timer: () => {
-      console.log(`🔄 SwipeableTimer: start_timer called for ${timer.name}, inner ref exists: ${!!timer_component_ref.current}`);
-      if (timer_component_ref.current) {
-        timer_component_ref.current.start_timer();
-      } else {
-        console.warn(`❌ SwipeableTimer: No timer_component_ref for ${timer.name}`);
-      }
-    },
-    pause_timer: () => {
-      console.log(`🔄 SwipeableTimer: pause_timer called for ${timer.name}, inner ref exists: ${!!timer_component_ref.current}`);
-      if (timer_component_ref.current) {
-        timer_component_ref.current.pause_timer();
-      } else {
-        console.warn(`❌ SwipeableTimer: No timer_component_ref for ${timer.name}`);
-      }
-    },
-    reset_timer: () => {
-      console.log(`🔄 SwipeableTimer: reset_timer called for ${timer.name}, inner ref exists: ${!!timer_component_ref.current}`);
-      if (timer_component_ref.current) {
-        timer_component_ref.current.reset_timer();
-      } else {
-        console.warn(`❌ SwipeableTimer: No timer_component_ref for ${timer.name}`);
-      }
-    },
-    get_timer_state: () => {
-      if (timer_component_ref.current) {
-        return timer_component_ref.current.get_timer_state();
-      }
-      return null;
-    }
-  }), [timer.name]);
-
   /**
    * Handles the delete action with confirmation
+   * A timer that is still running can keep its unfinished run in history
    */
   const handle_delete = () => {
+    const delete_timer = (options = {}) => {
+      if (onDelete) {
+        onDelete(timer.id, options);
+      }
+    };
+
+    const buttons = [
+      {
+        text: 'Cancel',
+        style: 'cancel',
+        onPress: () => reset_position(),
+      },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: () => delete_timer(),
+      },
+    ];
+
+    if (is_timer_in_progress(timer.id)) {
+      buttons.push({
+        text: 'Delete & Save Partial',
+        onPress: () => delete_timer({ save_partial: true }),
+      });
+    }
+
     Alert.alert(
       'Delete Timer',
-      `Are you sure you want to delete "${timer.name}"?`,
-      [
-        {
-          text: 'Cancel',
-          style: 'cancel',
-          onPress: () => reset_position(),
-        },
-        {
-          text: 'Delete',
-          style: 'destructive',
-          onPress: () => {
-            if (onDelete) {
-              onDelete(timer.id);
-            }
-          },
-        },
-      ]
+      `Are you sure you want to delete "${timer.name}"? It can be restored from the trash for ${TRASH_RETENTION_DAYS} days.`,
+      buttons
     );
   };
 
@@ -150,12 +128,21 @@ const SwipeableTimer = forwardRef(({ timer, onComplete, onDelete, onViewHistory
   if (timer.is_default) {
     return (
       <Timer
-        ref={timer_component_ref}
+        timer_id={timer.id}
         name={timer.name}
         duration={timer.duration}
         category={timer.category}
+        type={timer.type}
+        pomodoro={timer.pomodoro}
+        segments={timer.segments}
+        checkpoints={timer.checkpoints}
+        checkpoint_vibrate={timer.checkpoint_vibrate}
+        repeat_count={timer.repeat_count}
+        schedule={timer.schedule}
         onComplete={() => onComplete(timer.name)}
         onViewHistory={onViewHistory}
+        is_pinned={!!timer.pinned}
+        onTogglePin={onTogglePin ? () => onTogglePin(timer) : undefined}
       />
     );
   }
@@ -182,17 +169,26 @@ const SwipeableTimer = forwardRef(({ timer, onComplete, onDelete, onViewHistory
         {...panResponder.panHandlers}
       >
         <Timer
-          ref={timer_component_ref}
+          timer_id={timer.id}
           name={timer.name}
           duration={timer.duration}
           category={timer.category}
+          type={timer.type}
+          pomodoro={timer.pomodoro}
+          segments={timer.segments}
+          checkpoints={timer.checkpoints}
+          checkpoint_vibrate={timer.checkpoint_vibrate}
+          repeat_count={timer.repeat_count}
+          schedule={timer.schedule}
           onComplete={() => onComplete(timer.name)}
           onViewHistory={onViewHistory}
+          is_pinned={!!timer.pinned}
+          onTogglePin={onTogglePin ? () => onTogglePin(timer) : undefined}
         />
       </Animated.View>
     </View>
   );
-});
+};
 
 export default SwipeableTimer;
 
@@ -1,34 +1,111 @@
-import React, { useState, useEffect, useRef, forwardRef, useImperativeHandle } from 'react';
-import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import React, { useEffect, useRef } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Animated, Vibration, Alert } from 'react-native';
 import ProgressBar from './ProgressBar';
 import CompletionModal from './CompletionModal';
-import { add_timer_to_history } from '../utils/history';
 import { use_theme } from '../contexts/ThemeContext';
+import { use_timer_engine } from '../contexts/TimerEngineContext';
+import {
+  create_run_state,
+  get_run_status,
+  get_elapsed_ms,
+  get_remaining_seconds,
+  get_overtime_ms,
+  get_lap_durations,
+} from '../utils/timer_engine';
+import {
+  get_timer_phases,
+  get_total_duration,
+  get_phase_at,
+  format_phase_label,
+  is_count_up_timer,
+  get_repeat_count,
+  format_repeat_round,
+} from '../utils/timer_types';
+import { get_checkpoint_marks } from '../utils/checkpoints';
+import { has_active_schedule, get_next_start, format_schedule, format_next_start } from '../utils/schedule';
+import { save_session_reflection } from '../utils/history';
+
+// Number of most recent laps listed on a stopwatch card
+const VISIBLE_LAPS = 3;
+
+// Vibration pattern played when a checkpoint is reached
+const CHECKPOINT_VIBRATION_PATTERN = [0, 200, 100, 200];
 
 /**
  * Timer component - displays a countdown timer with start/pause/reset functionality
+ * Stopwatch timers count up instead, with lap and stop controls
  * Shows a celebratory completion modal when timer finishes
+ * The run itself lives in the timer engine, so the card only renders it and
+ * forwards the user's actions by timer ID
  * @param {Object} props - Component props
+ * @param {string} props.timer_id - ID of the timer in the timer engine
  * @param {string} props.name - Name/title of the timer
  * @param {number} props.duration - Duration in seconds
  * @param {string} props.category - Category of the timer (optional)
+ * @param {string} props.type - Timer type from TIMER_TYPES, defaults to a countdown (optional)
+ * @param {Object} props.pomodoro - Pomodoro settings for Pomodoro timers (optional)
+ * @param {Array} props.segments - Ordered segments for routine timers (optional)
+ * @param {Array} props.checkpoints - Checkpoints that alert during the run (optional)
+ * @param {boolean} props.checkpoint_vibrate - Whether checkpoints also vibrate the device (optional)
+ * @param {number} props.repeat_count - Rounds to run back to back, 0 to repeat until reset (optional)
+ * @param {Object} props.schedule - Auto-start schedule, shown with the next start (optional)
  * @param {Function} props.onComplete - Callback when timer reaches zero (optional)
  * @param {Function} props.onViewHistory - Callback when View History is pressed from modal (optional)
- * @param {Object} ref - React ref for external control
+ * @param {boolean} props.is_pinned - Whether the timer is pinned to the top of the home screen (optional)
+ * @param {Function} props.onTogglePin - Callback when the pin button is pressed, no button without it (optional)
  */
-const Timer = forwardRef(({ name, duration, category, onComplete, onViewHistory }, ref) => {
+const Timer = ({ timer_id, name, duration, category, type, pomodoro, segments, checkpoints, checkpoint_vibrate, repeat_count, schedule, onComplete, onViewHistory, is_pinned, onTogglePin }) => {
   // Get theme context
   const { theme } = use_theme();
-  
-  // State management for timer functionality
-  const [remaining_time, set_remaining_time] = useState(duration);
-  const [is_running, set_is_running] = useState(false);
-  
-  // State for completion modal
-  const [show_completion_modal, set_show_completion_modal] = useState(false);
 
-  // Ref to store the interval ID for cleanup
-  const interval_ref = useRef(null);
+  // Wall-clock run state from the timer engine - remaining time is always derived from it
+  const {
+    run_states,
+    now,
+    start_timer: start_engine_timer,
+    pause_timer: pause_engine_timer,
+    reset_timer: reset_engine_timer,
+    lap_timer: lap_engine_timer,
+    stop_timer: stop_engine_timer,
+    acknowledge_timer,
+    subscribe_to_events,
+  } = use_timer_engine();
+  const run_state = run_states[timer_id] || create_run_state();
+
+  // Drives the card pulse when a checkpoint is reached
+  const pulse_animation = useRef(new Animated.Value(0)).current;
+
+  // Definition used by the engine, and the phases it runs through
+  const timer_definition = { name, duration, category, type, pomodoro, segments, checkpoints, repeat_count };
+  const phases = get_timer_phases(timer_definition);
+  const total_duration = get_total_duration(timer_definition);
+  const is_multi_phase = phases.length > 1;
+  const is_stopwatch = is_count_up_timer(timer_definition);
+  const total_rounds = get_repeat_count(timer_definition);
+  const is_repeating = total_rounds !== 1;
+  const checkpoint_markers = total_duration > 0
+    ? get_checkpoint_marks(timer_definition).map(mark => mark / total_duration)
+    : [];
+
+  const status = get_run_status(run_state);
+  const is_running = status === 'running';
+  const is_overtime = status === 'overtime';
+  const overtime_seconds = Math.floor(get_overtime_ms(run_state, now) / 1000);
+  const remaining_time = get_remaining_seconds(run_state, total_duration, now);
+  const elapsed_time = Math.floor(get_elapsed_ms(run_state, now) / 1000);
+
+  // Position within the current phase, for timers made of several phases
+  const current_phase = get_phase_at(phases, get_elapsed_ms(run_state, now));
+  const phase_remaining_time = Math.max(
+    0,
+    Math.ceil((current_phase.phase.duration * 1000 - current_phase.phase_elapsed_ms) / 1000)
+  );
+
+  // Next time the timer starts on its own, if it has a schedule
+  const next_scheduled_start = has_active_schedule({ schedule }) ? get_next_start(schedule, Date.now()) : null;
+
+  // Completion modal stays up until the user dismisses it, even across app restarts
+  const show_completion_modal = status === 'completed' && !run_state.completion_acknowledged;
 
   /**
    * Formats time in seconds to MM:SS format
@@ -46,8 +123,17 @@ const Timer = forwardRef(({ name, duration, category, onComplete, onViewHistory
    * @returns {number} - Progress value between 0 and 1
    */
   const calculate_progress = () => {
-    if (duration === 0) return 0;
-    return Math.max(0, Math.min(1, (duration - remaining_time) / duration));
+    if (total_duration === 0) return 0;
+    return Math.max(0, Math.min(1, get_elapsed_ms(run_state, now) / (total_duration * 1000)));
+  };
+
+  /**
+   * Calculates the progress of the current phase (0 to 1)
+   * @returns {number} - Progress value between 0 and 1
+   */
+  const calculate_phase_progress = () => {
+    if (current_phase.phase.duration === 0) return 0;
+    return Math.max(0, Math.min(1, current_phase.phase_elapsed_ms / (current_phase.phase.duration * 1000)));
   };
 
   /**
@@ -55,7 +141,8 @@ const Timer = forwardRef(({ name, duration, category, onComplete, onViewHistory
    * @returns {string} - Color code for the current state
    */
   const get_state_color = () => {
-    if (remaining_time === 0) return theme.timer_completed; // Gray for completed
+    if (is_overtime) return theme.button_warning; // Warning color while running over
+    if (status === 'completed') return theme.timer_completed; // Gray for completed
     if (is_running) return theme.timer_running; // Green for running
     return theme.timer_paused; // Yellow for paused
   };
@@ -65,7 +152,8 @@ const Timer = forwardRef(({ name, duration, category, onComplete, onViewHistory
    * @returns {string} - State description text
    */
   const get_state_text = () => {
-    if (remaining_time === 0) return 'Completed';
+    if (is_overtime) return 'Overtime';
+    if (status === 'completed') return is_stopwatch ? 'Stopped' : 'Completed';
     if (is_running) return 'Running';
     return 'Paused';
   };
@@ -74,71 +162,146 @@ const Timer = forwardRef(({ name, duration, category, onComplete, onViewHistory
    * Starts the timer
    */
   const start_timer = () => {
-    if (remaining_time > 0) {
-      set_is_running(true);
-    }
+    start_engine_timer(timer_id);
   };
 
   /**
    * Pauses the timer
    */
   const pause_timer = () => {
-    set_is_running(false);
+    pause_engine_timer(timer_id);
+  };
+
+  /**
+   * Marks a lap on a running stopwatch
+   */
+  const lap_timer = () => {
+    lap_engine_timer(timer_id);
+  };
+
+  /**
+   * Stops a stopwatch and records the time it ran, or ends the timer's overtime
+   */
+  const stop_timer = () => {
+    stop_engine_timer(timer_id);
   };
 
   /**
    * Resets the timer to initial duration
+   * @param {Object} options - Reset options passed to the timer engine (optional)
+   */
+  const reset_timer = (options) => {
+    reset_engine_timer(timer_id, options);
+  };
+
+  /**
+   * Handles the reset button, offering to keep an unfinished run in history
+   */
+  const handle_reset_press = () => {
+    if ((status !== 'running' && status !== 'paused') || elapsed_time < 1) {
+      reset_timer();
+      return;
+    }
+
+    Alert.alert(
+      'Reset Timer',
+      `"${name}" hasn't finished yet. Save the ${format_time(elapsed_time)} so far to history as a partial session?`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: () => reset_timer(),
+        },
+        {
+          text: 'Save Partial',
+          onPress: () => reset_timer({ save_partial: true }),
+        },
+      ]
+    );
+  };
+
+  /**
+   * Pulses the card and optionally vibrates when a checkpoint is reached or a round ends
    */
-  const reset_timer = () => {
-    set_is_running(false);
-    set_remaining_time(duration);
-    set_show_completion_modal(false);
+  const trigger_checkpoint_alert = () => {
+    console.log(`📍 Timer "${name}" reached a checkpoint or finished a round`);
+
+    pulse_animation.setValue(0);
+    Animated.sequence([
+      Animated.timing(pulse_animation, { toValue: 1, duration: 200, useNativeDriver: true }),
+      Animated.timing(pulse_animation, { toValue: 0, duration: 200, useNativeDriver: true }),
+      Animated.timing(pulse_animation, { toValue: 1, duration: 200, useNativeDriver: true }),
+      Animated.timing(pulse_animation, { toValue: 0, duration: 200, useNativeDriver: true }),
+    ]).start();
+
+    if (checkpoint_vibrate) {
+      Vibration.vibrate(CHECKPOINT_VIBRATION_PATTERN);
+    }
   };
 
   /**
-   * Handles timer completion
+   * Alerts on checkpoints and completion of this timer reported by the engine
+   * @param {Object} timer - Timer definition the events belong to
+   * @param {Array<Object>} events - Events produced by the engine
    */
-  const handle_timer_complete = async () => {
-    console.log(`🎉 Timer "${name}" completed! Adding to history...`);
-    
-    set_is_running(false);
-    set_show_completion_modal(true);
-    
-    // Add completed timer to history with comprehensive data
-    try {
-      console.log(`📊 Calling add_timer_to_history with:`, { name, duration, category });
-      const success = await add_timer_to_history(name, duration, category);
-      if (success) {
-        console.log(`✅ Successfully added "${name}" to history`);
-      } else {
-        console.warn(`❌ Failed to save "${name}" to history - storage issue`);
-        // Note: We don't show user error here to avoid disrupting celebration
-        // History will be available on next app launch via storage recovery
-      }
-    } catch (error) {
-      console.error('💥 Error adding timer to history:', error);
-      // Silent fail - don't interrupt user celebration with technical errors
-      // History system is supplementary, not critical to timer functionality
+  const handle_run_events = (timer, events) => {
+    if (timer.id !== timer_id) {
+      return;
     }
-    
+
+    const is_complete = events.some(event => event.type === 'complete');
+
+    // Checkpoints and rounds passed on the way to completion (e.g. while backgrounded) are not worth an alert
+    if (!is_complete && events.some(event => event.type === 'checkpoint' || event.type === 'round_complete')) {
+      trigger_checkpoint_alert();
+    }
+
     // Call the original onComplete callback if provided
-    if (onComplete) {
+    if (is_complete && onComplete) {
       onComplete();
     }
   };
 
+  // Latest handler, so the subscription sees new props without resubscribing on every render
+  const handle_run_events_ref = useRef(handle_run_events);
+  handle_run_events_ref.current = handle_run_events;
+
+  // Listen for this timer's events while the card is mounted
+  useEffect(() => {
+    return subscribe_to_events((timer, events) => handle_run_events_ref.current(timer, events));
+  }, [timer_id]);
+
+  /**
+   * Saves the note, rating and mood entered in the completion modal onto the run's history entry
+   * @param {Object} reflection - Reflection passed by CompletionModal
+   * @returns {Promise<boolean>} - Success status
+   */
+  const save_reflection = async (reflection) => {
+    if (run_state.completed_at === null) {
+      return false;
+    }
+    return await save_session_reflection({ id: timer_id, name }, run_state.completed_at, reflection);
+  };
+
   /**
    * Handles closing the completion modal
+   * @param {Object} reflection - Reflection entered in the modal
    */
-  const handle_modal_close = () => {
-    set_show_completion_modal(false);
+  const handle_modal_close = (reflection) => {
+    save_reflection(reflection);
+    acknowledge_timer(timer_id);
   };
 
   /**
    * Handles restarting timer from completion modal
+   * @param {Object} reflection - Reflection entered in the modal
    */
-  const handle_modal_restart = () => {
-    set_show_completion_modal(false);
+  const handle_modal_restart = (reflection) => {
+    save_reflection(reflection);
     reset_timer();
     // Small delay to ensure modal closes before restarting
     setTimeout(() => {
@@ -148,93 +311,55 @@ const Timer = forwardRef(({ name, duration, category, onComplete, onViewHistory
 
   /**
    * Handles view history action from completion modal
+   * @param {Object} reflection - Reflection entered in the modal
    */
-  const handle_modal_view_history = () => {
-    set_show_completion_modal(false);
+  const handle_modal_view_history = async (reflection) => {
+    acknowledge_timer(timer_id);
+    // The history screen loads when it opens, so the reflection has to be saved first
+    await save_reflection(reflection);
     if (onViewHistory) {
       onViewHistory();
     }
   };
 
-  // Effect to handle countdown logic
-  useEffect(() => {
-    if (is_running && remaining_time > 0) {
-      interval_ref.current = setInterval(() => {
-        set_remaining_time(prev_time => {
-          if (prev_time <= 1) {
-            // Timer completed - stop running and trigger completion
-            set_is_running(false);
-            // Call completion handler directly to avoid race conditions
-            setTimeout(() => {
-              handle_timer_complete();
-            }, 50);
-            return 0;
-          }
-          return prev_time - 1;
-        });
-      }, 1000);
-    } else {
-      // Clear interval when paused or completed
-      if (interval_ref.current) {
-        clearInterval(interval_ref.current);
-        interval_ref.current = null;
-      }
-    }
-
-    // Cleanup on unmount
-    return () => {
-      if (interval_ref.current) {
-        clearInterval(interval_ref.current);
-      }
-    };
-  }, [is_running, remaining_time]);
-
-  // Expose methods for external control (bulk actions)
-  useImperativeHandle(ref, () => ({
-    start_timer: () => {
-      console.log(`⏰ Timer ${name}: start_timer called, remaining_time: ${remaining_time}, is_running: ${is_running}`);
-      if (remaining_time > 0 && !is_running) {
-        console.log(`▶️ Timer ${name}: Starting timer`);
-        set_is_running(true);
-      } else {
-        console.log(`⚠️ Timer ${name}: Cannot start - remaining_time: ${remaining_time}, is_running: ${is_running}`);
-      }
-    },
-    pause_timer: () => {
-      console.log(`⏰ Timer ${name}: pause_timer called, is_running: ${is_running}`);
-      if (is_running) {
-        console.log(`⏸️ Timer ${name}: Pausing timer`);
-        set_is_running(false);
-      } else {
-        console.log(`⚠️ Timer ${name}: Cannot pause - not running`);
-      }
-    },
-    reset_timer: () => {
-      console.log(`⏰ Timer ${name}: reset_timer called`);
-      console.log(`🔄 Timer ${name}: Resetting timer`);
-      set_is_running(false);
-      set_remaining_time(duration);
-      set_show_completion_modal(false);
-    },
-    get_timer_state: () => ({
-      is_running,
-      remaining_time,
-      progress: calculate_progress()
-    })
-  }), [is_running, remaining_time, duration, name]);
-
   // Prepare timer data for the completion modal
   const timer_data = {
     name,
-    duration,
+    duration: is_stopwatch ? elapsed_time : total_duration,
     category
   };
 
+  // Most recent laps first, including the lap in progress
+  const visible_laps = is_stopwatch && run_state.laps && run_state.laps.length > 0
+    ? get_lap_durations(run_state, now)
+        .map((lap_ms, index) => ({ number: index + 1, seconds: Math.floor(lap_ms / 1000) }))
+        .reverse()
+        .slice(0, VISIBLE_LAPS + 1)
+    : [];
+
+  // Card grows slightly and its border lights up while pulsing
+  const pulse_style = {
+    transform: [{
+      scale: pulse_animation.interpolate({ inputRange: [0, 1], outputRange: [1, 1.03] }),
+    }],
+  };
+
   return (
-    <View style={[styles.container, { 
+    <Animated.View style={[styles.container, pulse_style, { 
       backgroundColor: theme.card_background,
       shadowColor: theme.shadow_color 
     }]}>
+      <Animated.View
+        pointerEvents="none"
+        style={[styles.pulse_overlay, { borderColor: theme.button_warning, opacity: pulse_animation }]}
+      />
+      {/* Pin Button */}
+      {onTogglePin && (
+        <TouchableOpacity style={styles.pin_button} onPress={onTogglePin} hitSlop={8}>
+          <Text style={[styles.pin_icon, !is_pinned && styles.pin_icon_unpinned]}>📌</Text>
+        </TouchableOpacity>
+      )}
+
       {/* Timer Header */}
       <View style={styles.header}>
         <Text style={[styles.timer_name, { color: theme.text_primary }]}>{name}</Text>
@@ -245,18 +370,53 @@ const Timer = forwardRef(({ name, duration, category, onComplete, onViewHistory
         )}
       </View>
 
+      {/* Upcoming Scheduled Start */}
+      {next_scheduled_start !== null && (
+        <Text style={[styles.schedule_text, { color: theme.text_secondary }]}>
+          ⏰ {format_schedule(schedule)} · Next: {format_next_start(next_scheduled_start)}
+        </Text>
+      )}
+
+      {/* Repeat Round */}
+      {is_repeating && (
+        <Text style={[styles.round_text, { color: theme.text_secondary }]}>
+          🔁 {format_repeat_round(run_state.round || 1, total_rounds)}
+        </Text>
+      )}
+
+      {/* Current Phase */}
+      {is_multi_phase && (
+        <View style={styles.phase_container}>
+          <Text style={[styles.phase_text, { color: theme.text_secondary }]}>
+            {format_phase_label(current_phase.phase)}
+          </Text>
+          <ProgressBar 
+            progress={calculate_phase_progress()} 
+            color={theme.button_primary}
+            height={4}
+            background_color={theme.border_secondary}
+          />
+        </View>
+      )}
+
       {/* Progress Bar */}
       <View style={styles.progress_container}>
-        <ProgressBar 
-          progress={calculate_progress()} 
-          color={get_state_color()}
-          height={8}
-          background_color={theme.border_secondary}
-        />
+        {!is_stopwatch && (
+          <ProgressBar 
+            progress={calculate_progress()} 
+            color={get_state_color()}
+            height={8}
+            background_color={theme.border_secondary}
+            markers={checkpoint_markers}
+            marker_color={theme.text_primary}
+          />
+        )}
         <View style={styles.progress_info}>
-          <Text style={[styles.progress_percentage, { color: get_state_color() }]}>
-            {Math.round(calculate_progress() * 100)}%
-          </Text>
+          {!is_stopwatch && (
+            <Text style={[styles.progress_percentage, { color: get_state_color() }]}>
+              {Math.round(calculate_progress() * 100)}%
+            </Text>
+          )}
           <View style={styles.state_indicator}>
             <View style={[styles.state_dot, { backgroundColor: get_state_color() }]} />
             <Text style={[styles.state_text, { color: get_state_color() }]}>
@@ -268,33 +428,88 @@ const Timer = forwardRef(({ name, duration, category, onComplete, onViewHistory
 
       {/* Timer Display */}
       <View style={styles.time_display}>
-        <Text style={[styles.time_text, { color: theme.button_primary }]}>{format_time(remaining_time)}</Text>
+        {is_overtime ? (
+          <>
+            <Text style={[styles.time_text, { color: theme.button_warning }]}>
+              +{format_time(overtime_seconds)}
+            </Text>
+            <Text style={[styles.total_time_text, { color: theme.text_secondary }]}>
+              Time's up - counting overtime
+            </Text>
+          </>
+        ) : (
+          <Text style={[styles.time_text, { color: theme.button_primary }]}>
+            {format_time(is_stopwatch ? elapsed_time : is_multi_phase ? phase_remaining_time : remaining_time)}
+          </Text>
+        )}
+        {is_multi_phase && !is_overtime && (
+          <Text style={[styles.total_time_text, { color: theme.text_secondary }]}>
+            {format_time(remaining_time)} left overall
+          </Text>
+        )}
       </View>
 
+      {/* Stopwatch Laps */}
+      {visible_laps.length > 0 && (
+        <View style={styles.laps_container}>
+          {visible_laps.map((lap) => (
+            <View key={lap.number} style={styles.lap_row}>
+              <Text style={[styles.lap_label, { color: theme.text_secondary }]}>Lap {lap.number}</Text>
+              <Text style={[styles.lap_time, { color: theme.text_primary }]}>{format_time(lap.seconds)}</Text>
+            </View>
+          ))}
+        </View>
+      )}
+
       {/* Control Buttons */}
       <View style={styles.controls}>
-        {!is_running ? (
+        {is_overtime ? (
+          <TouchableOpacity 
+            style={[styles.button, { backgroundColor: theme.button_secondary }]} 
+            onPress={stop_timer}
+          >
+            <Text style={[styles.button_text, { color: theme.text_inverse }]}>Stop</Text>
+          </TouchableOpacity>
+        ) : !is_running ? (
           <TouchableOpacity 
-            style={[styles.button, { backgroundColor: theme.button_success }]} 
+            style={[styles.button, is_stopwatch && styles.compact_button, { backgroundColor: theme.button_success }]} 
             onPress={start_timer}
-            disabled={remaining_time === 0}
+            disabled={status === 'completed'}
           >
             <Text style={[styles.button_text, { color: theme.text_inverse }]}>
-              {remaining_time === 0 ? 'Completed' : 'Start'}
+              {status === 'completed' ? 'Completed' : 'Start'}
             </Text>
           </TouchableOpacity>
         ) : (
           <TouchableOpacity 
-            style={[styles.button, { backgroundColor: theme.button_warning }]} 
+            style={[styles.button, is_stopwatch && styles.compact_button, { backgroundColor: theme.button_warning }]} 
             onPress={pause_timer}
           >
             <Text style={[styles.button_text, { color: theme.text_inverse }]}>Pause</Text>
           </TouchableOpacity>
         )}
+
+        {is_stopwatch && is_running && (
+          <TouchableOpacity 
+            style={[styles.button, styles.compact_button, { backgroundColor: theme.button_primary }]} 
+            onPress={lap_timer}
+          >
+            <Text style={[styles.button_text, { color: theme.text_inverse }]}>Lap</Text>
+          </TouchableOpacity>
+        )}
+
+        {is_stopwatch && (status === 'running' || status === 'paused') && (
+          <TouchableOpacity 
+            style={[styles.button, styles.compact_button, { backgroundColor: theme.button_secondary }]} 
+            onPress={stop_timer}
+          >
+            <Text style={[styles.button_text, { color: theme.text_inverse }]}>Stop</Text>
+          </TouchableOpacity>
+        )}
         
         <TouchableOpacity 
-          style={[styles.button, { backgroundColor: theme.button_danger }]} 
-          onPress={reset_timer}
+          style={[styles.button, is_stopwatch && styles.compact_button, { backgroundColor: theme.button_danger }]} 
+          onPress={handle_reset_press}
         >
           <Text style={[styles.button_text, { color: theme.text_inverse }]}>Reset</Text>
         </TouchableOpacity>
@@ -308,9 +523,9 @@ const Timer = forwardRef(({ name, duration, category, onComplete, onViewHistory
         onRestart={handle_modal_restart}
         onViewHistory={handle_modal_view_history}
       />
-    </View>
+    </Animated.View>
   );
-});
+};
 
 const styles = StyleSheet.create({
   container: {
@@ -326,6 +541,23 @@ const styles = StyleSheet.create({
     shadowRadius: 4,
     elevation: 3,
   },
+  pulse_overlay: {
+    ...StyleSheet.absoluteFillObject,
+    borderRadius: 12,
+    borderWidth: 2,
+  },
+  pin_button: {
+    position: 'absolute',
+    top: 12,
+    left: 12,
+    zIndex: 1,
+  },
+  pin_icon: {
+    fontSize: 18,
+  },
+  pin_icon_unpinned: {
+    opacity: 0.3,
+  },
   header: {
     alignItems: 'center',
     marginBottom: 15,
@@ -345,6 +577,25 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: '600',
   },
+  schedule_text: {
+    fontSize: 12,
+    marginBottom: 8,
+  },
+  round_text: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  phase_container: {
+    width: '100%',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  phase_text: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 6,
+  },
   progress_container: {
     width: '100%',
     marginBottom: 15,
@@ -385,6 +636,29 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     fontFamily: 'monospace',
   },
+  total_time_text: {
+    fontSize: 13,
+    textAlign: 'center',
+    marginTop: 2,
+  },
+  laps_container: {
+    width: '100%',
+    marginBottom: 12,
+    paddingHorizontal: 20,
+  },
+  lap_row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 2,
+  },
+  lap_label: {
+    fontSize: 13,
+  },
+  lap_time: {
+    fontSize: 13,
+    fontWeight: '600',
+    fontFamily: 'monospace',
+  },
   controls: {
     flexDirection: 'row',
     gap: 15,
@@ -396,6 +670,10 @@ const styles = StyleSheet.create({
     minWidth: 80,
     alignItems: 'center',
   },
+  compact_button: {
+    paddingHorizontal: 12,
+    minWidth: 64,
+  },
   button_text: {
     fontSize: 16,
     fontWeight: 'bold',
@@ -0,0 +1,448 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { use_theme } from '../contexts/ThemeContext';
+import { TIMER_TYPES, get_timer_type } from '../utils/timer_types';
+import { format_duration } from '../utils/history';
+import {
+  share_timer_export,
+  pick_timer_import_file,
+  parse_timer_import,
+  find_duplicate_timers,
+  prepare_imported_timers,
+} from '../utils/timer_transfer';
+
+/**
+ * Describes a timer in one line for the export and import lists
+ * @param {Object} timer - Timer definition
+ * @returns {string} - Category, type and duration
+ */
+const describe_timer = (timer) => {
+  const timer_type = get_timer_type(timer);
+  if (timer_type === TIMER_TYPES.STOPWATCH) {
+    return `${timer.category} · Stopwatch`;
+  }
+  if (timer_type === TIMER_TYPES.COUNTDOWN) {
+    return `${timer.category} · ${format_duration(timer.duration)}`;
+  }
+  const type_label = timer_type.charAt(0).toUpperCase() + timer_type.slice(1);
+  return `${timer.category} · ${type_label} · ${format_duration(timer.duration)}`;
+};
+
+/**
+ * TimerTransferModal component - exports timers to a JSON file or imports them from one
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the modal is visible
+ * @param {string} props.mode - 'export' or 'import'
+ * @param {Array<Object>} props.timers - Timers currently saved
+ * @param {Function} props.onClose - Callback when the modal is closed
+ * @param {Function} props.onImport - Callback with the timers to add once an import is confirmed
+ */
+export default function TimerTransferModal({ visible, mode, timers, onClose, onImport }) {
+  const { theme } = use_theme();
+
+  // Only custom timers can be exported; the defaults exist on every phone
+  const custom_timers = timers.filter(timer => !timer.is_default);
+
+  // Export state
+  const [selected_ids, set_selected_ids] = useState([]);
+
+  // Import state
+  const [pasted_text, set_pasted_text] = useState('');
+  const [import_preview, set_import_preview] = useState(null);
+  const [is_busy, set_is_busy] = useState(false);
+
+  // Start from a clean slate every time the modal opens
+  useEffect(() => {
+    if (visible) {
+      set_selected_ids(custom_timers.map(timer => timer.id));
+      set_pasted_text('');
+      set_import_preview(null);
+      set_is_busy(false);
+    }
+  }, [visible, mode]);
+
+  /**
+   * Selects or unselects a timer for export
+   * @param {string|number} timer_id - ID of the timer
+   */
+  const toggle_selected = (timer_id) => {
+    set_selected_ids(prev => (
+      prev.includes(timer_id) ? prev.filter(id => id !== timer_id) : [...prev, timer_id]
+    ));
+  };
+
+  /**
+   * Shares the selected timers as an export file
+   */
+  const handle_export = async () => {
+    const selected_timers = custom_timers.filter(timer => selected_ids.includes(timer.id));
+    set_is_busy(true);
+    const success = await share_timer_export(selected_timers);
+    set_is_busy(false);
+
+    if (success) {
+      onClose();
+    } else {
+      Alert.alert('Export Failed', 'The timers could not be exported. Please try again.');
+    }
+  };
+
+  /**
+   * Reads an import and shows what it would add
+   * @param {string} json_text - Exported JSON
+   */
+  const preview_import = (json_text) => {
+    try {
+      const { timers: imported_timers, errors } = parse_timer_import(json_text);
+      const { new_timers, duplicate_timers } = find_duplicate_timers(imported_timers, timers);
+      set_import_preview({ new_timers, duplicate_timers, errors });
+    } catch (error) {
+      Alert.alert('Import Error', error.message);
+    }
+  };
+
+  /**
+   * Lets the user pick an export file and previews it
+   */
+  const handle_choose_file = async () => {
+    try {
+      set_is_busy(true);
+      const file_text = await pick_timer_import_file();
+      if (file_text !== null) {
+        preview_import(file_text);
+      }
+    } catch (error) {
+      console.error('📥 Error reading import file:', error);
+      Alert.alert('Import Error', 'The file could not be read.');
+    } finally {
+      set_is_busy(false);
+    }
+  };
+
+  /**
+   * Adds the new timers from the preview
+   */
+  const handle_confirm_import = () => {
+    const timers_to_add = prepare_imported_timers(import_preview.new_timers);
+    console.log(`📥 Importing ${timers_to_add.length} timers`);
+    onImport(timers_to_add);
+    onClose();
+  };
+
+  /**
+   * Renders one timer row, with a checkbox when it can be selected
+   * @param {Object} timer - Timer definition
+   * @param {boolean|null} is_selected - Selection state, null for rows that can't be selected
+   * @param {string|number} row_key - Key of the row, imported timers have no ID yet
+   */
+  const render_timer_row = (timer, is_selected = null, row_key = timer.id) => {
+    const row_content = (
+      <>
+        {is_selected !== null && (
+          <Text style={[styles.checkbox, { color: theme.button_primary }]}>{is_selected ? '☑️' : '⬜'}</Text>
+        )}
+        <View style={styles.timer_row_text}>
+          <Text style={[styles.timer_name, { color: theme.text_primary }]}>{timer.name}</Text>
+          <Text style={[styles.timer_details, { color: theme.text_secondary }]}>{describe_timer(timer)}</Text>
+        </View>
+      </>
+    );
+
+    if (is_selected === null) {
+      return (
+        <View key={row_key} style={[styles.timer_row, { borderBottomColor: theme.border_primary }]}>
+          {row_content}
+        </View>
+      );
+    }
+
+    return (
+      <TouchableOpacity
+        key={timer.id}
+        style={[styles.timer_row, { borderBottomColor: theme.border_primary }]}
+        onPress={() => toggle_selected(timer.id)}
+      >
+        {row_content}
+      </TouchableOpacity>
+    );
+  };
+
+  /**
+   * Renders the list of custom timers to pick for export
+   */
+  const render_export = () => (
+    <>
+      <Text style={[styles.title, { color: theme.text_primary }]}>📤 Export Timers</Text>
+      {custom_timers.length === 0 ? (
+        <Text style={[styles.message, { color: theme.text_secondary }]}>
+          You have no custom timers to export yet.
+        </Text>
+      ) : (
+        <>
+          <View style={styles.select_row}>
+            <TouchableOpacity onPress={() => set_selected_ids(custom_timers.map(timer => timer.id))}>
+              <Text style={[styles.link_text, { color: theme.button_primary }]}>Select All</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => set_selected_ids([])}>
+              <Text style={[styles.link_text, { color: theme.button_primary }]}>Select None</Text>
+            </TouchableOpacity>
+          </View>
+          <ScrollView style={styles.list}>
+            {custom_timers.map(timer => render_timer_row(timer, selected_ids.includes(timer.id)))}
+          </ScrollView>
+        </>
+      )}
+      <View style={styles.button_row}>
+        <TouchableOpacity
+          style={[styles.button, { borderColor: theme.border_primary, borderWidth: 1 }]}
+          onPress={onClose}
+        >
+          <Text style={[styles.button_text, { color: theme.text_primary }]}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.button, { backgroundColor: theme.button_primary, opacity: selected_ids.length === 0 || is_busy ? 0.5 : 1 }]}
+          onPress={handle_export}
+          disabled={selected_ids.length === 0 || is_busy}
+        >
+          <Text style={[styles.button_text, { color: theme.text_inverse }]}>Export ({selected_ids.length})</Text>
+        </TouchableOpacity>
+      </View>
+    </>
+  );
+
+  /**
+   * Renders the file picker and paste box of an import
+   */
+  const render_import_source = () => (
+    <>
+      <Text style={[styles.title, { color: theme.text_primary }]}>📥 Import Timers</Text>
+      <TouchableOpacity
+        style={[styles.wide_button, { backgroundColor: theme.button_primary }]}
+        onPress={handle_choose_file}
+        disabled={is_busy}
+      >
+        <Text style={[styles.button_text, { color: theme.text_inverse }]}>📁 Choose File</Text>
+      </TouchableOpacity>
+      <Text style={[styles.message, { color: theme.text_secondary }]}>or paste the exported text</Text>
+      <TextInput
+        style={[styles.paste_input, {
+          backgroundColor: theme.background_secondary,
+          borderColor: theme.border_primary,
+          color: theme.text_primary
+        }]}
+        value={pasted_text}
+        onChangeText={set_pasted_text}
+        placeholder='{"format": "health_flex_timers", ...}'
+        placeholderTextColor={theme.text_tertiary}
+        autoCapitalize="none"
+        autoCorrect={false}
+        multiline
+      />
+      <View style={styles.button_row}>
+        <TouchableOpacity
+          style={[styles.button, { borderColor: theme.border_primary, borderWidth: 1 }]}
+          onPress={onClose}
+        >
+          <Text style={[styles.button_text, { color: theme.text_primary }]}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.button, { backgroundColor: theme.button_primary, opacity: pasted_text.trim() ? 1 : 0.5 }]}
+          onPress={() => preview_import(pasted_text)}
+          disabled={!pasted_text.trim()}
+        >
+          <Text style={[styles.button_text, { color: theme.text_inverse }]}>Preview</Text>
+        </TouchableOpacity>
+      </View>
+    </>
+  );
+
+  /**
+   * Renders what an import will add and what it will skip
+   */
+  const render_import_preview = () => {
+    const { new_timers, duplicate_timers, errors } = import_preview;
+    return (
+      <>
+        <Text style={[styles.title, { color: theme.text_primary }]}>📥 Import Preview</Text>
+        <ScrollView style={styles.list}>
+          <Text style={[styles.list_heading, { color: theme.button_success }]}>
+            {new_timers.length} timer{new_timers.length !== 1 ? 's' : ''} will be added
+          </Text>
+          {new_timers.map((timer, index) => render_timer_row(timer, null, `new_${index}`))}
+
+          {duplicate_timers.length > 0 && (
+            <>
+              <Text style={[styles.list_heading, { color: theme.button_warning }]}>
+                Skipped - already exist ({duplicate_timers.length})
+              </Text>
+              {duplicate_timers.map((timer, index) => render_timer_row(timer, null, `duplicate_${index}`))}
+            </>
+          )}
+
+          {errors.length > 0 && (
+            <>
+              <Text style={[styles.list_heading, { color: theme.button_danger }]}>
+                Skipped - invalid ({errors.length})
+              </Text>
+              {errors.map((error, index) => (
+                <Text key={index} style={[styles.error_text, { color: theme.text_secondary }]}>{error}</Text>
+              ))}
+            </>
+          )}
+        </ScrollView>
+        <View style={styles.button_row}>
+          <TouchableOpacity
+            style={[styles.button, { borderColor: theme.border_primary, borderWidth: 1 }]}
+            onPress={() => set_import_preview(null)}
+          >
+            <Text style={[styles.button_text, { color: theme.text_primary }]}>Back</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.button, { backgroundColor: theme.button_success, opacity: new_timers.length === 0 ? 0.5 : 1 }]}
+            onPress={handle_confirm_import}
+            disabled={new_timers.length === 0}
+          >
+            <Text style={[styles.button_text, { color: theme.text_inverse }]}>Add {new_timers.length}</Text>
+          </TouchableOpacity>
+        </View>
+      </>
+    );
+  };
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        style={[styles.modal_overlay, { backgroundColor: theme.overlay_background }]}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <View style={[styles.modal_container, { backgroundColor: theme.background_primary }]}>
+          {mode === 'export' && render_export()}
+          {mode === 'import' && (import_preview ? render_import_preview() : render_import_source())}
+          {is_busy && (
+            <ActivityIndicator style={styles.busy_indicator} size="small" color={theme.button_primary} />
+          )}
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modal_overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  modal_container: {
+    width: '100%',
+    maxWidth: 420,
+    maxHeight: '85%',
+    borderRadius: 20,
+    padding: 20,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 15,
+  },
+  message: {
+    fontSize: 14,
+    textAlign: 'center',
+    marginVertical: 12,
+  },
+  select_row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  link_text: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  list: {
+    flexGrow: 0,
+    marginBottom: 15,
+  },
+  list_heading: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginTop: 10,
+    marginBottom: 4,
+  },
+  timer_row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+  },
+  checkbox: {
+    fontSize: 18,
+    marginRight: 10,
+  },
+  timer_row_text: {
+    flex: 1,
+  },
+  timer_name: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  timer_details: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  error_text: {
+    fontSize: 12,
+    marginBottom: 4,
+  },
+  paste_input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 12,
+    minHeight: 120,
+    maxHeight: 200,
+    textAlignVertical: 'top',
+    marginBottom: 15,
+  },
+  button_row: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  button: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  wide_button: {
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  button_text: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  busy_indicator: {
+    marginTop: 10,
+  },
+});
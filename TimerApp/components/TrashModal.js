@@ -0,0 +1,263 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, Modal, TouchableOpacity, ScrollView, StyleSheet, Alert } from 'react-native';
+import { use_theme } from '../contexts/ThemeContext';
+import {
+  load_trash,
+  restore_from_trash,
+  purge_trash_item,
+  empty_trash,
+  TRASH_ITEM_TYPES,
+  TRASH_RETENTION_DAYS,
+} from '../utils/trash';
+
+// Milliseconds in a day
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Formats an ISO date for the trash list
+ * @param {string} iso_string - ISO date string
+ * @returns {string} - Date like "Mar 2"
+ */
+const format_trash_date = (iso_string) => new Date(iso_string).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+});
+
+/**
+ * Describes a trash item in two lines
+ * @param {Object} item - Trash item
+ * @returns {{title: string, details: string}} - What was deleted, and when it is purged
+ */
+const describe_trash_item = (item) => {
+  const days_left = Math.max(1, Math.ceil(TRASH_RETENTION_DAYS - (Date.now() - new Date(item.deleted_at).getTime()) / DAY_MS));
+  const purge_text = `deleted ${format_trash_date(item.deleted_at)}, gone in ${days_left} day${days_left !== 1 ? 's' : ''}`;
+
+  if (item.type === TRASH_ITEM_TYPES.TIMER) {
+    return { title: `⏱️ ${item.timer.name}`, details: `${item.timer.category} · ${purge_text}` };
+  }
+
+  const entry_count = item.entries.length;
+  const session_text = `${entry_count} session${entry_count !== 1 ? 's' : ''}`;
+  const title = entry_count === 1 ? `📜 ${item.entries[0].timer_name} session` : `📜 ${session_text}`;
+  return { title, details: `History · ${purge_text}` };
+};
+
+/**
+ * TrashModal component - lists deleted timers and history to restore or delete for good
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the modal is visible
+ * @param {Function} props.onClose - Callback when the modal is closed
+ * @param {Function} props.onRestoreTimer - Callback with a restored timer, to add it back to the timers list
+ */
+export default function TrashModal({ visible, onClose, onRestoreTimer }) {
+  const { theme } = use_theme();
+
+  // Items in the trash, newest first
+  const [trash_items, set_trash_items] = useState([]);
+
+  // Reload the trash each time the modal opens
+  useEffect(() => {
+    if (visible) {
+      load_trash().then(set_trash_items);
+    }
+  }, [visible]);
+
+  /**
+   * Restores an item; timers are handed back to be added to the timers list
+   * @param {Object} item - Trash item
+   */
+  const handle_restore = async (item) => {
+    const restored_item = await restore_from_trash(item.id);
+    if (!restored_item) {
+      Alert.alert('Restore Failed', 'The item could not be restored. Please try again.');
+      return;
+    }
+
+    set_trash_items(prev_items => prev_items.filter(trash_item => trash_item.id !== item.id));
+    if (restored_item.type === TRASH_ITEM_TYPES.TIMER) {
+      onRestoreTimer(restored_item.timer);
+    }
+  };
+
+  /**
+   * Deletes an item for good after confirmation
+   * @param {Object} item - Trash item
+   */
+  const handle_purge = (item) => {
+    Alert.alert(
+      'Delete Forever',
+      `${describe_trash_item(item).title} will be deleted for good. This action cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            await purge_trash_item(item.id);
+            set_trash_items(await load_trash());
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Deletes everything in the trash for good after confirmation
+   */
+  const handle_empty_trash = () => {
+    Alert.alert(
+      'Empty Trash',
+      'Everything in the trash will be deleted for good. This action cannot be undone.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Empty Trash',
+          style: 'destructive',
+          onPress: async () => {
+            await empty_trash();
+            set_trash_items(await load_trash());
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <Modal
+      animationType="slide"
+      transparent={true}
+      visible={visible}
+      onRequestClose={onClose}
+    >
+      <View style={[styles.modal_overlay, { backgroundColor: theme.overlay_background }]}>
+        <View style={[styles.modal_container, { backgroundColor: theme.background_primary }]}>
+          <Text style={[styles.title, { color: theme.text_primary }]}>🗑️ Trash</Text>
+
+          {trash_items.length === 0 ? (
+            <Text style={[styles.message, { color: theme.text_secondary }]}>
+              The trash is empty.
+            </Text>
+          ) : (
+            <ScrollView style={styles.list}>
+              {trash_items.map(item => {
+                const { title, details } = describe_trash_item(item);
+                return (
+                  <View key={item.id} style={[styles.item_row, { borderBottomColor: theme.border_primary }]}>
+                    <View style={styles.item_text}>
+                      <Text style={[styles.item_title, { color: theme.text_primary }]}>{title}</Text>
+                      <Text style={[styles.item_details, { color: theme.text_secondary }]}>{details}</Text>
+                    </View>
+                    <TouchableOpacity
+                      style={[styles.item_button, { backgroundColor: theme.button_success }]}
+                      onPress={() => handle_restore(item)}
+                    >
+                      <Text style={[styles.item_button_text, { color: theme.text_inverse }]}>Restore</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={[styles.item_button, { backgroundColor: theme.button_danger }]}
+                      onPress={() => handle_purge(item)}
+                    >
+                      <Text style={[styles.item_button_text, { color: theme.text_inverse }]}>Delete</Text>
+                    </TouchableOpacity>
+                  </View>
+                );
+              })}
+            </ScrollView>
+          )}
+
+          <Text style={[styles.message, { color: theme.text_secondary }]}>
+            Deleted items are kept for {TRASH_RETENTION_DAYS} days.
+          </Text>
+
+          <View style={styles.button_row}>
+            {trash_items.length > 0 && (
+              <TouchableOpacity
+                style={[styles.button, { backgroundColor: theme.button_danger }]}
+                onPress={handle_empty_trash}
+              >
+                <Text style={[styles.button_text, { color: theme.text_inverse }]}>Empty Trash</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity
+              style={[styles.button, { backgroundColor: theme.button_secondary }]}
+              onPress={onClose}
+            >
+              <Text style={[styles.button_text, { color: theme.text_inverse }]}>Close</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modal_overlay: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  modal_container: {
+    width: '100%',
+    maxWidth: 420,
+    maxHeight: '85%',
+    borderRadius: 20,
+    padding: 20,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 15,
+  },
+  message: {
+    fontSize: 14,
+    textAlign: 'center',
+    marginVertical: 12,
+  },
+  list: {
+    flexGrow: 0,
+  },
+  item_row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+  },
+  item_text: {
+    flex: 1,
+  },
+  item_title: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  item_details: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  item_button: {
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 6,
+  },
+  item_button_text: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  button_row: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  button: {
+    flex: 1,
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  button_text: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
@@ -0,0 +1,79 @@
+import React, { useEffect, useRef } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Animated } from 'react-native';
+import { use_theme } from '../contexts/ThemeContext';
+
+// How long the undo action stays available
+const UNDO_TIMEOUT_MS = 5000;
+
+/**
+ * UndoToast component - bar along the bottom of a screen offering to undo a delete
+ * Hides itself after a few seconds; the deleted data stays in the trash either way
+ * @param {Object} props - Component props
+ * @param {string|null} props.message - What was deleted, null to hide the toast
+ * @param {Function} props.onUndo - Called when Undo is pressed
+ * @param {Function} props.onDismiss - Called when the toast hides without Undo being pressed
+ */
+const UndoToast = ({ message, onUndo, onDismiss }) => {
+  const { theme } = use_theme();
+  const opacity = useRef(new Animated.Value(0)).current;
+
+  // Fade in for each new message and hide after the timeout
+  useEffect(() => {
+    if (!message) {
+      opacity.setValue(0);
+      return undefined;
+    }
+
+    Animated.timing(opacity, { toValue: 1, duration: 200, useNativeDriver: true }).start();
+    const timeout_id = setTimeout(onDismiss, UNDO_TIMEOUT_MS);
+    return () => clearTimeout(timeout_id);
+  }, [message]);
+
+  if (!message) {
+    return null;
+  }
+
+  return (
+    <Animated.View
+      style={[styles.container, { backgroundColor: theme.text_primary, shadowColor: theme.shadow_color, opacity }]}
+    >
+      <Text style={[styles.message, { color: theme.background_primary }]} numberOfLines={2}>{message}</Text>
+      <TouchableOpacity style={styles.undo_button} onPress={onUndo}>
+        <Text style={[styles.undo_text, { color: theme.button_primary }]}>Undo</Text>
+      </TouchableOpacity>
+    </Animated.View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+    elevation: 5,
+  },
+  message: {
+    flex: 1,
+    fontSize: 15,
+  },
+  undo_button: {
+    marginLeft: 16,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+  },
+  undo_text: {
+    fontSize: 15,
+    fontWeight: 'bold',
+  },
+});
+
+export default UndoToast;
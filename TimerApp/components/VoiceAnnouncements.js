@@ -0,0 +1,112 @@
+import { useEffect, useRef } from 'react';
+import { use_timer_engine } from '../contexts/TimerEngineContext';
+import { use_settings } from '../contexts/SettingsContext';
+import { get_run_status, get_elapsed_ms } from '../utils/timer_engine';
+import { get_timer_phases, get_phase_at, is_count_up_timer } from '../utils/timer_types';
+import {
+  speak,
+  is_announcement_enabled,
+  get_spoken_phase_name,
+  get_progress_announcement,
+} from '../utils/speech';
+
+// Events older than this were caught up after the app was away and aren't announced
+const STALE_ANNOUNCEMENT_MS = 5000;
+
+/**
+ * VoiceAnnouncements component - speaks the progress of timers that have announcements on
+ * Like SoundCues, it follows the timer engine so every timer is announced, even when
+ * its card isn't on screen. Renders nothing
+ */
+const VoiceAnnouncements = () => {
+  const { run_states, now, subscribe_to_events, get_timer_definition } = use_timer_engine();
+  const { settings } = use_settings();
+
+  // Last progress announcement made for each timer, so each one is only spoken once
+  const last_announcements_ref = useRef({});
+
+  // Announce starts, phase changes and completions as the engine reports them
+  useEffect(() => {
+    /**
+     * Speaks the announcement for a batch of engine events; only the latest change is
+     * spoken when several happened at once
+     * @param {Object} timer - Timer definition the events belong to
+     * @param {Array<Object>} events - Events produced by the engine
+     */
+    const handle_run_events = (timer, events) => {
+      if (!timer.voice_announcements || !settings.voice_enabled) {
+        return;
+      }
+
+      const latest_event = events[events.length - 1];
+      const event_time = latest_event.completed_at ?? latest_event.started_at;
+      if (event_time && Date.now() - event_time > STALE_ANNOUNCEMENT_MS) {
+        return;
+      }
+
+      const phases = get_timer_phases(timer);
+      const complete_event = events.find(event => event.type === 'complete');
+      const round_event = events.filter(event => event.type === 'round_complete').pop();
+      const phase_event = events.filter(event => event.type === 'phase_complete').pop();
+      const start_event = events.find(event => event.type === 'start');
+
+      if (complete_event) {
+        if (is_announcement_enabled(settings, 'done')) {
+          speak(`${timer.name} done`, true);
+        }
+      } else if (round_event) {
+        if (is_announcement_enabled(settings, 'start')) {
+          const next_round = round_event.round + 1;
+          speak(phases.length > 1 ? `Round ${next_round}. ${get_spoken_phase_name(phases[0])}` : `Round ${next_round}`, true);
+        }
+      } else if (phase_event) {
+        const next_phase = phases[phase_event.phase_index + 1];
+        if (next_phase && is_announcement_enabled(settings, 'start')) {
+          speak(get_spoken_phase_name(next_phase), true);
+        }
+      } else if (start_event && !start_event.resumed) {
+        if (is_announcement_enabled(settings, 'start')) {
+          speak(phases.length > 1 ? `${timer.name}. ${get_spoken_phase_name(phases[0])}` : timer.name, true);
+        }
+      }
+    };
+
+    return subscribe_to_events(handle_run_events);
+  }, [settings]);
+
+  // Announce halfway, ten seconds left and the countdown of each phase
+  useEffect(() => {
+    if (!settings.voice_enabled) {
+      return;
+    }
+
+    Object.entries(run_states).forEach(([timer_id, run_state]) => {
+      const timer = get_timer_definition(timer_id);
+      if (!timer || !timer.voice_announcements || is_count_up_timer(timer) || get_run_status(run_state) !== 'running') {
+        return;
+      }
+
+      const { index, phase, phase_elapsed_ms } = get_phase_at(get_timer_phases(timer), get_elapsed_ms(run_state, now));
+      const remaining_ms = phase.duration * 1000 - phase_elapsed_ms;
+      if (remaining_ms <= 0) {
+        return;
+      }
+
+      const seconds_left = Math.ceil(remaining_ms / 1000);
+      const announcement = get_progress_announcement(phase, seconds_left);
+      if (!announcement || !is_announcement_enabled(settings, announcement.kind)) {
+        return;
+      }
+
+      const announcement_key = `${run_state.started_at}:${run_state.round || 1}:${index}:${seconds_left}`;
+      if (last_announcements_ref.current[timer_id] !== announcement_key) {
+        last_announcements_ref.current[timer_id] = announcement_key;
+        speak(announcement.text, announcement.kind === 'countdown');
+      }
+    });
+  }, [run_states, now, settings]);
+
+  return null;
+};
+
+export default VoiceAnnouncements;
@@ -0,0 +1,74 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import { load_settings, save_settings, DEFAULT_SETTINGS } from '../utils/settings';
+
+/**
+ * Settings context for app-wide preferences such as sound
+ */
+const SettingsContext = createContext({
+  settings: DEFAULT_SETTINGS,
+  update_settings: () => {},
+});
+
+/**
+ * Custom hook to access settings context
+ * @returns {Object} Settings context values
+ */
+export const use_settings = () => {
+  const context = useContext(SettingsContext);
+  if (!context) {
+    throw new Error('use_settings must be used within a SettingsProvider');
+  }
+  return context;
+};
+
+/**
+ * Settings provider component to wrap the app
+ * Manages settings state and persistence
+ */
+export const SettingsProvider = ({ children }) => {
+  const [settings, set_settings] = useState(DEFAULT_SETTINGS);
+  const [is_loading, set_is_loading] = useState(true);
+
+  /**
+   * Changes some settings and saves them
+   * @param {Object} changes - Settings to change
+   */
+  const update_settings = (changes) => {
+    set_settings(prev_settings => {
+      const next_settings = { ...prev_settings, ...changes };
+      save_settings(next_settings);
+      return next_settings;
+    });
+    console.log('⚙️ Settings: Updated', changes);
+  };
+
+  // Load settings on mount
+  useEffect(() => {
+    const load_saved_settings = async () => {
+      try {
+        set_settings(await load_settings());
+      } finally {
+        set_is_loading(false);
+      }
+    };
+    load_saved_settings();
+  }, []);
+
+  // Don't render children until settings are loaded
+  if (is_loading) {
+    return null;
+  }
+
+  const context_value = {
+    settings,
+    update_settings,
+  };
+
+  return (
+    <SettingsContext.Provider value={context_value}>
+      {children}
+    </SettingsContext.Provider>
+  );
+};
+
+export default SettingsContext;
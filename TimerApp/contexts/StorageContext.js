@@ -0,0 +1,24 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Storage context for changes to all stored data at once, such as restoring a backup
+ * The app is unmounted while the change runs, so nothing saves over it, and every
+ * provider and screen reads the changed data when it mounts again
+ */
+const StorageContext = createContext({
+  replace_stored_data: async () => false,
+});
+
+/**
+ * Custom hook to access storage context
+ * @returns {{replace_stored_data: function(function(): Promise<boolean>): Promise<boolean>}} Storage context values
+ */
+export const use_storage = () => {
+  const context = useContext(StorageContext);
+  if (!context) {
+    throw new Error('use_storage must be used within a StorageContext provider');
+  }
+  return context;
+};
+
+export default StorageContext;
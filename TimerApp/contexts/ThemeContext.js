@@ -1,5 +1,7 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { get_stored_item } from '../utils/storage_backend';
+import { queue_write } from '../utils/write_queue';
+import { STORAGE_KEYS } from '../utils/storage_keys';
 
 /**
  * Theme definitions for light and dark modes
@@ -124,7 +126,7 @@ export const ThemeProvider = ({ children }) => {
    */
   const load_theme_preference = async () => {
     try {
-      const stored_theme = await AsyncStorage.getItem('theme_preference');
+      const stored_theme = await get_stored_item(STORAGE_KEYS.THEME);
       if (stored_theme !== null) {
         const is_dark = stored_theme === 'dark';
         set_is_dark_mode(is_dark);
@@ -144,12 +146,9 @@ export const ThemeProvider = ({ children }) => {
    * @param {boolean} is_dark - Whether dark mode is enabled
    */
   const save_theme_preference = async (is_dark) => {
-    try {
-      const theme_value = is_dark ? 'dark' : 'light';
-      await AsyncStorage.setItem('theme_preference', theme_value);
+    const theme_value = is_dark ? 'dark' : 'light';
+    if (await queue_write(STORAGE_KEYS.THEME, theme_value)) {
       console.log(`🎨 Theme: Saved preference - ${theme_value}`);
-    } catch (error) {
-      console.error('🎨 Theme: Error saving theme preference:', error);
     }
   };
 
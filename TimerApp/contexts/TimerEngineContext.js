@@ -0,0 +1,534 @@
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { AppState } from 'react-native';
+import { save_timer_states, load_timer_states, save_schedule_state, load_schedule_state } from '../utils/storage';
+import { record_run_events, record_partial_run } from '../utils/history';
+import {
+  create_run_state,
+  get_run_status,
+  get_elapsed_ms,
+  get_remaining_seconds,
+  get_overtime_ms,
+  start_run,
+  pause_run,
+  reset_run,
+  acknowledge_run,
+  advance_run,
+  add_lap,
+  stop_run,
+} from '../utils/timer_engine';
+import {
+  get_timer_phases,
+  get_total_duration,
+  get_phase_at,
+  is_count_up_timer,
+  get_repeat_count,
+} from '../utils/timer_types';
+import { get_due_timers, get_catch_up_start } from '../utils/schedule';
+
+// How often running timers are advanced and the display refreshed (the countdown itself follows the wall clock)
+const TICK_INTERVAL_MS = 250;
+
+// Engine events that end up in history; the rest only alert listeners
+const HISTORY_EVENT_TYPES = ['phase_complete', 'round_complete', 'complete', 'overtime_end'];
+
+// How often schedules are checked for timers due to start while the app is open
+const SCHEDULE_CHECK_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Timer engine context holding the run state of every timer in the app
+ */
+const TimerEngineContext = createContext(null);
+
+/**
+ * Custom hook to access the timer engine
+ * @returns {Object} Timer engine context values
+ */
+export const use_timer_engine = () => {
+  const context = useContext(TimerEngineContext);
+  if (!context) {
+    throw new Error('use_timer_engine must be used within a TimerEngineProvider');
+  }
+  return context;
+};
+
+/**
+ * Timer engine provider component to wrap the app
+ * Owns the run state of all timers, drives every running timer from a single
+ * ticker, records finished runs in history and persists run states so they
+ * survive app restarts. Timers are controlled by ID, so nothing needs to hold
+ * a reference to a mounted timer component. Scheduled timers are started here
+ * too, whenever the app is open or returns to the foreground
+ */
+export const TimerEngineProvider = ({ children }) => {
+  const [run_states, set_run_states] = useState({});
+  const [now, set_now] = useState(Date.now());
+  const [is_loading, set_is_loading] = useState(true);
+
+  // Mirrors of the latest state so actions can read and update it synchronously
+  const run_states_ref = useRef({});
+  const timer_definitions_ref = useRef({});
+
+  // How far each timer's schedule has been checked, keyed by timer ID
+  const schedule_state_ref = useRef({});
+
+  // Schedules can only be checked once the timers they belong to are known
+  const has_registered_timers_ref = useRef(false);
+
+  // Listeners notified of the events produced by the engine
+  const event_listeners_ref = useRef(new Set());
+
+  /**
+   * Replaces all run states at once
+   * @param {Object} next_run_states - Run states keyed by timer ID
+   */
+  const commit_run_states = (next_run_states) => {
+    run_states_ref.current = next_run_states;
+    set_run_states(next_run_states);
+  };
+
+  /**
+   * Gets the run state of a timer, idle if it has never been started
+   * @param {string} timer_id - ID of the timer
+   * @returns {Object} - Run state of the timer
+   */
+  const get_run_state = (timer_id) => run_states_ref.current[timer_id] || create_run_state();
+
+  /**
+   * Updates the run state of a single timer
+   * @param {string} timer_id - ID of the timer
+   * @param {Function} updater - Receives the current run state and returns the next one
+   * @returns {boolean} - Whether the run state changed
+   */
+  const update_run_state = (timer_id, updater) => {
+    const current_state = get_run_state(timer_id);
+    const next_state = updater(current_state);
+    if (next_state === current_state) {
+      return false;
+    }
+    commit_run_states({ ...run_states_ref.current, [timer_id]: next_state });
+    return true;
+  };
+
+  /**
+   * Records engine events in history and passes them on to listeners
+   * @param {Object} timer - Timer definition the events belong to
+   * @param {Array<Object>} events - Events returned by the engine
+   */
+  const dispatch_run_events = async (timer, events) => {
+    event_listeners_ref.current.forEach(listener => {
+      try {
+        listener(timer, events);
+      } catch (error) {
+        console.error('💥 Timer engine: Event listener failed:', error);
+      }
+    });
+
+    // Starts and checkpoints are only alerts; finished phases, rounds and runs go to history
+    const history_events = events.filter(event => HISTORY_EVENT_TYPES.includes(event.type));
+    if (history_events.length === 0) {
+      return;
+    }
+
+    if (history_events.some(event => event.type === 'complete')) {
+      console.log(`🎉 Timer "${timer.name}" completed! Adding to history...`);
+    }
+
+    try {
+      const success = await record_run_events(timer, history_events);
+      if (success) {
+        console.log(`✅ Successfully added "${timer.name}" to history`);
+      } else {
+        console.warn(`❌ Failed to save "${timer.name}" to history - storage issue`);
+      }
+    } catch (error) {
+      // History is supplementary, so a failure here never stops the timer
+      console.error('💥 Error adding timer to history:', error);
+    }
+  };
+
+  /**
+   * Brings every running timer up to date with the wall clock
+   * @param {number} current_time - Current epoch ms
+   */
+  const advance_all_timers = (current_time) => {
+    const next_run_states = { ...run_states_ref.current };
+    const dispatched = [];
+
+    Object.entries(run_states_ref.current).forEach(([timer_id, run_state]) => {
+      const timer = timer_definitions_ref.current[timer_id];
+      if (!timer) {
+        return;
+      }
+
+      const { run_state: next_run_state, events } = advance_run(run_state, timer, current_time);
+      if (events.length > 0) {
+        next_run_states[timer_id] = next_run_state;
+        dispatched.push({ timer, events });
+      }
+    });
+
+    if (dispatched.length > 0) {
+      commit_run_states(next_run_states);
+      dispatched.forEach(({ timer, events }) => dispatch_run_events(timer, events));
+    }
+  };
+
+  /**
+   * Advances all timers and refreshes the shared clock
+   */
+  const tick = () => {
+    const current_time = Date.now();
+    set_now(current_time);
+    advance_all_timers(current_time);
+  };
+
+  /**
+   * Tells the engine which timers exist; timers that finished while the app was
+   * closed are completed and recorded with their real completion time
+   * @param {Array<Object>} timers - All timer definitions
+   */
+  const register_timers = (timers) => {
+    timer_definitions_ref.current = timers.reduce((definitions, timer) => {
+      definitions[timer.id] = timer;
+      return definitions;
+    }, {});
+    has_registered_timers_ref.current = true;
+    advance_all_timers(Date.now());
+    check_schedules();
+  };
+
+  /**
+   * Starts a timer at the moment its schedule fired, even if that was while the
+   * app was closed; a run that would already have reached zero starts now instead
+   * @param {Object} timer - Timer definition
+   * @param {number} scheduled_start - Epoch ms the timer was scheduled to start
+   */
+  const start_scheduled_timer = (timer, scheduled_start) => {
+    const status = get_run_status(get_run_state(timer.id));
+    if (status === 'running' || status === 'paused' || status === 'overtime') {
+      console.log(`⏰ Timer engine: "${timer.name}" is already in progress, skipping its scheduled start`);
+      return;
+    }
+
+    const started_at = get_catch_up_start(timer, scheduled_start, Date.now());
+    console.log(`⏰ Timer engine: Starting "${timer.name}" as scheduled at ${new Date(scheduled_start).toLocaleString()}`);
+    update_run_state(timer.id, () => start_run(create_run_state(), started_at));
+    notify_start(timer.id, { started_at, resumed: false, scheduled: true });
+    tick();
+  };
+
+  /**
+   * Starts every scheduled timer that became due since schedules were last checked
+   */
+  const check_schedules = () => {
+    if (!has_registered_timers_ref.current) {
+      return;
+    }
+
+    const { due, checked_until } = get_due_timers(
+      Object.values(timer_definitions_ref.current),
+      schedule_state_ref.current,
+      Date.now()
+    );
+
+    schedule_state_ref.current = checked_until;
+    save_schedule_state(checked_until);
+    due.forEach(({ timer, start }) => start_scheduled_timer(timer, start));
+  };
+
+  /**
+   * Starts an idle timer or resumes a paused one
+   * @param {string} timer_id - ID of the timer
+   * @returns {boolean} - Whether the timer was started
+   */
+  const start_timer = (timer_id) => {
+    const start_time = Date.now();
+    const was_paused = get_run_status(get_run_state(timer_id)) === 'paused';
+    const started = update_run_state(timer_id, run_state => start_run(run_state, start_time));
+    if (started) {
+      console.log(`▶️ Timer engine: Started ${timer_id}`);
+      set_now(start_time);
+      notify_start(timer_id, { started_at: start_time, resumed: was_paused, scheduled: false });
+    }
+    return started;
+  };
+
+  /**
+   * Lets listeners know a timer started, so cues can play
+   * @param {string} timer_id - ID of the timer
+   * @param {Object} details - started_at, and whether the run was resumed or started by its schedule
+   */
+  const notify_start = (timer_id, details) => {
+    const timer = timer_definitions_ref.current[timer_id];
+    if (timer) {
+      dispatch_run_events(timer, [{ type: 'start', ...details }]);
+    }
+  };
+
+  /**
+   * Pauses a running timer
+   * @param {string} timer_id - ID of the timer
+   * @returns {boolean} - Whether the timer was paused
+   */
+  const pause_timer = (timer_id) => {
+    // Settle anything that finished before the pause
+    advance_all_timers(Date.now());
+    const paused = update_run_state(timer_id, run_state => pause_run(run_state, Date.now()));
+    if (paused) {
+      console.log(`⏸️ Timer engine: Paused ${timer_id}`);
+    }
+    return paused;
+  };
+
+  /**
+   * Checks whether a timer has been started and not yet finished
+   * @param {string} timer_id - ID of the timer
+   * @returns {boolean} - True while the timer is running or paused
+   */
+  const is_timer_in_progress = (timer_id) => {
+    const status = get_run_status(get_run_state(timer_id));
+    return status === 'running' || status === 'paused';
+  };
+
+  /**
+   * Records the run of a timer that is being abandoned as a partial history entry
+   * @param {string} timer_id - ID of the timer
+   */
+  const save_partial_run = async (timer_id) => {
+    const timer = timer_definitions_ref.current[timer_id];
+    if (!timer || !is_timer_in_progress(timer_id)) {
+      return;
+    }
+
+    try {
+      if (await record_partial_run(timer, get_run_state(timer_id), Date.now())) {
+        console.log(`📝 Timer engine: Saved partial run of "${timer.name}"`);
+      }
+    } catch (error) {
+      console.error('💥 Error saving partial run to history:', error);
+    }
+  };
+
+  /**
+   * Brings a timer up to date before its run is thrown away, so anything that
+   * finished, any overtime and optionally the unfinished run end up in history
+   * @param {string} timer_id - ID of the timer
+   * @param {boolean} save_partial - Record an in-progress run as a partial history entry
+   */
+  const settle_abandoned_run = (timer_id, save_partial) => {
+    advance_all_timers(Date.now());
+    if (get_run_status(get_run_state(timer_id)) === 'overtime') {
+      stop_timer(timer_id);
+    } else if (save_partial) {
+      save_partial_run(timer_id);
+    }
+  };
+
+  /**
+   * Resets a timer back to idle
+   * @param {string} timer_id - ID of the timer
+   * @param {Object} options - Reset options (optional)
+   * @param {boolean} options.save_partial - Record an in-progress run as a partial history entry
+   * @returns {boolean} - Whether the timer had anything to reset
+   */
+  const reset_timer = (timer_id, { save_partial = false } = {}) => {
+    settle_abandoned_run(timer_id, save_partial);
+
+    const reset = update_run_state(timer_id, run_state => (
+      get_run_status(run_state) === 'idle' ? run_state : reset_run()
+    ));
+    if (reset) {
+      console.log(`🔄 Timer engine: Reset ${timer_id}`);
+    }
+    return reset;
+  };
+
+  /**
+   * Marks a lap on a running stopwatch
+   * @param {string} timer_id - ID of the timer
+   * @returns {boolean} - Whether a lap was marked
+   */
+  const lap_timer = (timer_id) => {
+    return update_run_state(timer_id, run_state => add_lap(run_state, Date.now()));
+  };
+
+  /**
+   * Stops a stopwatch and records the time it ran, or ends a timer's overtime
+   * and records how far it ran past zero
+   * @param {string} timer_id - ID of the timer
+   * @returns {boolean} - Whether the timer was stopped
+   */
+  const stop_timer = (timer_id) => {
+    const timer = timer_definitions_ref.current[timer_id];
+    const stop_time = Date.now();
+    const { run_state, events } = stop_run(get_run_state(timer_id), stop_time);
+    if (!timer || events.length === 0) {
+      return false;
+    }
+
+    set_now(stop_time);
+    update_run_state(timer_id, () => run_state);
+    dispatch_run_events(timer, events);
+    return true;
+  };
+
+  /**
+   * Marks a timer's completion as seen by the user
+   * @param {string} timer_id - ID of the timer
+   * @returns {boolean} - Whether the completion was acknowledged
+   */
+  const acknowledge_timer = (timer_id) => {
+    return update_run_state(timer_id, run_state => acknowledge_run(run_state));
+  };
+
+  /**
+   * Forgets a deleted timer's run state
+   * @param {string} timer_id - ID of the timer
+   * @param {Object} options - Removal options (optional)
+   * @param {boolean} options.save_partial - Record an in-progress run as a partial history entry
+   */
+  const remove_timer = (timer_id, { save_partial = false } = {}) => {
+    settle_abandoned_run(timer_id, save_partial);
+    if (!run_states_ref.current[timer_id]) {
+      return;
+    }
+    const { [timer_id]: removed_state, ...remaining_states } = run_states_ref.current;
+    commit_run_states(remaining_states);
+  };
+
+  /**
+   * Gets a snapshot of a timer's progress
+   * @param {string} timer_id - ID of the timer
+   * @returns {Object|null} - Status, remaining, elapsed and overtime seconds, progress,
+   * phase and repeat round of the timer, or null if the timer is unknown
+   */
+  const get_timer_state = (timer_id) => {
+    const timer = timer_definitions_ref.current[timer_id];
+    if (!timer) {
+      return null;
+    }
+
+    const run_state = get_run_state(timer_id);
+    const current_time = Date.now();
+    const phases = get_timer_phases(timer);
+    const total_duration = get_total_duration(timer);
+    const elapsed_ms = get_elapsed_ms(run_state, current_time);
+    const status = get_run_status(run_state);
+    const is_stopwatch = is_count_up_timer(timer);
+
+    return {
+      status,
+      is_running: status === 'running',
+      remaining_time: is_stopwatch ? null : get_remaining_seconds(run_state, total_duration, current_time),
+      overtime: Math.floor(get_overtime_ms(run_state, current_time) / 1000),
+      elapsed_time: Math.floor(elapsed_ms / 1000),
+      progress: is_stopwatch || total_duration === 0 ? 0 : Math.min(1, elapsed_ms / (total_duration * 1000)),
+      phase: phases.length > 1 ? get_phase_at(phases, elapsed_ms).phase : null,
+      round: get_repeat_count(timer) !== 1 ? run_state.round || 1 : null,
+    };
+  };
+
+  /**
+   * Gets the definition of a timer known to the engine
+   * @param {string} timer_id - ID of the timer
+   * @returns {Object|null} - Timer definition, or null if the timer is unknown
+   */
+  const get_timer_definition = (timer_id) => timer_definitions_ref.current[timer_id] || null;
+
+  /**
+   * Subscribes to the events produced by the engine
+   * Besides the events from utils/timer_engine, listeners get a 'start' event
+   * whenever a timer starts or resumes
+   * @param {Function} listener - Called with the timer definition and its events
+   * @returns {Function} - Unsubscribes the listener
+   */
+  const subscribe_to_events = (listener) => {
+    event_listeners_ref.current.add(listener);
+    return () => event_listeners_ref.current.delete(listener);
+  };
+
+  // Load run states and schedule progress from storage on mount
+  useEffect(() => {
+    const load_run_states = async () => {
+      try {
+        const [stored_states, stored_schedule_state] = await Promise.all([
+          load_timer_states(),
+          load_schedule_state(),
+        ]);
+        schedule_state_ref.current = stored_schedule_state;
+        commit_run_states(stored_states);
+      } catch (error) {
+        console.error('⏱️ Timer engine: Error loading run states:', error);
+      } finally {
+        set_is_loading(false);
+      }
+    };
+    load_run_states();
+  }, []);
+
+  // Save run states whenever a timer starts, pauses, resets or completes
+  useEffect(() => {
+    if (!is_loading) {
+      save_timer_states(run_states);
+    }
+  }, [run_states, is_loading]);
+
+  // A single ticker drives every running timer
+  const has_running_timers = Object.values(run_states).some(run_state => (
+    get_run_status(run_state) === 'running' || get_run_status(run_state) === 'overtime'
+  ));
+  useEffect(() => {
+    if (!has_running_timers) {
+      return;
+    }
+    const interval_id = setInterval(tick, TICK_INTERVAL_MS);
+    return () => clearInterval(interval_id);
+  }, [has_running_timers]);
+
+  // Catch up with the wall clock as soon as the app returns to the foreground
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (next_app_state) => {
+      if (next_app_state === 'active') {
+        tick();
+        check_schedules();
+      }
+    });
+    return () => subscription.remove();
+  }, []);
+
+  // Check schedules regularly while the app is open
+  useEffect(() => {
+    const interval_id = setInterval(check_schedules, SCHEDULE_CHECK_INTERVAL_MS);
+    return () => clearInterval(interval_id);
+  }, []);
+
+  // Don't render children until run states are loaded
+  if (is_loading) {
+    return null;
+  }
+
+  const context_value = {
+    run_states,
+    now,
+    register_timers,
+    start_timer,
+    pause_timer,
+    reset_timer,
+    lap_timer,
+    stop_timer,
+    acknowledge_timer,
+    remove_timer,
+    is_timer_in_progress,
+    get_timer_state,
+    get_timer_definition,
+    subscribe_to_events,
+  };
+
+  return (
+    <TimerEngineContext.Provider value={context_value}>
+      {children}
+    </TimerEngineContext.Provider>
+  );
+};
+
+export default TimerEngineContext;
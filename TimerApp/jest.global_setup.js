@@ -0,0 +1,8 @@
+/**
+ * Jest global setup
+ * Schedules are local wall-clock times, so every test runs in one fixed time zone
+ * that has daylight saving time, whatever zone the machine is in
+ */
+module.exports = () => {
+  process.env.TZ = 'America/New_York';
+};
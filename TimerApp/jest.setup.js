@@ -0,0 +1,10 @@
+/**
+ * Jest setup
+ * AsyncStorage has no native module under Jest; tests switch to the in-memory
+ * storage backend, and the storage modules' progress logs are kept out of the output
+ */
+jest.mock('@react-native-async-storage/async-storage', () => (
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+));
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
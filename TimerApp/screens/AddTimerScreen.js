@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -11,6 +11,72 @@ import {
   ScrollView,
 } from 'react-native';
 import { use_theme } from '../contexts/ThemeContext';
+import { use_settings } from '../contexts/SettingsContext';
+import { use_timer_engine } from '../contexts/TimerEngineContext';
+import { CHECKPOINT_KINDS, MIN_CHECKPOINT_INTERVAL, split_form_checkpoints } from '../utils/checkpoints';
+import { WEEKDAYS, EVERY_DAY, WORKDAYS, format_schedule } from '../utils/schedule';
+import { has_same_run } from '../utils/timer_engine';
+import { COMPLETION_SOUNDS, DEFAULT_COMPLETION_SOUND, NO_SOUND, play_sound } from '../utils/sound';
+import {
+  TIMER_TYPES,
+  REPEAT_FOREVER,
+  DEFAULT_POMODORO_SETTINGS,
+  MAX_POMODORO_ROUNDS,
+  MAX_SEGMENT_REPEAT,
+  MAX_REPEAT_COUNT,
+  get_timer_type,
+  get_total_duration,
+  format_segments_summary,
+} from '../utils/timer_types';
+
+// Timer type options
+const TIMER_TYPE_OPTIONS = [
+  { id: TIMER_TYPES.COUNTDOWN, label: 'Countdown', icon: '⏱️' },
+  { id: TIMER_TYPES.POMODORO, label: 'Pomodoro', icon: '🍅' },
+  { id: TIMER_TYPES.ROUTINE, label: 'Routine', icon: '🔁' },
+  { id: TIMER_TYPES.STOPWATCH, label: 'Stopwatch', icon: '⏲️' },
+];
+
+// Schedule start time in 24-hour "HH:MM" format
+const SCHEDULE_TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Creates an empty routine segment for the form
+ * @returns {Object} - Segment draft with text inputs
+ */
+const create_segment_draft = () => ({
+  id: `segment_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+  name: '',
+  duration_text: '',
+  repeat_text: '1',
+  linked: false,
+});
+
+/**
+ * Formats a segment duration for the form, as "m:ss" or as plain seconds
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - Text that parse_segment_duration reads back
+ */
+const format_segment_duration = (seconds) => {
+  if (seconds < 60) {
+    return String(seconds);
+  }
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Parses a segment duration typed as "m:ss" or as plain seconds
+ * @param {string} text - Raw input value
+ * @returns {number} - Duration in seconds, NaN if invalid
+ */
+const parse_segment_duration = (text) => {
+  const trimmed = text.trim();
+  const match = trimmed.match(/^(\d+):([0-5]\d)$/);
+  if (match) {
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  }
+  return /^\d+$/.test(trimmed) ? parseInt(trimmed, 10) : NaN;
+};
 
 // Predefined category options
 const PREDEFINED_CATEGORIES = [
@@ -21,13 +87,48 @@ const PREDEFINED_CATEGORIES = [
   { id: 'other', label: 'Other', icon: '📝' },
 ];
 
+// Timer fields set by the form; any other field of an edited timer is kept as it was
+const FORM_FIELDS = [
+  'name',
+  'type',
+  'duration',
+  'category',
+  'pomodoro',
+  'segments',
+  'checkpoints',
+  'checkpoint_vibrate',
+  'repeat_count',
+  'overtime',
+  'schedule',
+  'completion_sound',
+  'countdown_beeps',
+  'voice_announcements',
+];
+
+/**
+ * Formats a duration in seconds as minutes for the form
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - Minutes, rounded to two decimals unless that would change the saved duration
+ */
+const format_minutes = (seconds) => {
+  const minutes = Math.round((seconds / 60) * 100) / 100;
+  return String(Math.floor(minutes * 60) === seconds ? minutes : seconds / 60);
+};
+
 /**
  * AddTimerScreen component - Form to create new timers
  * Allows users to input timer name, duration, and category with validation
+ * Opened with an edit_timer route param, the form is filled in from that timer
+ * and saving updates it in place
  */
-export default function AddTimerScreen({ navigation }) {
+export default function AddTimerScreen({ navigation, route }) {
   // Get theme context
   const { theme } = use_theme();
+  const { settings } = use_settings();
+  const { get_timer_state, reset_timer } = use_timer_engine();
+
+  // Timer being edited, null when creating a new one
+  const [editing_timer, set_editing_timer] = useState(null);
   
   // Form state management
   const [timer_name, set_timer_name] = useState('');
@@ -36,6 +137,193 @@ export default function AddTimerScreen({ navigation }) {
   const [custom_category, set_custom_category] = useState('');
   const [is_custom_category, set_is_custom_category] = useState(false);
 
+  // Timer type and Pomodoro settings (durations in minutes)
+  const [timer_type, set_timer_type] = useState(TIMER_TYPES.COUNTDOWN);
+  const [focus_minutes, set_focus_minutes] = useState(String(DEFAULT_POMODORO_SETTINGS.focus_duration / 60));
+  const [short_break_minutes, set_short_break_minutes] = useState(String(DEFAULT_POMODORO_SETTINGS.short_break_duration / 60));
+  const [long_break_minutes, set_long_break_minutes] = useState(String(DEFAULT_POMODORO_SETTINGS.long_break_duration / 60));
+  const [pomodoro_rounds, set_pomodoro_rounds] = useState(String(DEFAULT_POMODORO_SETTINGS.rounds_before_long_break));
+
+  // Routine segments in order
+  const [routine_segments, set_routine_segments] = useState(() => [create_segment_draft()]);
+
+  // Checkpoint settings
+  const [checkpoint_halfway, set_checkpoint_halfway] = useState(false);
+  const [checkpoint_last_minute, set_checkpoint_last_minute] = useState(false);
+  const [checkpoint_every_minutes, set_checkpoint_every_minutes] = useState('');
+  const [checkpoint_vibrate, set_checkpoint_vibrate] = useState(true);
+  // Checkpoints of the edited timer the form has no control for, saved back unchanged
+  const [kept_checkpoints, set_kept_checkpoints] = useState([]);
+
+  // Auto-repeat settings
+  const [repeat_count, set_repeat_count] = useState('1');
+  const [repeat_forever, set_repeat_forever] = useState(false);
+
+  // Whether the timer keeps counting past zero
+  const [overtime_enabled, set_overtime_enabled] = useState(false);
+
+  // Auto-start schedule settings
+  const [schedule_enabled, set_schedule_enabled] = useState(false);
+  const [schedule_time, set_schedule_time] = useState('');
+  const [schedule_days, set_schedule_days] = useState(WORKDAYS);
+
+  // Sound settings
+  const [completion_sound, set_completion_sound] = useState(DEFAULT_COMPLETION_SOUND);
+  const [countdown_beeps, set_countdown_beeps] = useState(false);
+  const [voice_announcements, set_voice_announcements] = useState(false);
+
+  const is_pomodoro = timer_type === TIMER_TYPES.POMODORO;
+  const is_routine = timer_type === TIMER_TYPES.ROUTINE;
+  const is_stopwatch = timer_type === TIMER_TYPES.STOPWATCH;
+  const is_repeating = repeat_forever || repeat_count.trim() !== '1';
+
+  /**
+   * Fills the form in from a saved timer, so it can be edited
+   * @param {Object} timer - Timer definition
+   */
+  const fill_form = (timer) => {
+    handle_clear_form();
+    set_timer_name(timer.name);
+    set_timer_type(get_timer_type(timer));
+    set_duration_minutes(timer.duration > 0 ? format_minutes(timer.duration) : '');
+
+    // Categories that aren't predefined are edited as custom ones
+    const predefined_category = PREDEFINED_CATEGORIES.find(category => (
+      category.id !== 'other' && category.label.toLowerCase() === (timer.category || '').toLowerCase()
+    ));
+    if (predefined_category) {
+      set_selected_category(predefined_category.id);
+    } else {
+      set_is_custom_category(true);
+      set_custom_category(timer.category || '');
+    }
+
+    if (timer.pomodoro) {
+      set_focus_minutes(format_minutes(timer.pomodoro.focus_duration));
+      set_short_break_minutes(format_minutes(timer.pomodoro.short_break_duration));
+      set_long_break_minutes(format_minutes(timer.pomodoro.long_break_duration));
+      set_pomodoro_rounds(String(timer.pomodoro.rounds_before_long_break));
+    }
+
+    if (Array.isArray(timer.segments) && timer.segments.length > 0) {
+      set_routine_segments(timer.segments.map(segment => ({
+        ...create_segment_draft(),
+        ...(segment.id ? { id: segment.id } : {}),
+        name: segment.name,
+        duration_text: format_segment_duration(segment.duration),
+        repeat_text: String(segment.repeat || 1),
+        linked: !!segment.linked,
+      })));
+    }
+
+    const { halfway, last_minute, every_seconds, other_checkpoints } = split_form_checkpoints(timer.checkpoints);
+    set_checkpoint_halfway(halfway);
+    set_checkpoint_last_minute(last_minute);
+    set_checkpoint_every_minutes(every_seconds === null ? '' : format_minutes(every_seconds));
+    set_kept_checkpoints(other_checkpoints);
+    set_checkpoint_vibrate(timer.checkpoint_vibrate !== false);
+
+    if (timer.repeat_count === REPEAT_FOREVER) {
+      set_repeat_forever(true);
+    } else if (typeof timer.repeat_count === 'number') {
+      set_repeat_count(String(timer.repeat_count));
+    }
+    set_overtime_enabled(!!timer.overtime);
+
+    if (timer.schedule) {
+      set_schedule_enabled(timer.schedule.enabled !== false);
+      set_schedule_time(`${String(timer.schedule.hour).padStart(2, '0')}:${String(timer.schedule.minute).padStart(2, '0')}`);
+      set_schedule_days(timer.schedule.days || WORKDAYS);
+    }
+
+    set_completion_sound(timer.completion_sound || DEFAULT_COMPLETION_SOUND);
+    set_countdown_beeps(!!timer.countdown_beeps);
+    set_voice_announcements(!!timer.voice_announcements);
+  };
+
+  // Fill the form in when a timer is opened for editing
+  useEffect(() => {
+    const edit_timer = route.params?.edit_timer;
+    if (edit_timer) {
+      set_editing_timer(edit_timer);
+      fill_form(edit_timer);
+      navigation.setParams({ edit_timer: undefined });
+    }
+  }, [route.params?.edit_timer, navigation]);
+
+  // Leaving the tab drops an unsaved edit, so coming back opens a blank form instead of a stale timer
+  useEffect(() => {
+    if (!editing_timer) {
+      return undefined;
+    }
+    return navigation.addListener('blur', () => {
+      set_editing_timer(null);
+      handle_clear_form();
+    });
+  }, [editing_timer, navigation]);
+
+  /**
+   * Adds an empty segment to the end of the routine
+   */
+  const add_segment = () => {
+    set_routine_segments(prev => [...prev, create_segment_draft()]);
+  };
+
+  /**
+   * Updates a field of a routine segment
+   * @param {string} segment_id - ID of the segment
+   * @param {string} field - Field to update
+   * @param {*} value - New value
+   */
+  const update_segment = (segment_id, field, value) => {
+    set_routine_segments(prev => prev.map(segment => (
+      segment.id === segment_id ? { ...segment, [field]: value } : segment
+    )));
+  };
+
+  /**
+   * Removes a segment from the routine
+   * @param {string} segment_id - ID of the segment
+   */
+  const remove_segment = (segment_id) => {
+    set_routine_segments(prev => prev.filter(segment => segment.id !== segment_id));
+  };
+
+  /**
+   * Moves a segment one place up or down
+   * @param {number} index - Current position of the segment
+   * @param {number} direction - -1 to move up, 1 to move down
+   */
+  const move_segment = (index, direction) => {
+    set_routine_segments(prev => {
+      const target_index = index + direction;
+      if (target_index < 0 || target_index >= prev.length) {
+        return prev;
+      }
+      const reordered = [...prev];
+      [reordered[index], reordered[target_index]] = [reordered[target_index], reordered[index]];
+      return reordered;
+    });
+  };
+
+  /**
+   * Converts the segment drafts into routine segments
+   * @returns {Array<Object>} - Routine segments with durations in seconds
+   */
+  const build_routine_segments = () => {
+    return routine_segments.map((segment, index) => {
+      // The first segment always starts a block
+      const linked = index > 0 && segment.linked;
+      return {
+        id: segment.id,
+        name: segment.name.trim(),
+        duration: parse_segment_duration(segment.duration_text),
+        repeat: linked ? 1 : parseInt(segment.repeat_text, 10),
+        linked,
+      };
+    });
+  };
+
   /**
    * Handles category selection
    * @param {string} category_id - ID of the selected category
@@ -63,6 +351,55 @@ export default function AddTimerScreen({ navigation }) {
     return selected ? selected.label : '';
   };
 
+  /**
+   * Builds the checkpoints selected in the form, followed by the kept ones it can't show
+   * @returns {Array<Object>} - Checkpoints for the timer definition
+   */
+  const build_checkpoints = () => {
+    const checkpoints = [];
+    if (checkpoint_halfway) {
+      checkpoints.push({ kind: CHECKPOINT_KINDS.HALFWAY });
+    }
+    if (checkpoint_last_minute) {
+      checkpoints.push({ kind: CHECKPOINT_KINDS.REMAINING, seconds: 60 });
+    }
+    if (checkpoint_every_minutes.trim()) {
+      checkpoints.push({
+        kind: CHECKPOINT_KINDS.EVERY,
+        seconds: Math.floor(parseFloat(checkpoint_every_minutes) * 60),
+      });
+    }
+    return [...checkpoints, ...kept_checkpoints];
+  };
+
+  /**
+   * Validates a duration input in minutes
+   * @param {string} value - Raw input value
+   * @param {string} label - Field label used in error messages
+   * @returns {boolean} - True if the duration is valid, false otherwise
+   */
+  const validate_minutes = (value, label) => {
+    // Check if duration is provided and is a valid number
+    if (!value.trim()) {
+      Alert.alert('Validation Error', `Please enter a ${label}`);
+      return false;
+    }
+
+    const duration_number = parseFloat(value);
+    if (isNaN(duration_number) || duration_number <= 0) {
+      Alert.alert('Validation Error', `Please enter a valid ${label} (greater than 0)`);
+      return false;
+    }
+
+    // Check for reasonable duration limits (max 999 minutes)
+    if (duration_number > 999) {
+      Alert.alert('Validation Error', `The ${label} cannot exceed 999 minutes`);
+      return false;
+    }
+
+    return true;
+  };
+
   /**
    * Validates form inputs
    * @returns {boolean} - True if form is valid, false otherwise
@@ -74,22 +411,74 @@ export default function AddTimerScreen({ navigation }) {
       return false;
     }
 
-    // Check if duration is provided and is a valid number
-    if (!duration_minutes.trim()) {
-      Alert.alert('Validation Error', 'Please enter a duration');
+    if (is_pomodoro) {
+      if (!validate_minutes(focus_minutes, 'focus length') ||
+          !validate_minutes(short_break_minutes, 'short break length') ||
+          !validate_minutes(long_break_minutes, 'long break length')) {
+        return false;
+      }
+
+      const rounds_number = parseInt(pomodoro_rounds, 10);
+      if (isNaN(rounds_number) || rounds_number < 1 || rounds_number > MAX_POMODORO_ROUNDS) {
+        Alert.alert('Validation Error', `Rounds before a long break must be between 1 and ${MAX_POMODORO_ROUNDS}`);
+        return false;
+      }
+    } else if (is_routine) {
+      if (routine_segments.length === 0) {
+        Alert.alert('Validation Error', 'Please add at least one segment');
+        return false;
+      }
+
+      const segments = build_routine_segments();
+      for (let index = 0; index < segments.length; index++) {
+        const segment = segments[index];
+        if (!segment.name) {
+          Alert.alert('Validation Error', `Please enter a name for segment ${index + 1}`);
+          return false;
+        }
+        if (isNaN(segment.duration) || segment.duration <= 0 || segment.duration > 999 * 60) {
+          Alert.alert('Validation Error', `Please enter a valid duration for "${segment.name}" (e.g. 45 or 1:30)`);
+          return false;
+        }
+        if (isNaN(segment.repeat) || segment.repeat < 1 || segment.repeat > MAX_SEGMENT_REPEAT) {
+          Alert.alert('Validation Error', `Repeats for "${segment.name}" must be between 1 and ${MAX_SEGMENT_REPEAT}`);
+          return false;
+        }
+      }
+    } else if (!is_stopwatch && !validate_minutes(duration_minutes, 'duration')) {
       return false;
     }
 
-    const duration_number = parseFloat(duration_minutes);
-    if (isNaN(duration_number) || duration_number <= 0) {
-      Alert.alert('Validation Error', 'Please enter a valid duration (greater than 0)');
-      return false;
+    // Interval checkpoints are optional, but must be valid when given
+    if (!is_stopwatch && checkpoint_every_minutes.trim()) {
+      if (!validate_minutes(checkpoint_every_minutes, 'checkpoint interval')) {
+        return false;
+      }
+      if (Math.floor(parseFloat(checkpoint_every_minutes) * 60) < MIN_CHECKPOINT_INTERVAL) {
+        Alert.alert('Validation Error', `The checkpoint interval must be at least ${MIN_CHECKPOINT_INTERVAL} second`);
+        return false;
+      }
     }
 
-    // Check for reasonable duration limits (max 999 minutes)
-    if (duration_number > 999) {
-      Alert.alert('Validation Error', 'Duration cannot exceed 999 minutes');
-      return false;
+    // Repeat count must be a whole number of rounds
+    if (!is_stopwatch && !repeat_forever) {
+      const rounds = Number(repeat_count.trim());
+      if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_REPEAT_COUNT) {
+        Alert.alert('Validation Error', `Repeat count must be a whole number between 1 and ${MAX_REPEAT_COUNT}`);
+        return false;
+      }
+    }
+
+    // A schedule needs a valid time and at least one day
+    if (schedule_enabled) {
+      if (!SCHEDULE_TIME_PATTERN.test(schedule_time.trim())) {
+        Alert.alert('Validation Error', 'Please enter the start time as HH:MM, e.g. 10:30 or 17:45');
+        return false;
+      }
+      if (schedule_days.length === 0) {
+        Alert.alert('Validation Error', 'Please select at least one day for the schedule');
+        return false;
+      }
     }
 
     // Check if category is selected or custom category is provided
@@ -108,6 +497,109 @@ export default function AddTimerScreen({ navigation }) {
     return true;
   };
 
+  /**
+   * Builds the auto-start schedule from the form
+   * @returns {Object|null} - Schedule, or null if the timer isn't scheduled
+   */
+  const build_schedule = () => {
+    const match = SCHEDULE_TIME_PATTERN.exec(schedule_time.trim());
+    if (!schedule_enabled || !match) {
+      return null;
+    }
+    return {
+      hour: parseInt(match[1], 10),
+      minute: parseInt(match[2], 10),
+      days: [...schedule_days].sort((a, b) => a - b),
+      enabled: true,
+    };
+  };
+
+  /**
+   * Toggles a weekday in the schedule
+   * @param {number} day - Weekday, 0 for Sunday
+   */
+  const toggle_schedule_day = (day) => {
+    set_schedule_days(prev => (
+      prev.includes(day) ? prev.filter(selected => selected !== day) : [...prev, day]
+    ));
+  };
+
+  /**
+   * Builds the timer definition from the form
+   * @param {Object} base_timer - Fields kept from outside the form, such as the ID
+   * @returns {Object} - Timer definition
+   */
+  const build_timer = (base_timer) => {
+    // Convert duration from minutes to seconds (stopwatches have no fixed duration)
+    const duration_seconds = is_stopwatch ? 0 : Math.floor(parseFloat(duration_minutes) * 60);
+
+    // Create timer object with category
+    const new_timer = {
+      ...base_timer,
+      name: timer_name.trim(),
+      type: timer_type,
+      duration: duration_seconds,
+      category: get_final_category(),
+    };
+
+    // A Pomodoro's duration is the length of its whole cycle
+    if (is_pomodoro) {
+      new_timer.pomodoro = {
+        focus_duration: Math.floor(parseFloat(focus_minutes) * 60),
+        short_break_duration: Math.floor(parseFloat(short_break_minutes) * 60),
+        long_break_duration: Math.floor(parseFloat(long_break_minutes) * 60),
+        rounds_before_long_break: parseInt(pomodoro_rounds, 10),
+      };
+      new_timer.duration = get_total_duration(new_timer);
+    }
+
+    // A routine's duration is the length of all its segments and repeats
+    if (is_routine) {
+      new_timer.segments = build_routine_segments();
+      new_timer.duration = get_total_duration(new_timer);
+    }
+
+    // Stopwatches have no end to count checkpoints from
+    const checkpoints = is_stopwatch ? [] : build_checkpoints();
+    if (checkpoints.length > 0) {
+      new_timer.checkpoints = checkpoints;
+      new_timer.checkpoint_vibrate = checkpoint_vibrate;
+    }
+
+    // Timers that run once don't store a repeat count
+    const rounds = repeat_forever ? REPEAT_FOREVER : Number(repeat_count.trim());
+    if (!is_stopwatch && rounds !== 1) {
+      new_timer.repeat_count = rounds;
+    }
+
+    // Repeating timers start their next round at zero, so only single runs can run over
+    if (!is_stopwatch && !is_repeating && overtime_enabled) {
+      new_timer.overtime = true;
+    }
+
+    // Scheduled timers start on their own at a local time of day
+    const schedule = build_schedule();
+    if (schedule) {
+      new_timer.schedule = schedule;
+    }
+
+    // Timers that finish with the default sound don't store one
+    if (completion_sound !== DEFAULT_COMPLETION_SOUND) {
+      new_timer.completion_sound = completion_sound;
+    }
+
+    // Stopwatches never reach zero, so there is nothing to count down to
+    if (!is_stopwatch && countdown_beeps) {
+      new_timer.countdown_beeps = true;
+    }
+
+    if (voice_announcements) {
+      new_timer.voice_announcements = true;
+    }
+
+    return new_timer;
+  };
+
   /**
    * Handles saving the timer and navigating back
    */
@@ -116,37 +608,84 @@ export default function AddTimerScreen({ navigation }) {
       return;
     }
 
-    // Convert duration from minutes to seconds
-    const duration_seconds = Math.floor(parseFloat(duration_minutes) * 60);
-    const final_category = get_final_category();
+    if (editing_timer) {
+      handle_save_changes();
+      return;
+    }
 
-    // Create timer object with category
-    const new_timer = {
+    const new_timer = build_timer({
       id: Date.now(), // Simple ID generation using timestamp
-      name: timer_name.trim(),
-      duration: duration_seconds,
-      category: final_category,
       created_at: new Date().toISOString(),
-    };
+    });
 
     // Navigate to Home tab with timer data
     navigation.navigate('Home', { new_timer });
 
     // Clear the form after successful save
-    set_timer_name('');
-    set_duration_minutes('');
-    set_selected_category('');
-    set_custom_category('');
-    set_is_custom_category(false);
+    handle_clear_form();
 
     // Show success message
     Alert.alert(
       'Success!',
-      `Timer "${new_timer.name}" has been created in "${final_category}" category!`,
+      `Timer "${new_timer.name}" has been created in "${new_timer.category}" category!`,
       [{ text: 'OK' }]
     );
   };
 
+  /**
+   * Saves the changes to the timer being edited
+   * A timer that is running keeps going if only its name, category or alerts changed;
+   * changes to how it runs need the run to be reset first
+   */
+  const handle_save_changes = () => {
+    // Fields the form doesn't set, such as the ID and creation date, are kept
+    const kept_fields = Object.fromEntries(
+      Object.entries(editing_timer).filter(([field]) => !FORM_FIELDS.includes(field))
+    );
+    const updated_timer = build_timer(kept_fields);
+
+    const save_changes = (reset_options) => {
+      if (reset_options) {
+        reset_timer(updated_timer.id, reset_options);
+      }
+
+      navigation.navigate('Home', { updated_timer, previous_name: editing_timer.name });
+      set_editing_timer(null);
+      handle_clear_form();
+    };
+
+    const run_status = get_timer_state(updated_timer.id)?.status;
+    const is_run_in_progress = run_status === 'running' || run_status === 'paused' || run_status === 'overtime';
+
+    if (!is_run_in_progress || has_same_run(editing_timer, updated_timer)) {
+      save_changes(null);
+      return;
+    }
+
+    const buttons = [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Reset & Save', style: 'destructive', onPress: () => save_changes({}) },
+    ];
+    if (run_status !== 'overtime') {
+      buttons.push({ text: 'Reset & Save Partial', onPress: () => save_changes({ save_partial: true }) });
+    }
+
+    Alert.alert(
+      'Timer Is Running',
+      `"${editing_timer.name}" is in progress. Changing how it runs resets the current run.`,
+      buttons
+    );
+  };
+
+  /**
+   * Stops editing without saving and goes back to the timers
+   */
+  const handle_cancel_edit = () => {
+    set_editing_timer(null);
+    handle_clear_form();
+    navigation.navigate('Home');
+  };
+
   /**
    * Handles clearing the form
    */
@@ -156,8 +695,42 @@ export default function AddTimerScreen({ navigation }) {
     set_selected_category('');
     set_custom_category('');
     set_is_custom_category(false);
+    set_timer_type(TIMER_TYPES.COUNTDOWN);
+    set_focus_minutes(String(DEFAULT_POMODORO_SETTINGS.focus_duration / 60));
+    set_short_break_minutes(String(DEFAULT_POMODORO_SETTINGS.short_break_duration / 60));
+    set_long_break_minutes(String(DEFAULT_POMODORO_SETTINGS.long_break_duration / 60));
+    set_pomodoro_rounds(String(DEFAULT_POMODORO_SETTINGS.rounds_before_long_break));
+    set_routine_segments([create_segment_draft()]);
+    set_checkpoint_halfway(false);
+    set_checkpoint_last_minute(false);
+    set_checkpoint_every_minutes('');
+    set_checkpoint_vibrate(true);
+    set_kept_checkpoints([]);
+    set_repeat_count('1');
+    set_repeat_forever(false);
+    set_overtime_enabled(false);
+    set_schedule_enabled(false);
+    set_schedule_time('');
+    set_schedule_days(WORKDAYS);
+    set_completion_sound(DEFAULT_COMPLETION_SOUND);
+    set_countdown_beeps(false);
+    set_voice_announcements(false);
+  };
+
+  /**
+   * Selects the completion sound and plays it so it can be heard before saving
+   * @param {string} sound_key - Key of COMPLETION_SOUNDS, or NO_SOUND
+   */
+  const handle_select_completion_sound = (sound_key) => {
+    set_completion_sound(sound_key);
+    if (sound_key !== NO_SOUND && settings.sound_enabled) {
+      play_sound(sound_key, settings.sound_volume);
+    }
   };
 
+  // Schedule as it will be saved, for the summary under the schedule settings
+  const schedule_preview = build_schedule();
+
   return (
     <KeyboardAvoidingView
       style={[styles.container, { backgroundColor: theme.background_primary }]}
@@ -166,8 +739,12 @@ export default function AddTimerScreen({ navigation }) {
       <ScrollView style={styles.scroll_container} keyboardShouldPersistTaps="handled">
         <View style={styles.form_container}>
           {/* Header */}
-          <Text style={[styles.title, { color: theme.text_primary }]}>Add New Timer</Text>
-          <Text style={[styles.subtitle, { color: theme.text_secondary }]}>Create a custom timer with your preferred duration and category</Text>
+          <Text style={[styles.title, { color: theme.text_primary }]}>{editing_timer ? 'Edit Timer' : 'Add New Timer'}</Text>
+          <Text style={[styles.subtitle, { color: theme.text_secondary }]}>
+            {editing_timer
+              ? `Change "${editing_timer.name}" - its history stays linked to it`
+              : 'Create a custom timer with your preferred duration and category'}
+          </Text>
 
           {/* Timer Name Input */}
           <View style={styles.input_group}>
@@ -188,30 +765,523 @@ export default function AddTimerScreen({ navigation }) {
             />
           </View>
 
-          {/* Duration Input */}
+          {/* Timer Type Selection */}
           <View style={styles.input_group}>
-            <Text style={[styles.label, { color: theme.text_primary }]}>Duration (minutes)</Text>
-            <TextInput
-              style={[styles.text_input, { 
-                backgroundColor: theme.card_background,
-                borderColor: theme.border_primary,
-                color: theme.text_primary 
-              }]}
-              placeholder="Enter duration in minutes"
-              placeholderTextColor={theme.text_tertiary}
-              value={duration_minutes}
-              onChangeText={set_duration_minutes}
-              keyboardType="numeric"
-              maxLength={6}
-              returnKeyType="done"
-            />
-            {duration_minutes && (
+            <Text style={[styles.label, { color: theme.text_primary }]}>Timer Type</Text>
+            <View style={styles.category_container}>
+              {TIMER_TYPE_OPTIONS.map((option) => {
+                const is_selected = timer_type === option.id;
+                return (
+                  <TouchableOpacity
+                    key={option.id}
+                    style={[
+                      styles.category_button,
+                      { 
+                        backgroundColor: is_selected ? theme.button_primary : theme.card_background,
+                        borderColor: is_selected ? theme.button_primary : theme.border_primary 
+                      }
+                    ]}
+                    onPress={() => set_timer_type(option.id)}
+                  >
+                    <Text style={styles.category_icon}>{option.icon}</Text>
+                    <Text style={[
+                      styles.category_text,
+                      { color: is_selected ? theme.text_inverse : theme.text_primary }
+                    ]}>
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          </View>
+
+          {/* Pomodoro Settings */}
+          {is_pomodoro && (
+            <View style={styles.input_group}>
+              <Text style={[styles.label, { color: theme.text_primary }]}>Pomodoro Cycle</Text>
+              {[
+                { label: 'Focus (minutes)', value: focus_minutes, on_change: set_focus_minutes },
+                { label: 'Short break (minutes)', value: short_break_minutes, on_change: set_short_break_minutes },
+                { label: 'Long break (minutes)', value: long_break_minutes, on_change: set_long_break_minutes },
+                { label: 'Rounds before long break', value: pomodoro_rounds, on_change: set_pomodoro_rounds },
+              ].map((field) => (
+                <View key={field.label} style={styles.inline_field}>
+                  <Text style={[styles.inline_label, { color: theme.text_secondary }]}>{field.label}</Text>
+                  <TextInput
+                    style={[styles.text_input, styles.inline_input, { 
+                      backgroundColor: theme.card_background,
+                      borderColor: theme.border_primary,
+                      color: theme.text_primary 
+                    }]}
+                    value={field.value}
+                    onChangeText={field.on_change}
+                    keyboardType="numeric"
+                    maxLength={5}
+                    returnKeyType="done"
+                  />
+                </View>
+              ))}
               <Text style={[styles.helper_text, { color: theme.text_secondary }]}>
-                ≈ {Math.floor(parseFloat(duration_minutes) || 0)} minutes
+                Focus time is recorded under the selected category, breaks under "Break"
               </Text>
+            </View>
+          )}
+
+          {/* Routine Segments */}
+          {is_routine && (
+            <View style={styles.input_group}>
+              <Text style={[styles.label, { color: theme.text_primary }]}>Segments</Text>
+              {routine_segments.map((segment, index) => (
+                <View
+                  key={segment.id}
+                  style={[styles.segment_card, { 
+                    backgroundColor: theme.card_background,
+                    borderColor: theme.border_primary,
+                    marginLeft: index > 0 && segment.linked ? 20 : 0 
+                  }]}
+                >
+                  <View style={styles.segment_row}>
+                    <Text style={[styles.segment_number, { color: theme.text_secondary }]}>{index + 1}.</Text>
+                    <TextInput
+                      style={[styles.text_input, styles.segment_name_input, { 
+                        backgroundColor: theme.background_primary,
+                        borderColor: theme.border_primary,
+                        color: theme.text_primary 
+                      }]}
+                      placeholder="Segment name (e.g. Plank)"
+                      placeholderTextColor={theme.text_tertiary}
+                      value={segment.name}
+                      onChangeText={(value) => update_segment(segment.id, 'name', value)}
+                      maxLength={30}
+                      autoCapitalize="words"
+                    />
+                  </View>
+                  <View style={styles.segment_row}>
+                    <TextInput
+                      style={[styles.text_input, styles.segment_small_input, { 
+                        backgroundColor: theme.background_primary,
+                        borderColor: theme.border_primary,
+                        color: theme.text_primary 
+                      }]}
+                      placeholder="0:45"
+                      placeholderTextColor={theme.text_tertiary}
+                      value={segment.duration_text}
+                      onChangeText={(value) => update_segment(segment.id, 'duration_text', value)}
+                      keyboardType="numbers-and-punctuation"
+                      maxLength={6}
+                    />
+                    {!(index > 0 && segment.linked) && (
+                      <View style={styles.segment_repeat}>
+                        <Text style={[styles.segment_repeat_label, { color: theme.text_secondary }]}>×</Text>
+                        <TextInput
+                          style={[styles.text_input, styles.segment_small_input, { 
+                            backgroundColor: theme.background_primary,
+                            borderColor: theme.border_primary,
+                            color: theme.text_primary 
+                          }]}
+                          value={segment.repeat_text}
+                          onChangeText={(value) => update_segment(segment.id, 'repeat_text', value)}
+                          keyboardType="numeric"
+                          maxLength={2}
+                        />
+                      </View>
+                    )}
+                    <View style={styles.segment_actions}>
+                      {index > 0 && (
+                        <TouchableOpacity
+                          style={[styles.segment_action, { 
+                            backgroundColor: segment.linked ? theme.button_primary : 'transparent',
+                            borderColor: theme.border_primary 
+                          }]}
+                          onPress={() => update_segment(segment.id, 'linked', !segment.linked)}
+                        >
+                          <Text style={styles.segment_action_text}>🔗</Text>
+                        </TouchableOpacity>
+                      )}
+                      <TouchableOpacity
+                        style={[styles.segment_action, { borderColor: theme.border_primary }]}
+                        onPress={() => move_segment(index, -1)}
+                        disabled={index === 0}
+                      >
+                        <Text style={[styles.segment_action_text, { color: theme.text_primary }]}>↑</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        style={[styles.segment_action, { borderColor: theme.border_primary }]}
+                        onPress={() => move_segment(index, 1)}
+                        disabled={index === routine_segments.length - 1}
+                      >
+                        <Text style={[styles.segment_action_text, { color: theme.text_primary }]}>↓</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        style={[styles.segment_action, { borderColor: theme.border_primary }]}
+                        onPress={() => remove_segment(segment.id)}
+                      >
+                        <Text style={[styles.segment_action_text, { color: theme.button_danger }]}>✕</Text>
+                      </TouchableOpacity>
+                    </View>
+                  </View>
+                </View>
+              ))}
+
+              <TouchableOpacity
+                style={[styles.add_segment_button, { borderColor: theme.button_primary }]}
+                onPress={add_segment}
+              >
+                <Text style={[styles.add_segment_text, { color: theme.button_primary }]}>+ Add Segment</Text>
+              </TouchableOpacity>
+
+              <Text style={[styles.helper_text, { color: theme.text_secondary }]}>
+                Durations as m:ss or seconds. Tap 🔗 to repeat a segment together with the one above it.
+              </Text>
+              {routine_segments.length > 0 && (
+                <Text style={[styles.helper_text, { color: theme.text_secondary }]}>
+                  {format_segments_summary(build_routine_segments().map(segment => ({
+                    ...segment,
+                    name: segment.name || 'Segment',
+                    duration: isNaN(segment.duration) ? 0 : segment.duration,
+                    repeat: isNaN(segment.repeat) ? 1 : segment.repeat,
+                  })))}
+                </Text>
+              )}
+            </View>
+          )}
+
+          {/* Stopwatch Info */}
+          {is_stopwatch && (
+            <View style={styles.input_group}>
+              <Text style={[styles.helper_text, { color: theme.text_secondary }]}>
+                A stopwatch counts up until you stop it. The time it ran and any laps are saved to history.
+              </Text>
+            </View>
+          )}
+
+          {/* Duration Input */}
+          {!is_pomodoro && !is_routine && !is_stopwatch && (
+            <View style={styles.input_group}>
+              <Text style={[styles.label, { color: theme.text_primary }]}>Duration (minutes)</Text>
+              <TextInput
+                style={[styles.text_input, { 
+                  backgroundColor: theme.card_background,
+                  borderColor: theme.border_primary,
+                  color: theme.text_primary 
+                }]}
+                placeholder="Enter duration in minutes"
+                placeholderTextColor={theme.text_tertiary}
+                value={duration_minutes}
+                onChangeText={set_duration_minutes}
+                keyboardType="numeric"
+                maxLength={6}
+                returnKeyType="done"
+              />
+              {duration_minutes && (
+                <Text style={[styles.helper_text, { color: theme.text_secondary }]}>
+                  ≈ {Math.floor(parseFloat(duration_minutes) || 0)} minutes
+                </Text>
+              )}
+            </View>
+          )}
+
+          {/* Checkpoints */}
+          {!is_stopwatch && (
+            <View style={styles.input_group}>
+              <Text style={[styles.label, { color: theme.text_primary }]}>Checkpoints</Text>
+              <View style={styles.category_container}>
+                {[
+                  { id: 'halfway', label: 'Halfway', is_selected: checkpoint_halfway, on_press: () => set_checkpoint_halfway(!checkpoint_halfway) },
+                  { id: 'last_minute', label: '1 minute left', is_selected: checkpoint_last_minute, on_press: () => set_checkpoint_last_minute(!checkpoint_last_minute) },
+                  { id: 'vibrate', label: '📳 Vibrate', is_selected: checkpoint_vibrate, on_press: () => set_checkpoint_vibrate(!checkpoint_vibrate) },
+                ].map((option) => (
+                  <TouchableOpacity
+                    key={option.id}
+                    style={[
+                      styles.category_button,
+                      { 
+                        backgroundColor: option.is_selected ? theme.button_primary : theme.card_background,
+                        borderColor: option.is_selected ? theme.button_primary : theme.border_primary 
+                      }
+                    ]}
+                    onPress={option.on_press}
+                  >
+                    <Text style={[
+                      styles.category_text,
+                      { color: option.is_selected ? theme.text_inverse : theme.text_primary }
+                    ]}>
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <View style={styles.inline_field}>
+                <Text style={[styles.inline_label, { color: theme.text_secondary }]}>Every (minutes, optional)</Text>
+                <TextInput
+                  style={[styles.text_input, styles.inline_input, { 
+                    backgroundColor: theme.card_background,
+                    borderColor: theme.border_primary,
+                    color: theme.text_primary 
+                  }]}
+                  value={checkpoint_every_minutes}
+                  onChangeText={set_checkpoint_every_minutes}
+                  placeholder="—"
+                  placeholderTextColor={theme.text_tertiary}
+                  keyboardType="numeric"
+                  maxLength={5}
+                  returnKeyType="done"
+                />
+              </View>
+              <Text style={[styles.helper_text, { color: theme.text_secondary }]}>
+                The timer card pulses at each checkpoint, which is marked on its progress bar
+              </Text>
+              {kept_checkpoints.length > 0 && (
+                <Text style={[styles.helper_text, { color: theme.text_secondary }]}>
+                  {`Also keeps ${kept_checkpoints.length} imported ${kept_checkpoints.length === 1 ? 'checkpoint' : 'checkpoints'} this form can't change`}
+                </Text>
+              )}
+            </View>
+          )}
+
+          {/* Auto-Repeat */}
+          {!is_stopwatch && (
+            <View style={styles.input_group}>
+              <Text style={[styles.label, { color: theme.text_primary }]}>Repeat</Text>
+              <View style={styles.inline_field}>
+                <Text style={[styles.inline_label, { color: theme.text_secondary }]}>Rounds</Text>
+                <TextInput
+                  style={[styles.text_input, styles.inline_input, { 
+                    backgroundColor: theme.card_background,
+                    borderColor: theme.border_primary,
+                    color: repeat_forever ? theme.text_tertiary : theme.text_primary 
+                  }]}
+                  value={repeat_forever ? '∞' : repeat_count}
+                  onChangeText={set_repeat_count}
+                  editable={!repeat_forever}
+                  keyboardType="number-pad"
+                  maxLength={2}
+                  returnKeyType="done"
+                />
+              </View>
+              <View style={styles.category_container}>
+                <TouchableOpacity
+                  style={[
+                    styles.category_button,
+                    { 
+                      backgroundColor: repeat_forever ? theme.button_primary : theme.card_background,
+                      borderColor: repeat_forever ? theme.button_primary : theme.border_primary 
+                    }
+                  ]}
+                  onPress={() => set_repeat_forever(!repeat_forever)}
+                >
+                  <Text style={[
+                    styles.category_text,
+                    { color: repeat_forever ? theme.text_inverse : theme.text_primary }
+                  ]}>
+                    🔁 Forever
+                  </Text>
+                </TouchableOpacity>
+              </View>
+              <Text style={[styles.helper_text, { color: theme.text_secondary }]}>
+                Each round starts as soon as the previous one ends and is saved to history
+              </Text>
+            </View>
+          )}
+
+          {/* Overtime */}
+          {!is_stopwatch && !is_repeating && (
+            <View style={styles.input_group}>
+              <Text style={[styles.label, { color: theme.text_primary }]}>Overtime</Text>
+              <View style={styles.category_container}>
+                <TouchableOpacity
+                  style={[
+                    styles.category_button,
+                    { 
+                      backgroundColor: overtime_enabled ? theme.button_primary : theme.card_background,
+                      borderColor: overtime_enabled ? theme.button_primary : theme.border_primary 
+                    }
+                  ]}
+                  onPress={() => set_overtime_enabled(!overtime_enabled)}
+                >
+                  <Text style={[
+                    styles.category_text,
+                    { color: overtime_enabled ? theme.text_inverse : theme.text_primary }
+                  ]}>
+                    ⏱️ Keep counting past zero
+                  </Text>
+                </TouchableOpacity>
+              </View>
+              <Text style={[styles.helper_text, { color: theme.text_secondary }]}>
+                The timer is completed at zero, then shows how far you ran over until you stop it
+              </Text>
+            </View>
+          )}
+
+          {/* Schedule */}
+          <View style={styles.input_group}>
+            <Text style={[styles.label, { color: theme.text_primary }]}>Schedule</Text>
+            <View style={styles.category_container}>
+              <TouchableOpacity
+                style={[
+                  styles.category_button,
+                  { 
+                    backgroundColor: schedule_enabled ? theme.button_primary : theme.card_background,
+                    borderColor: schedule_enabled ? theme.button_primary : theme.border_primary 
+                  }
+                ]}
+                onPress={() => set_schedule_enabled(!schedule_enabled)}
+              >
+                <Text style={[
+                  styles.category_text,
+                  { color: schedule_enabled ? theme.text_inverse : theme.text_primary }
+                ]}>
+                  ⏰ Start automatically
+                </Text>
+              </TouchableOpacity>
+            </View>
+
+            {schedule_enabled && (
+              <>
+                <View style={styles.inline_field}>
+                  <Text style={[styles.inline_label, { color: theme.text_secondary }]}>Start time (HH:MM)</Text>
+                  <TextInput
+                    style={[styles.text_input, styles.inline_input, { 
+                      backgroundColor: theme.card_background,
+                      borderColor: theme.border_primary,
+                      color: theme.text_primary 
+                    }]}
+                    value={schedule_time}
+                    onChangeText={set_schedule_time}
+                    placeholder="10:30"
+                    placeholderTextColor={theme.text_tertiary}
+                    keyboardType="numbers-and-punctuation"
+                    maxLength={5}
+                    returnKeyType="done"
+                  />
+                </View>
+                <View style={styles.category_container}>
+                  {WEEKDAYS.map(({ day, short_label }) => {
+                    const is_selected = schedule_days.includes(day);
+                    return (
+                      <TouchableOpacity
+                        key={day}
+                        style={[
+                          styles.category_button,
+                          { 
+                            backgroundColor: is_selected ? theme.button_primary : theme.card_background,
+                            borderColor: is_selected ? theme.button_primary : theme.border_primary 
+                          }
+                        ]}
+                        onPress={() => toggle_schedule_day(day)}
+                      >
+                        <Text style={[
+                          styles.category_text,
+                          { color: is_selected ? theme.text_inverse : theme.text_primary }
+                        ]}>
+                          {short_label}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+                <View style={styles.category_container}>
+                  {[
+                    { id: 'daily', label: 'Daily', days: EVERY_DAY },
+                    { id: 'weekdays', label: 'Weekdays', days: WORKDAYS },
+                  ].map((preset) => (
+                    <TouchableOpacity
+                      key={preset.id}
+                      style={[styles.category_button, { 
+                        backgroundColor: theme.card_background,
+                        borderColor: theme.border_primary 
+                      }]}
+                      onPress={() => set_schedule_days(preset.days)}
+                    >
+                      <Text style={[styles.category_text, { color: theme.text_primary }]}>{preset.label}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                <Text style={[styles.helper_text, { color: theme.text_secondary }]}>
+                  {schedule_preview ? `${format_schedule(schedule_preview)} in your local time.` : 'Starts in your local time.'}
+                  {' '}Starts missed while the app was closed are caught up when you open it.
+                </Text>
+              </>
             )}
           </View>
 
+          {/* Sound */}
+          <View style={styles.input_group}>
+            <Text style={[styles.label, { color: theme.text_primary }]}>Sound</Text>
+            <View style={styles.category_container}>
+              {[
+                ...Object.entries(COMPLETION_SOUNDS).map(([sound_key, sound]) => ({ id: sound_key, label: sound.label })),
+                { id: NO_SOUND, label: 'None' },
+              ].map((option) => {
+                const is_selected = completion_sound === option.id;
+                return (
+                  <TouchableOpacity
+                    key={option.id}
+                    style={[
+                      styles.category_button,
+                      { 
+                        backgroundColor: is_selected ? theme.button_primary : theme.card_background,
+                        borderColor: is_selected ? theme.button_primary : theme.border_primary 
+                      }
+                    ]}
+                    onPress={() => handle_select_completion_sound(option.id)}
+                  >
+                    <Text style={[
+                      styles.category_text,
+                      { color: is_selected ? theme.text_inverse : theme.text_primary }
+                    ]}>
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+            <View style={styles.category_container}>
+              {!is_stopwatch && (
+                <TouchableOpacity
+                  style={[
+                    styles.category_button,
+                    { 
+                      backgroundColor: countdown_beeps ? theme.button_primary : theme.card_background,
+                      borderColor: countdown_beeps ? theme.button_primary : theme.border_primary 
+                    }
+                  ]}
+                  onPress={() => set_countdown_beeps(!countdown_beeps)}
+                >
+                  <Text style={[
+                    styles.category_text,
+                    { color: countdown_beeps ? theme.text_inverse : theme.text_primary }
+                  ]}>
+                    🔔 3-2-1 beeps
+                  </Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity
+                style={[
+                  styles.category_button,
+                  { 
+                    backgroundColor: voice_announcements ? theme.button_primary : theme.card_background,
+                    borderColor: voice_announcements ? theme.button_primary : theme.border_primary 
+                  }
+                ]}
+                onPress={() => set_voice_announcements(!voice_announcements)}
+              >
+                <Text style={[
+                  styles.category_text,
+                  { color: voice_announcements ? theme.text_inverse : theme.text_primary }
+                ]}>
+                  🗣️ Spoken announcements
+                </Text>
+              </TouchableOpacity>
+            </View>
+            <Text style={[styles.helper_text, { color: theme.text_secondary }]}>
+              {is_stopwatch
+                ? 'Plays when you stop the stopwatch. Tap a sound to hear it. Announcements speak its name on start and when you stop it.'
+                : 'Plays when the timer finishes. Tap a sound to hear it. 3-2-1 beeps count down the end of every phase. Announcements speak each phase, halfway, the last ten seconds and the end.'}
+            </Text>
+          </View>
+
           {/* Category Selection */}
           <View style={styles.input_group}>
             <Text style={[styles.label, { color: theme.text_primary }]}>Category</Text>
@@ -274,16 +1344,16 @@ export default function AddTimerScreen({ navigation }) {
                 borderWidth: 1,
                 borderColor: theme.border_primary 
               }]}
-              onPress={handle_clear_form}
+              onPress={editing_timer ? handle_cancel_edit : handle_clear_form}
             >
-              <Text style={[styles.clear_button_text, { color: theme.text_primary }]}>Clear</Text>
+              <Text style={[styles.clear_button_text, { color: theme.text_primary }]}>{editing_timer ? 'Cancel' : 'Clear'}</Text>
             </TouchableOpacity>
 
             <TouchableOpacity
               style={[styles.button, { backgroundColor: theme.button_primary }]}
               onPress={handle_save_timer}
             >
-              <Text style={[styles.save_button_text, { color: theme.text_inverse }]}>Save Timer</Text>
+              <Text style={[styles.save_button_text, { color: theme.text_inverse }]}>{editing_timer ? 'Save Changes' : 'Save Timer'}</Text>
             </TouchableOpacity>
           </View>
         </View>
@@ -328,6 +1398,84 @@ const styles = StyleSheet.create({
     padding: 15,
     fontSize: 16,
   },
+  inline_field: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 10,
+  },
+  inline_label: {
+    fontSize: 14,
+    flex: 1,
+  },
+  inline_input: {
+    width: 90,
+    paddingVertical: 10,
+    textAlign: 'center',
+  },
+  segment_card: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 10,
+    gap: 8,
+  },
+  segment_row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  segment_number: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  segment_name_input: {
+    flex: 1,
+    paddingVertical: 8,
+  },
+  segment_small_input: {
+    width: 64,
+    paddingVertical: 8,
+    textAlign: 'center',
+  },
+  segment_repeat: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  segment_repeat_label: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  segment_actions: {
+    flex: 1,
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 6,
+  },
+  segment_action: {
+    width: 32,
+    height: 32,
+    borderRadius: 6,
+    borderWidth: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  segment_action_text: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  add_segment_button: {
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderRadius: 8,
+    paddingVertical: 10,
+    alignItems: 'center',
+  },
+  add_segment_text: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
   helper_text: {
     fontSize: 14,
     marginTop: 5,
@@ -2,15 +2,24 @@ import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet, SectionList, TouchableOpacity, Alert, ActivityIndicator, RefreshControl } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
 import { use_theme } from '../contexts/ThemeContext';
+import { TIMER_TYPES, format_segments_summary, format_repeat_round } from '../utils/timer_types';
 import { 
   load_history, 
-  clear_history, 
   group_history_by_date, 
   get_today_completion_count, 
   get_today_total_time,
+  get_entry_seconds,
+  is_partial_entry,
+  filter_history_by_reflection,
+  get_average_rating,
+  HISTORY_STATUS,
+  SESSION_MOODS,
+  SESSION_RATINGS,
   format_completion_time,
   format_duration
 } from '../utils/history';
+import { trash_history_entries, restore_from_trash, TRASH_RETENTION_DAYS } from '../utils/trash';
+import UndoToast from '../components/UndoToast';
 
 /**
  * HistoryScreen component - displays completed timer history
@@ -26,6 +35,22 @@ export default function HistoryScreen() {
   const [is_loading, set_is_loading] = useState(true);
   const [is_refreshing, set_is_refreshing] = useState(false);
 
+  // Filters on how sessions felt
+  const [reflection_filters, set_reflection_filters] = useState({ mood: null, min_rating: null, with_note: false });
+  const has_active_filter = !!(reflection_filters.mood || reflection_filters.min_rating || reflection_filters.with_note);
+
+  // Last delete that can still be undone, null when there is none
+  const [undo_delete, set_undo_delete] = useState(null);
+
+  /**
+   * Shows a history without reloading the screen
+   * @param {Array<Object>} history - History entries, newest first
+   */
+  const show_history = (history) => {
+    set_raw_history(history);
+    set_history_data(group_history_by_date(history));
+  };
+
   /**
    * Loads history data from storage
    */
@@ -72,7 +97,7 @@ export default function HistoryScreen() {
 
     Alert.alert(
       'Clear History',
-      'Are you sure you want to clear all timer history? This action cannot be undone.',
+      `Are you sure you want to clear all timer history? It can be restored from the trash for ${TRASH_RETENTION_DAYS} days.`,
       [
         {
           text: 'Cancel',
@@ -83,15 +108,13 @@ export default function HistoryScreen() {
           style: 'destructive',
           onPress: async () => {
             try {
-              const success = await clear_history();
-              if (success) {
-                set_history_data([]);
-                set_raw_history([]);
-                Alert.alert(
-                  'History Cleared',
-                  'All timer history has been successfully cleared.',
-                  [{ text: 'OK' }]
-                );
+              const result = await trash_history_entries(null);
+              if (result) {
+                show_history([]);
+                set_undo_delete({
+                  trash_item_id: result.trash_item_id,
+                  message: `Cleared ${result.entry_count} session${result.entry_count !== 1 ? 's' : ''}`,
+                });
               } else {
                 Alert.alert(
                   'Error',
@@ -113,18 +136,97 @@ export default function HistoryScreen() {
     );
   };
 
+  /**
+   * Handles deleting a single session with confirmation
+   * @param {Object} entry - History entry to delete
+   */
+  const handle_delete_entry = (entry) => {
+    Alert.alert(
+      'Delete Session',
+      `Delete this "${entry.timer_name}" session? It can be restored from the trash for ${TRASH_RETENTION_DAYS} days.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await trash_history_entries([entry.id]);
+            if (result) {
+              show_history(raw_history.filter(history_entry => history_entry.id !== entry.id));
+              set_undo_delete({ trash_item_id: result.trash_item_id, message: `Deleted "${entry.timer_name}" session` });
+            } else {
+              Alert.alert('Error', 'Failed to delete the session. Please try again.', [{ text: 'OK' }]);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Puts the last deleted sessions back in the history
+   */
+  const handle_undo_delete = async () => {
+    const { trash_item_id } = undo_delete;
+    set_undo_delete(null);
+
+    if (await restore_from_trash(trash_item_id)) {
+      show_history(await load_history());
+    } else {
+      Alert.alert('Undo Failed', 'The sessions are no longer in the trash.');
+    }
+  };
+
+  /**
+   * Turns a reflection filter on, or off if it is already set to that value
+   * @param {string} filter_key - Key of the filter in reflection_filters
+   * @param {*} value - Value to filter by
+   */
+  const toggle_reflection_filter = (filter_key, value) => {
+    set_reflection_filters(prev => ({
+      ...prev,
+      [filter_key]: prev[filter_key] === value ? (filter_key === 'with_note' ? false : null) : value,
+    }));
+  };
+
   /**
    * Renders a single history item
    */
   const render_history_item = ({ item }) => {
+    const is_partial = is_partial_entry(item);
+    const accent_color = is_partial ? theme.button_warning : theme.button_success;
+
     return (
-      <View style={[styles.history_item, { 
-        backgroundColor: theme.card_background,
-        shadowColor: theme.shadow_color,
-        borderLeftColor: theme.button_success 
-      }]}>
+      <TouchableOpacity
+        style={[styles.history_item, { 
+          backgroundColor: theme.card_background,
+          shadowColor: theme.shadow_color,
+          borderLeftColor: accent_color 
+        }]}
+        onLongPress={() => handle_delete_entry(item)}
+        activeOpacity={0.8}
+      >
         <View style={styles.item_header}>
-          <Text style={[styles.timer_name, { color: theme.text_primary }]}>{item.timer_name}</Text>
+          <View style={styles.name_container}>
+            <View style={styles.name_row}>
+              <Text style={[styles.timer_name, { color: theme.text_primary }]}>{item.timer_name}</Text>
+              {is_partial && (
+                <View style={[styles.partial_badge, { backgroundColor: theme.button_warning }]}>
+                  <Text style={[styles.partial_badge_text, { color: theme.text_inverse }]}>Partial</Text>
+                </View>
+              )}
+            </View>
+            {item.phase_name && (
+              <Text style={[styles.phase_text, { color: theme.text_secondary }]}>
+                {item.round ? `${item.phase_name} · Round ${item.round}` : item.phase_name}
+              </Text>
+            )}
+            {item.repeat_round && (
+              <Text style={[styles.phase_text, { color: theme.text_secondary }]}>
+                🔁 {format_repeat_round(item.repeat_round, item.repeat_count)}
+              </Text>
+            )}
+          </View>
           <Text style={[styles.completion_time, { color: theme.text_secondary }]}>
             {format_completion_time(item.completion_time)}
           </Text>
@@ -132,9 +234,13 @@ export default function HistoryScreen() {
         
         <View style={styles.item_details}>
           <View style={styles.duration_container}>
-            <Text style={[styles.duration_label, { color: theme.text_secondary }]}>Duration:</Text>
-            <Text style={[styles.duration_value, { color: theme.button_success }]}>
-              {format_duration(item.original_duration)}
+            <Text style={[styles.duration_label, { color: theme.text_secondary }]}>
+              {is_partial ? 'Ran:' : item.timer_type === TIMER_TYPES.STOPWATCH ? 'Elapsed:' : 'Duration:'}
+            </Text>
+            <Text style={[styles.duration_value, { color: accent_color }]}>
+              {is_partial && item.timer_type !== TIMER_TYPES.STOPWATCH
+                ? `${format_duration(item.elapsed_duration)} of ${format_duration(item.original_duration)}`
+                : format_duration(get_entry_seconds(item))}
             </Text>
           </View>
           
@@ -147,7 +253,40 @@ export default function HistoryScreen() {
             </View>
           )}
         </View>
-      </View>
+
+        {item.overtime_duration > 0 && (
+          <Text style={[styles.overtime_text, { color: theme.button_warning }]}>
+            ⏱️ +{format_duration(item.overtime_duration)} overtime
+          </Text>
+        )}
+
+        {item.segments && item.segments.length > 0 && (
+          <Text style={[styles.segments_text, { color: theme.text_secondary }]}>
+            {format_segments_summary(item.segments)}
+          </Text>
+        )}
+
+        {item.laps && item.laps.length > 0 && (
+          <Text style={[styles.segments_text, { color: theme.text_secondary }]}>
+            {item.laps.map((lap, index) => `Lap ${index + 1}: ${format_duration(lap)}`).join(' · ')}
+          </Text>
+        )}
+
+        {(item.mood || item.rating) && (
+          <View style={styles.reflection_row}>
+            {item.mood && <Text style={styles.reflection_mood}>{item.mood}</Text>}
+            {item.rating && (
+              <Text style={[styles.reflection_rating, { color: theme.button_warning }]}>
+                {'★'.repeat(item.rating)}{'☆'.repeat(SESSION_RATINGS.length - item.rating)}
+              </Text>
+            )}
+          </View>
+        )}
+
+        {item.note && (
+          <Text style={[styles.note_text, { color: theme.text_primary }]}>“{item.note}”</Text>
+        )}
+      </TouchableOpacity>
     );
   };
 
@@ -156,7 +295,8 @@ export default function HistoryScreen() {
    */
   const render_section_header = ({ section }) => {
     const entries_count = section.data.length;
-    const total_time = section.data.reduce((sum, entry) => sum + entry.original_duration, 0);
+    const total_time = section.data.reduce((sum, entry) => sum + get_entry_seconds(entry), 0);
+    const average_rating = get_average_rating(section.data);
     
     return (
       <View style={[styles.section_header, { 
@@ -172,6 +312,11 @@ export default function HistoryScreen() {
             <Text style={[styles.section_total_time, { color: theme.button_primary }]}>
               {format_duration(total_time)} total
             </Text>
+            {average_rating !== null && (
+              <Text style={[styles.section_count, { color: theme.button_warning }]}>
+                ★ {average_rating.toFixed(1)} avg
+              </Text>
+            )}
           </View>
         </View>
       </View>
@@ -184,7 +329,10 @@ export default function HistoryScreen() {
   const render_header = () => {
     const today_count = get_today_completion_count(raw_history);
     const today_total_time = get_today_total_time(raw_history);
+    const today_partial_time = get_today_total_time(raw_history, HISTORY_STATUS.PARTIAL);
     const total_timers = raw_history.length;
+    const total_partial = raw_history.filter(is_partial_entry).length;
+    const total_completed = total_timers - total_partial;
 
     return (
       <View style={[styles.header, { 
@@ -194,7 +342,7 @@ export default function HistoryScreen() {
         <Text style={[styles.screen_title, { color: theme.text_primary }]}>Timer History</Text>
         
         {/* Today's Statistics */}
-        {today_count > 0 && (
+        {today_total_time > 0 && (
           <View style={[styles.today_stats, { 
             backgroundColor: theme.stats_background, 
             borderLeftColor: theme.stats_border 
@@ -213,6 +361,38 @@ export default function HistoryScreen() {
                 <Text style={[styles.stat_label, { color: theme.text_secondary }]}>Total Time</Text>
               </View>
             </View>
+            {today_partial_time > 0 && (
+              <Text style={[styles.partial_stats_text, { color: theme.text_secondary }]}>
+                {format_duration(today_total_time - today_partial_time)} completed · {format_duration(today_partial_time)} partial
+              </Text>
+            )}
+          </View>
+        )}
+
+        {/* Reflection Filters */}
+        {raw_history.some(entry => entry.note || entry.rating || entry.mood) && (
+          <View style={styles.filter_container}>
+            {[
+              { key: 'with_note', value: true, label: '📝 Notes' },
+              ...SESSION_RATINGS.slice(2).map(rating => ({ key: 'min_rating', value: rating, label: rating === SESSION_RATINGS.length ? `★ ${rating}` : `★ ${rating}+` })),
+              ...SESSION_MOODS.map(mood => ({ key: 'mood', value: mood, label: mood })),
+            ].map(({ key, value, label }) => {
+              const is_selected = reflection_filters[key] === value;
+              return (
+                <TouchableOpacity
+                  key={`${key}_${value}`}
+                  style={[styles.filter_chip, { 
+                    backgroundColor: is_selected ? theme.button_primary : theme.card_background,
+                    borderColor: is_selected ? theme.button_primary : theme.border_primary 
+                  }]}
+                  onPress={() => toggle_reflection_filter(key, value)}
+                >
+                  <Text style={[styles.filter_chip_text, { color: is_selected ? theme.text_inverse : theme.text_primary }]}>
+                    {label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
           </View>
         )}
 
@@ -220,7 +400,8 @@ export default function HistoryScreen() {
         {total_timers > 0 && (
           <View style={styles.total_stats}>
             <Text style={[styles.total_stats_text, { color: theme.text_secondary }]}>
-              📊 {total_timers} total timer{total_timers !== 1 ? 's' : ''} completed
+              📊 {total_completed} total timer{total_completed !== 1 ? 's' : ''} completed
+              {total_partial > 0 ? ` · ${total_partial} partial` : ''}
             </Text>
           </View>
         )}
@@ -239,6 +420,10 @@ export default function HistoryScreen() {
             <Text style={[styles.clear_button_text, { color: theme.text_inverse }]}>🗑️ Clear History</Text>
           </TouchableOpacity>
         )}
+
+        {total_timers > 0 && (
+          <Text style={[styles.delete_hint, { color: theme.text_secondary }]}>💡 Long-press a session to delete it</Text>
+        )}
       </View>
     );
   };
@@ -246,7 +431,18 @@ export default function HistoryScreen() {
   /**
    * Renders empty state when no history exists
    */
-  const render_empty_state = () => (
+  const render_empty_state = () => has_active_filter ? (
+    <View style={styles.empty_state_container}>
+      <Text style={styles.empty_state_emoji}>🔍</Text>
+      <Text style={[styles.empty_state_title, { color: theme.text_primary }]}>No Matching Sessions</Text>
+      <Text style={[styles.empty_state_message, { color: theme.text_secondary }]}>
+        No sessions match the selected filters.
+      </Text>
+      <TouchableOpacity onPress={() => set_reflection_filters({ mood: null, min_rating: null, with_note: false })}>
+        <Text style={[styles.empty_state_subtitle, { color: theme.button_primary }]}>Clear filters</Text>
+      </TouchableOpacity>
+    </View>
+  ) : (
     <View style={styles.empty_state_container}>
       <Text style={styles.empty_state_emoji}>📈</Text>
       <Text style={[styles.empty_state_title, { color: theme.text_primary }]}>No Timer History</Text>
@@ -277,16 +473,21 @@ export default function HistoryScreen() {
     );
   }
 
+  // Sessions shown under the selected filters
+  const visible_sections = has_active_filter
+    ? group_history_by_date(filter_history_by_reflection(raw_history, reflection_filters))
+    : history_data;
+
   return (
     <View style={[styles.container, { backgroundColor: theme.background_primary }]}>
       <SectionList
-        sections={history_data}
+        sections={visible_sections}
         keyExtractor={(item) => item.id}
         renderItem={render_history_item}
         renderSectionHeader={render_section_header}
         ListHeaderComponent={render_header}
         ListEmptyComponent={render_empty_state}
-        contentContainerStyle={history_data.length === 0 ? styles.empty_content : null}
+        contentContainerStyle={visible_sections.length === 0 ? styles.empty_content : null}
         showsVerticalScrollIndicator={false}
         refreshControl={
           <RefreshControl
@@ -297,6 +498,12 @@ export default function HistoryScreen() {
           />
         }
       />
+
+      <UndoToast
+        message={undo_delete?.message ?? null}
+        onUndo={handle_undo_delete}
+        onDismiss={() => set_undo_delete(null)}
+      />
     </View>
   );
 }
@@ -358,6 +565,51 @@ const styles = StyleSheet.create({
     height: 40,
     marginHorizontal: 15,
   },
+  overtime_text: {
+    fontSize: 12,
+    fontWeight: '600',
+    marginTop: 8,
+  },
+  filter_container: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: 8,
+    marginBottom: 15,
+  },
+  filter_chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+  },
+  filter_chip_text: {
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  reflection_row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 8,
+  },
+  reflection_mood: {
+    fontSize: 18,
+  },
+  reflection_rating: {
+    fontSize: 14,
+    letterSpacing: 1,
+  },
+  note_text: {
+    fontSize: 13,
+    fontStyle: 'italic',
+    marginTop: 6,
+  },
+  partial_stats_text: {
+    fontSize: 12,
+    textAlign: 'center',
+    marginTop: 10,
+  },
   total_stats: {
     alignItems: 'center',
     marginBottom: 15,
@@ -384,6 +636,12 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: 'bold',
   },
+  delete_hint: {
+    fontSize: 12,
+    fontStyle: 'italic',
+    textAlign: 'center',
+    marginTop: 8,
+  },
   section_header: {
     borderBottomWidth: 1,
   },
@@ -428,11 +686,31 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginBottom: 10,
   },
+  name_container: {
+    flex: 1,
+    marginRight: 10,
+  },
   timer_name: {
     fontSize: 16,
     fontWeight: 'bold',
-    flex: 1,
-    marginRight: 10,
+  },
+  name_row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  partial_badge: {
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 8,
+    marginLeft: 8,
+  },
+  partial_badge_text: {
+    fontSize: 10,
+    fontWeight: '600',
+  },
+  phase_text: {
+    fontSize: 12,
+    marginTop: 2,
   },
   completion_time: {
     fontSize: 14,
@@ -459,6 +737,10 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     alignItems: 'center',
   },
+  segments_text: {
+    fontSize: 12,
+    marginTop: 8,
+  },
   category_label: {
     fontSize: 12,
     marginRight: 5,
@@ -1,15 +1,77 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { View, Text, StyleSheet, SectionList, Alert, TouchableOpacity, ActivityIndicator } from 'react-native';
+import { View, Text, StyleSheet, Alert, TouchableOpacity, ActivityIndicator } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
+import DraggableFlatList, { ScaleDecorator } from 'react-native-draggable-flatlist';
 import Timer from '../components/Timer';
 import SwipeableTimer from '../components/SwipeableTimer';
-import { save_timers, load_timers } from '../utils/storage';
+import TimerTransferModal from '../components/TimerTransferModal';
+import UndoToast from '../components/UndoToast';
+import { save_timers, load_timers, save_section_order, load_section_order, get_default_timers } from '../utils/storage';
+import { trash_timer, restore_from_trash } from '../utils/trash';
+import { rename_timer_history } from '../utils/history';
 import { use_theme } from '../contexts/ThemeContext';
+import { use_timer_engine } from '../contexts/TimerEngineContext';
+
+// ID of the section pinned timers are listed in, always at the top
+const PINNED_SECTION_ID = 'pinned_timers';
+
+/**
+ * Gets the ID of the section a timer is listed in
+ * Pinned timers are only listed in the pinned section, not in their category
+ * @param {Object} timer - Timer definition
+ * @returns {string} - Section ID
+ */
+const get_section_id = (timer) => {
+  if (timer.pinned) {
+    return PINNED_SECTION_ID;
+  }
+  if (timer.is_default) {
+    return 'default_timers';
+  }
+  const category = timer.category || 'Uncategorized';
+  return `custom_${category.toLowerCase().replace(/\s+/g, '_')}`;
+};
+
+/**
+ * Removes a timer's pin
+ * @param {Object} timer - Timer definition
+ * @returns {Object} - Timer without the pinned flag and pin order
+ */
+const unpin_timer = (timer) => {
+  const { pinned, pin_order, ...unpinned_timer } = timer;
+  return unpinned_timer;
+};
+
+/**
+ * Puts sections in the saved order
+ * Sections that aren't in the saved order yet, such as a new category, come after the rest
+ * @param {Array<Object>} sections - Sections in their default order
+ * @param {Array<string>} section_order - Saved section IDs, top first
+ * @returns {Array<Object>} - Ordered sections
+ */
+const order_sections = (sections, section_order) => {
+  const get_position = (section) => {
+    const position = section_order.indexOf(section.id);
+    return position === -1 ? section_order.length : position;
+  };
+  return [...sections].sort((a, b) => get_position(a) - get_position(b));
+};
+
+/**
+ * Flattens sections into the rows of the draggable list: each section's header,
+ * followed by its timers if it is expanded
+ * @param {Array<Object>} sections - Ordered sections
+ * @returns {Array<Object>} - Rows with a key, a type of 'section' or 'timer', the section and the timer
+ */
+const build_list_rows = (sections) => sections.flatMap(section => [
+  { key: `section_${section.id}`, type: 'section', section },
+  ...section.data.map(timer => ({ key: `timer_${timer.id}`, type: 'timer', section, timer })),
+]);
 
 /**
  * HomeScreen component - displays the main home screen of the Timer App
  * Shows test timers with different durations and custom user-created timers
- * Persists timers data using AsyncStorage
+ * Persists timers data through utils/storage.js
  */
 export default function HomeScreen({ navigation, route }) {
   // Get theme context
@@ -17,6 +79,16 @@ export default function HomeScreen({ navigation, route }) {
   
   // State for storing all timers (both default and custom)
   const [timers_list, set_timers_list] = useState([]);
+
+  // Timer engine that runs every timer by ID
+  const {
+    register_timers,
+    start_timer,
+    pause_timer,
+    reset_timer,
+    remove_timer,
+    is_timer_in_progress,
+  } = use_timer_engine();
   
   // Loading state for initial data load
   const [is_loading, set_is_loading] = useState(true);
@@ -24,52 +96,27 @@ export default function HomeScreen({ navigation, route }) {
   // State to track if we're currently saving (optional, for debugging)
   const [is_saving, set_is_saving] = useState(false);
 
+  // Set when the saved timers couldn't be loaded, so the defaults shown instead are never saved over them
+  const [is_save_blocked, set_is_save_blocked] = useState(false);
+
   // State to track which sections are expanded (by section id)
   const [expanded_sections, set_expanded_sections] = useState({
     'default_timers': true, // Default timers section always starts expanded
+    [PINNED_SECTION_ID]: true, // Pinned timers are always at hand
   });
 
-  // Refs to access timer components for bulk actions
-  const timer_refs = useRef({});
-  
-  // Function to create or get a ref for a timer
-  const get_timer_ref = (timer_id) => {
-    if (!timer_refs.current[timer_id]) {
-      timer_refs.current[timer_id] = React.createRef();
-      console.log(`🔄 Created new ref for timer: ${timer_id}`);
-    }
-    return timer_refs.current[timer_id];
-  };
+  // Order the sections are shown in, by section ID; timers keep their order in timers_list
+  const [section_order, set_section_order] = useState([]);
 
-  /**
-   * Gets default timers with categories
-   * @returns {Array} - Default timers array with categories
-   */
-  const get_default_timers_with_categories = () => {
-    return [
-      {
-        id: 'default-1',
-        name: '1 Minute Timer',
-        duration: 60,
-        category: 'Break',
-        is_default: true,
-      },
-      {
-        id: 'default-2', 
-        name: '2 Minute Timer',
-        duration: 120,
-        category: 'Break',
-        is_default: true,
-      },
-      {
-        id: 'default-3',
-        name: '5 Minute Timer', 
-        duration: 300,
-        category: 'Study',
-        is_default: true,
-      },
-    ];
-  };
+  // Timer to scroll to once its section is expanded, e.g. after tapping its notification
+  const [focused_timer_id, set_focused_timer_id] = useState(null);
+  const timer_list_ref = useRef(null);
+
+  // Open timer export or import, null when neither is shown
+  const [transfer_mode, set_transfer_mode] = useState(null);
+
+  // Last delete that can still be undone, null when there is none
+  const [undo_delete, set_undo_delete] = useState(null);
 
   /**
    * Toggles the expanded state of a section
@@ -94,22 +141,31 @@ export default function HomeScreen({ navigation, route }) {
       return;
     }
 
-    // Handle reset with confirmation
+    // Handle reset with confirmation, offering to keep unfinished runs in history
     if (action === 'reset') {
+      const buttons = [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Reset All',
+          style: 'destructive',
+          onPress: () => execute_bulk_action('reset', timers),
+        },
+      ];
+
+      if (timers.some(timer => is_timer_in_progress(timer.id))) {
+        buttons.push({
+          text: 'Reset & Save Partial',
+          onPress: () => execute_bulk_action('reset', timers, { save_partial: true }),
+        });
+      }
+
       Alert.alert(
         'Reset All Timers',
         `Are you sure you want to reset all timers in "${section_title}"?`,
-        [
-          {
-            text: 'Cancel',
-            style: 'cancel',
-          },
-          {
-            text: 'Reset All',
-            style: 'destructive',
-            onPress: () => execute_bulk_action('reset', timers),
-          },
-        ]
+        buttons
       );
       return;
     }
@@ -118,79 +174,39 @@ export default function HomeScreen({ navigation, route }) {
   };
 
   /**
-   * Executes the bulk action on timers
+   * Executes the bulk action on timers through the timer engine, so timers in
+   * collapsed or off-screen rows are reached too
    * @param {string} action - Action to perform
    * @param {Array} timers - Array of timers to act on
+   * @param {Object} options - Options passed to the timer engine, e.g. save_partial for resets (optional)
    */
-  const execute_bulk_action = (action, timers) => {
+  const execute_bulk_action = (action, timers, options) => {
     console.log(`🚀 Starting bulk action: ${action} on ${timers.length} timers`);
     console.log(`📋 Timer IDs: ${timers.map(t => t.id).join(', ')}`);
-    console.log(`🔗 Available refs: ${Object.keys(timer_refs.current).join(', ')}`);
-    
-    let action_count = 0;
-    
-    timers.forEach(timer => {
-      console.log(`⏰ Processing timer: ${timer.id} (${timer.name})`);
-      
-      const timer_ref = timer_refs.current[timer.id];
-      console.log(`🔍 Timer ref exists: ${!!timer_ref}, ref.current exists: ${!!(timer_ref && timer_ref.current)}`);
-      
-      if (timer_ref && timer_ref.current) {
-        console.log(`📋 Available methods on ref:`, Object.keys(timer_ref.current));
-        
-        try {
-          switch (action) {
-            case 'start':
-              if (timer_ref.current.start_timer) {
-                console.log(`▶️ Calling start_timer on ${timer.id}`);
-                timer_ref.current.start_timer();
-                action_count++;
-              } else {
-                console.warn(`❌ start_timer method not found on ${timer.id}`);
-              }
-              break;
-            case 'pause':
-              if (timer_ref.current.pause_timer) {
-                console.log(`⏸️ Calling pause_timer on ${timer.id}`);
-                timer_ref.current.pause_timer();
-                action_count++;
-              } else {
-                console.warn(`❌ pause_timer method not found on ${timer.id}`);
-              }
-              break;
-            case 'reset':
-              if (timer_ref.current.reset_timer) {
-                console.log(`🔄 Calling reset_timer on ${timer.id}`);
-                timer_ref.current.reset_timer();
-                action_count++;
-              } else {
-                console.warn(`❌ reset_timer method not found on ${timer.id}`);
-              }
-              break;
-          }
-        } catch (error) {
-          console.error(`💥 Failed to ${action} timer ${timer.id}:`, error);
-        }
-      } else {
-        console.warn(`❌ No ref or ref.current found for timer ${timer.id}${timer_ref ? ', ref exists but no .current' : ', no ref at all'}`);
-      }
-    });
+
+    const engine_actions = {
+      start: start_timer,
+      pause: pause_timer,
+      reset: reset_timer,
+    };
+
+    // Timers already in the requested state are left alone
+    const action_count = timers.filter(timer => engine_actions[action](timer.id, options)).length;
 
     console.log(`✅ Bulk action complete: ${action_count} out of ${timers.length} timers affected`);
 
     // Show feedback message
+    const action_past_tense = action === 'start' ? 'started' : action === 'pause' ? 'paused' : 'reset';
     if (action_count > 0) {
-      const action_past_tense = action === 'start' ? 'started' : action === 'pause' ? 'paused' : 'reset';
       Alert.alert(
         'Bulk Action Complete',
         `${action_count} timer${action_count !== 1 ? 's' : ''} ${action_past_tense}.`,
         [{ text: 'OK' }]
       );
     } else {
-      console.warn(`⚠️ No timers were affected by bulk ${action} action`);
       Alert.alert(
-        'Bulk Action Failed',
-        `No timers could be ${action}ed. Please check that timers are loaded properly.`,
+        'Nothing To Do',
+        `No timers needed to be ${action_past_tense}.`,
         [{ text: 'OK' }]
       );
     }
@@ -215,6 +231,35 @@ export default function HomeScreen({ navigation, route }) {
     navigation.navigate('AddTimer');
   };
 
+  /**
+   * Opens a custom timer in the Add Timer form to edit it
+   * @param {Object} timer - Timer to edit
+   */
+  const handle_edit_timer = (timer) => {
+    navigation.navigate('AddTimer', { edit_timer: timer });
+  };
+
+  /**
+   * Pins a timer to the top of the list, or unpins it back into its category
+   * Newly pinned timers go to the end of the pinned section
+   * @param {Object} timer - Timer to pin or unpin
+   */
+  const handle_toggle_pin = (timer) => {
+    const updated_timer = timer.pinned ? unpin_timer(timer) : {
+      ...timer,
+      pinned: true,
+      pin_order: Math.max(-1, ...timers_list.filter(pinned_timer => pinned_timer.pinned).map(pinned_timer => pinned_timer.pin_order ?? 0)) + 1,
+    };
+
+    set_timers_list(prev_timers => prev_timers.map(existing_timer => (
+      existing_timer.id === timer.id ? updated_timer : existing_timer
+    )));
+    set_expanded_sections(prev => ({
+      ...prev,
+      [get_section_id(updated_timer)]: true
+    }));
+  };
+
   /**
    * Handles navigation to History screen
    */
@@ -225,34 +270,60 @@ export default function HomeScreen({ navigation, route }) {
   /**
    * Handles deleting a custom timer
    * @param {string} timer_id - ID of the timer to delete
+   * @param {Object} options - Delete options, e.g. save_partial to keep an unfinished run (optional)
    */
-  const handle_delete_timer = (timer_id) => {
-    // Clean up ref
-    cleanup_timer_ref(timer_id);
+  const handle_delete_timer = async (timer_id, options) => {
+    const timer_index = timers_list.findIndex(timer => timer.id === timer_id);
+    const deleted_timer = timers_list[timer_index];
+    if (!deleted_timer) {
+      return;
+    }
+
+    // Forget the deleted timer's run state
+    remove_timer(timer_id, options);
 
     // Remove timer from state
     set_timers_list(prev_timers => {
       const updated_timers = prev_timers.filter(timer => timer.id !== timer_id);
       return updated_timers;
     });
-    
-    // Show confirmation message
-    Alert.alert(
-      'Timer Deleted',
-      'Timer has been successfully deleted.',
-      [{ text: 'OK' }]
-    );
+
+    // The timer moves to the trash, from where it can be undone right away or restored later
+    const trash_item_id = await trash_timer(deleted_timer, timer_index);
+    if (trash_item_id) {
+      set_undo_delete({ trash_item_id, message: `Deleted "${deleted_timer.name}"` });
+    } else {
+      Alert.alert('Timer Deleted', 'The timer could not be moved to the trash, so it cannot be restored.', [{ text: 'OK' }]);
+    }
   };
 
   /**
-   * Cleanup timer ref when component unmounts
-   * @param {string} timer_id - ID of the timer
+   * Puts the last deleted timer back where it was
+   * Its run is not restored; it comes back reset
    */
-  const cleanup_timer_ref = (timer_id) => {
-    if (timer_refs.current[timer_id]) {
-      console.log(`🗑️ Cleaning up ref for ${timer_id}`);
-      delete timer_refs.current[timer_id];
+  const handle_undo_delete = async () => {
+    const { trash_item_id } = undo_delete;
+    set_undo_delete(null);
+
+    const trash_item = await restore_from_trash(trash_item_id);
+    if (!trash_item) {
+      Alert.alert('Undo Failed', 'The timer is no longer in the trash.');
+      return;
     }
+
+    const { timer, timer_index } = trash_item;
+    set_timers_list(prev_timers => {
+      if (prev_timers.some(existing_timer => existing_timer.id === timer.id)) {
+        return prev_timers;
+      }
+      const updated_timers = [...prev_timers];
+      updated_timers.splice(Math.min(timer_index, updated_timers.length), 0, timer);
+      return updated_timers;
+    });
+    set_expanded_sections(prev => ({
+      ...prev,
+      [get_section_id(timer)]: true
+    }));
   };
 
   /**
@@ -261,27 +332,20 @@ export default function HomeScreen({ navigation, route }) {
   const load_timers_from_storage = async () => {
     try {
       set_is_loading(true);
-      const loaded_timers = await load_timers();
-      
-      // If loaded timers don't have categories, merge with defaults that have categories
-      const updated_timers = loaded_timers.map(timer => {
-        if (timer.is_default && !timer.category) {
-          const default_timer = get_default_timers_with_categories().find(def => def.id === timer.id);
-          return default_timer || timer;
-        }
-        return timer;
-      });
-      
-      set_timers_list(updated_timers);
+      // Timers saved by older versions were already brought up to date by run_migrations at startup
+      const [loaded_timers, loaded_section_order] = await Promise.all([load_timers(), load_section_order()]);
+      set_section_order(loaded_section_order);
+      set_timers_list(loaded_timers);
     } catch (error) {
       console.error('Failed to load timers:', error);
       Alert.alert(
         'Loading Error',
-        'Failed to load saved timers. Using default timers.',
+        'Failed to load saved timers. Default timers are shown, and changes won\'t be saved until the app is restarted.',
         [{ text: 'OK' }]
       );
-      // Fallback to default timers with categories
-      set_timers_list(get_default_timers_with_categories());
+      // Fallback to default timers with categories, kept out of storage
+      set_is_save_blocked(true);
+      set_timers_list(get_default_timers());
     } finally {
       set_is_loading(false);
     }
@@ -312,10 +376,17 @@ export default function HomeScreen({ navigation, route }) {
 
   // Save timers to storage whenever timers list changes
   useEffect(() => {
-    // Don't save during initial loading or if timers list is empty
-    if (!is_loading && timers_list.length > 0) {
+    // Don't save during initial loading, if timers list is empty or if the saved timers couldn't be loaded
+    if (!is_loading && !is_save_blocked && timers_list.length > 0) {
       save_timers_to_storage(timers_list);
     }
+  }, [timers_list, is_loading, is_save_blocked]);
+
+  // Keep the timer engine in step with the timers list
+  useEffect(() => {
+    if (!is_loading) {
+      register_timers(timers_list);
+    }
   }, [timers_list, is_loading]);
 
   // Handle new timer data from AddTimerScreen
@@ -336,10 +407,9 @@ export default function HomeScreen({ navigation, route }) {
 
         // Automatically expand the new timer's category section
         if (new_timer.category) {
-          const section_id = `custom_${new_timer.category.toLowerCase().replace(/\s+/g, '_')}`;
           set_expanded_sections(prev => ({
             ...prev,
-            [section_id]: true
+            [get_section_id(new_timer)]: true
           }));
         }
 
@@ -349,10 +419,77 @@ export default function HomeScreen({ navigation, route }) {
     }, [route.params?.new_timer, navigation])
   );
 
-  // Prepare data for SectionList
+  // Handle an edited timer from AddTimerScreen: replace it in place, keeping its position
+  useFocusEffect(
+    React.useCallback(() => {
+      if (route.params?.updated_timer) {
+        const { updated_timer, previous_name } = route.params;
+
+        set_timers_list(prev_timers => prev_timers.map(timer => (
+          timer.id === updated_timer.id ? updated_timer : timer
+        )));
+
+        // A renamed timer takes its history with it
+        if (previous_name && previous_name !== updated_timer.name) {
+          rename_timer_history(updated_timer.id, previous_name, updated_timer.name);
+        }
+
+        // Show the timer in its possibly new category
+        set_expanded_sections(prev => ({
+          ...prev,
+          [get_section_id(updated_timer)]: true
+        }));
+
+        navigation.setParams({ updated_timer: undefined, previous_name: undefined });
+      }
+    }, [route.params?.updated_timer, navigation])
+  );
+
+  // Handle a tapped completion notification: show the timer so its completion modal is visible
+  useFocusEffect(
+    React.useCallback(() => {
+      const completed_timer_id = route.params?.completed_timer_id;
+      if (completed_timer_id === undefined || is_loading) {
+        return;
+      }
+
+      const completed_timer = timers_list.find(timer => timer.id === completed_timer_id);
+      if (completed_timer) {
+        console.log(`🔔 HomeScreen: Opening timer "${completed_timer.name}" from its notification`);
+        set_expanded_sections(prev => ({
+          ...prev,
+          [get_section_id(completed_timer)]: true
+        }));
+        set_focused_timer_id(completed_timer.id);
+      } else {
+        console.warn(`🔔 HomeScreen: Timer ${completed_timer_id} from a notification no longer exists`);
+      }
+
+      navigation.setParams({ completed_timer_id: undefined });
+    }, [route.params?.completed_timer_id, is_loading, timers_list, navigation])
+  );
+
+  // Scroll to the focused timer once its section is expanded
+  useEffect(() => {
+    if (focused_timer_id === null || !timer_list_ref.current) {
+      return;
+    }
+
+    const row_index = build_list_rows(prepare_section_data())
+      .findIndex(row => row.type === 'timer' && row.timer.id === focused_timer_id);
+    if (row_index !== -1) {
+      timer_list_ref.current.scrollToIndex({ index: row_index, viewPosition: 0 });
+      set_focused_timer_id(null);
+    }
+  }, [focused_timer_id, expanded_sections]);
+
+  // Prepare the sections of the timer list, in their saved order
   const prepare_section_data = () => {
-    const custom_timers = timers_list.filter(timer => !timer.is_default);
-    const default_timers = timers_list.filter(timer => timer.is_default);
+    const pinned_timers = timers_list
+      .filter(timer => timer.pinned)
+      .sort((a, b) => (a.pin_order ?? 0) - (b.pin_order ?? 0));
+    const custom_timers = timers_list.filter(timer => !timer.is_default && !timer.pinned);
+    const default_timers = timers_list.filter(timer => timer.is_default && !timer.pinned);
     
     const sections = [];
 
@@ -368,7 +505,7 @@ export default function HomeScreen({ navigation, route }) {
       }, {});
 
       Object.entries(grouped_custom).forEach(([category, timers]) => {
-        const section_id = `custom_${category.toLowerCase().replace(/\s+/g, '_')}`;
+        const section_id = get_section_id(timers[0]);
         sections.push({
           id: section_id,
           title: category,
@@ -390,7 +527,106 @@ export default function HomeScreen({ navigation, route }) {
       });
     }
 
-    return sections;
+    const ordered_sections = order_sections(sections, section_order);
+
+    // Pinned timers stay at the top, whatever the saved order
+    if (pinned_timers.length > 0) {
+      ordered_sections.unshift({
+        id: PINNED_SECTION_ID,
+        title: '📌 Pinned',
+        is_custom: false,
+        is_pinned: true,
+        data: expanded_sections[PINNED_SECTION_ID] ? pinned_timers : [],
+        all_data: pinned_timers,
+      });
+    }
+
+    return ordered_sections;
+  };
+
+  /**
+   * Applies a drag in the timer list
+   * A dragged section header moves its whole section; a dragged timer moves within
+   * its section or into the section it was dropped in, taking that category. Timers
+   * dropped in the pinned section are pinned, and unpinned when dragged out of it
+   * @param {Object} result - Drag result from DraggableFlatList
+   * @param {Array<Object>} result.data - Rows in their new order
+   * @param {number} result.from - Row index the drag started at
+   * @param {number} result.to - Row index the row was dropped at
+   */
+  const handle_drag_end = ({ data, from, to }) => {
+    if (from === to) {
+      return;
+    }
+
+    const dragged_row = data[to];
+    if (dragged_row.type === 'section') {
+      const new_section_order = data
+        .filter(row => row.type === 'section' && !row.section.is_pinned)
+        .map(row => row.section.id);
+      set_section_order(new_section_order);
+      if (!is_save_blocked) {
+        save_section_order(new_section_order);
+      }
+      return;
+    }
+
+    // The timer joins the section whose header is above it, or the first section if dropped above every header
+    const header_row = data.slice(0, to).reverse().find(row => row.type === 'section') ||
+      data.find(row => row.type === 'section');
+    const target_section = header_row.section;
+    const dragged_timer = dragged_row.timer;
+
+    // The pinned section is ordered by pin order, matching the rows below its header
+    if (target_section.is_pinned) {
+      const header_index = data.indexOf(header_row);
+      const next_header_index = data.findIndex((row, index) => index > header_index && row.type === 'section');
+      const pinned_ids = expanded_sections[PINNED_SECTION_ID]
+        ? data.slice(header_index + 1, next_header_index === -1 ? data.length : next_header_index).map(row => row.timer.id)
+        : [...target_section.all_data.map(timer => timer.id).filter(id => id !== dragged_timer.id), dragged_timer.id];
+
+      set_timers_list(prev_timers => prev_timers.map(timer => {
+        const pin_order = pinned_ids.indexOf(timer.id);
+        return pin_order === -1 ? timer : { ...timer, pinned: true, pin_order };
+      }));
+      return;
+    }
+
+    // Default timers have their own section, which custom timers can't join
+    if (target_section.is_custom === !!dragged_timer.is_default) {
+      Alert.alert(
+        'Cannot Move Timer',
+        dragged_timer.is_default
+          ? 'Default timers stay in the Default Timers section.'
+          : 'Custom timers can\'t be moved into the Default Timers section.'
+      );
+      return;
+    }
+
+    const unpinned_timer = unpin_timer(dragged_timer);
+    const moved_timer = target_section.is_custom && unpinned_timer.category !== target_section.title
+      ? { ...unpinned_timer, category: target_section.title }
+      : unpinned_timer;
+    const next_row = data[to + 1];
+    const next_timer_id = next_row?.type === 'timer' && next_row.section.id === target_section.id ? next_row.timer.id : null;
+
+    set_timers_list(prev_timers => {
+      const updated_timers = prev_timers.filter(timer => timer.id !== moved_timer.id);
+
+      // Placed before the timer it was dropped above, otherwise last in its section
+      let insert_index = updated_timers.findIndex(timer => timer.id === next_timer_id);
+      if (insert_index === -1) {
+        const last_index = updated_timers.map(get_section_id).lastIndexOf(target_section.id);
+        insert_index = last_index === -1 ? updated_timers.length : last_index + 1;
+      }
+      updated_timers.splice(insert_index, 0, moved_timer);
+      return updated_timers;
+    });
+
+    set_expanded_sections(prev => ({
+      ...prev,
+      [target_section.id]: true
+    }));
   };
 
   /**
@@ -425,8 +661,11 @@ export default function HomeScreen({ navigation, route }) {
 
   /**
    * Renders the section header with expand/collapse functionality and bulk actions
+   * Long-pressing the title drags the section to a new place
+   * @param {Object} section - Section to render
+   * @param {Function} drag - Starts dragging the section
    */
-  const render_section_header = ({ section }) => {
+  const render_section_header = (section, drag) => {
     const is_expanded = expanded_sections[section.id];
     const timer_count = section.all_data.length;
     
@@ -438,6 +677,7 @@ export default function HomeScreen({ navigation, route }) {
         <TouchableOpacity
           style={styles.section_header_main}
           onPress={() => toggle_section(section.id)}
+          onLongPress={section.is_pinned ? undefined : drag}
           activeOpacity={0.7}
         >
           <View style={styles.section_header_content}>
@@ -456,8 +696,12 @@ export default function HomeScreen({ navigation, route }) {
         {/* Bulk Actions - only show when section is expanded and has timers */}
         {is_expanded && timer_count > 0 && render_bulk_actions(section)}
         
+        {section.is_pinned && is_expanded && (
+          <Text style={[styles.swipe_hint, { color: theme.text_secondary }]}>💡 Tap 📌 to unpin, long-press a timer to move it</Text>
+        )}
+
         {section.is_custom && is_expanded && (
-          <Text style={[styles.swipe_hint, { color: theme.text_secondary }]}>💡 Swipe left to delete</Text>
+          <Text style={[styles.swipe_hint, { color: theme.text_secondary }]}>💡 Tap a timer to edit, swipe left to delete, long-press to move</Text>
         )}
       </View>
     );
@@ -465,11 +709,10 @@ export default function HomeScreen({ navigation, route }) {
 
   /**
    * Renders each timer item
+   * @param {Object} item - Timer to render
    */
-  const render_timer_item = ({ item, section }) => {
-    const timer_ref = get_timer_ref(item.id);
-    
-    if (section.is_custom) {
+  const render_timer_item = (item) => {
+    if (!item.is_default) {
       return (
         <View style={styles.timer_item_container}>
           <SwipeableTimer
@@ -477,7 +720,7 @@ export default function HomeScreen({ navigation, route }) {
             onComplete={handle_timer_complete}
             onDelete={handle_delete_timer}
             onViewHistory={handle_view_history}
-            ref={timer_ref}
+            onTogglePin={handle_toggle_pin}
           />
         </View>
       );
@@ -485,18 +728,47 @@ export default function HomeScreen({ navigation, route }) {
       return (
         <View style={styles.timer_item_container}>
           <Timer
+            timer_id={item.id}
             name={item.name}
             duration={item.duration}
             category={item.category}
+            type={item.type}
+            pomodoro={item.pomodoro}
+            segments={item.segments}
+            checkpoints={item.checkpoints}
+            checkpoint_vibrate={item.checkpoint_vibrate}
+            repeat_count={item.repeat_count}
+            schedule={item.schedule}
             onComplete={() => handle_timer_complete(item.name)}
             onViewHistory={handle_view_history}
-            ref={timer_ref}
+            is_pinned={!!item.pinned}
+            onTogglePin={() => handle_toggle_pin(item)}
           />
         </View>
       );
     }
   };
 
+  /**
+   * Renders a row of the draggable list: a section header or a timer
+   * Tapping a custom timer card opens it for editing; long-pressing a timer card drags
+   * it within its section or into another one
+   */
+  const render_list_row = ({ item: row, drag, isActive }) => (
+    <ScaleDecorator>
+      {row.type === 'section' ? render_section_header(row.section, drag) : (
+        <TouchableOpacity
+          activeOpacity={1}
+          onPress={row.timer.is_default ? undefined : () => handle_edit_timer(row.timer)}
+          onLongPress={drag}
+          disabled={isActive}
+        >
+          {render_timer_item(row.timer)}
+        </TouchableOpacity>
+      )}
+    </ScaleDecorator>
+  );
+
   /**
    * Renders the header component
    */
@@ -517,6 +789,22 @@ export default function HomeScreen({ navigation, route }) {
         <Text style={[styles.add_button_text, { color: theme.text_inverse }]}>+ Add Timer</Text>
       </TouchableOpacity>
 
+      {/* Export / Import */}
+      <View style={styles.transfer_buttons}>
+        <TouchableOpacity
+          style={[styles.transfer_button, { borderColor: theme.border_secondary }]}
+          onPress={() => set_transfer_mode('export')}
+        >
+          <Text style={[styles.transfer_button_text, { color: theme.text_primary }]}>📤 Export</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.transfer_button, { borderColor: theme.border_secondary }]}
+          onPress={() => set_transfer_mode('import')}
+        >
+          <Text style={[styles.transfer_button_text, { color: theme.text_primary }]}>📥 Import</Text>
+        </TouchableOpacity>
+      </View>
+
       {/* Optional: Show saving indicator */}
       {is_saving && (
         <View style={styles.saving_indicator}>
@@ -527,6 +815,26 @@ export default function HomeScreen({ navigation, route }) {
     </View>
   );
 
+  /**
+   * Adds the timers confirmed in an import
+   * @param {Array<Object>} imported_timers - Timers ready to save
+   */
+  const handle_import_timers = (imported_timers) => {
+    set_timers_list(prev_timers => [...prev_timers, ...imported_timers]);
+
+    // Show the imported timers' categories
+    set_expanded_sections(prev => imported_timers.reduce((expanded, timer) => ({
+      ...expanded,
+      [get_section_id(timer)]: true
+    }), prev));
+
+    Alert.alert(
+      'Import Complete',
+      `${imported_timers.length} timer${imported_timers.length !== 1 ? 's were' : ' was'} added.`,
+      [{ text: 'OK' }]
+    );
+  };
+
   /**
    * Renders empty state when no timers
    */
@@ -536,7 +844,7 @@ export default function HomeScreen({ navigation, route }) {
         Tap "Add Timer" to create your custom timers with categories
       </Text>
       <Text style={[styles.empty_state_subtext, { color: theme.text_tertiary }]}>
-        Once you have custom timers, you can swipe left to delete them
+        Once you have custom timers, you can swipe left to delete them and long-press to move them
       </Text>
     </View>
   );
@@ -551,20 +859,35 @@ export default function HomeScreen({ navigation, route }) {
     );
   }
 
-  const section_data = prepare_section_data();
+  const list_rows = build_list_rows(prepare_section_data());
 
   return (
     <View style={[styles.container, { backgroundColor: theme.background_primary }]}>
-      <SectionList
-        sections={section_data}
-        keyExtractor={(item) => item.id}
-        renderItem={render_timer_item}
-        renderSectionHeader={render_section_header}
+      <DraggableFlatList
+        ref={timer_list_ref}
+        data={list_rows}
+        keyExtractor={(row) => row.key}
+        renderItem={render_list_row}
+        onDragEnd={handle_drag_end}
+        activationDistance={20}
         ListHeaderComponent={render_header}
         ListEmptyComponent={render_empty_state}
-        contentContainerStyle={section_data.length === 0 ? styles.empty_content : null}
+        contentContainerStyle={list_rows.length === 0 ? styles.empty_content : null}
         showsVerticalScrollIndicator={false}
-        stickySectionHeadersEnabled={false}
+        onScrollToIndexFailed={() => console.warn('📜 HomeScreen: Could not scroll to the focused timer')}
+      />
+      <TimerTransferModal
+        visible={transfer_mode !== null}
+        mode={transfer_mode}
+        timers={timers_list}
+        onClose={() => set_transfer_mode(null)}
+        onImport={handle_import_timers}
+      />
+
+      <UndoToast
+        message={undo_delete?.message ?? null}
+        onUndo={handle_undo_delete}
+        onDismiss={() => set_undo_delete(null)}
       />
     </View>
   );
@@ -610,6 +933,21 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: 'bold',
   },
+  transfer_buttons: {
+    flexDirection: 'row',
+    gap: 10,
+    marginTop: 12,
+  },
+  transfer_button: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderRadius: 20,
+    borderWidth: 1,
+  },
+  transfer_button_text: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
   saving_indicator: {
     flexDirection: 'row',
     alignItems: 'center',
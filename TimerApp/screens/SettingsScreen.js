@@ -0,0 +1,488 @@
+import React, { useState, useCallback } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ScrollView, Alert } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { use_theme } from '../contexts/ThemeContext';
+import { use_settings } from '../contexts/SettingsContext';
+import { use_storage } from '../contexts/StorageContext';
+import { play_sound, DEFAULT_COMPLETION_SOUND } from '../utils/sound';
+import { ANNOUNCEMENT_KINDS, speak } from '../utils/speech';
+import { share_backup, parse_backup, get_backup_summary, restore_backup, RESTORE_MODES } from '../utils/backup';
+import { pick_json_file, share_json_file } from '../utils/files';
+import { load_quarantined_data, discard_quarantined_data } from '../utils/data_recovery';
+import TrashModal from '../components/TrashModal';
+
+// Step of the volume buttons, 10%
+const VOLUME_STEP = 0.1;
+
+/**
+ * Formats an ISO date for the restore summary and damaged data list
+ * @param {string} iso_string - ISO date string
+ * @returns {string} - Date like "Mar 2, 2026"
+ */
+const format_short_date = (iso_string) => new Date(iso_string).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+});
+
+/**
+ * SettingsScreen component - app-wide preferences
+ * Holds the sound and voice settings shared by every timer, backups of all app data and the trash
+ */
+export default function SettingsScreen({ navigation }) {
+  // Get theme, settings and storage context
+  const { theme } = use_theme();
+  const { settings, update_settings } = use_settings();
+  const { replace_stored_data } = use_storage();
+
+  // Whether a backup is being written or read
+  const [is_backup_busy, set_is_backup_busy] = useState(false);
+
+  // Copies of damaged data kept by data recovery
+  const [quarantined_data, set_quarantined_data] = useState([]);
+
+  // Whether the trash is open
+  const [is_trash_visible, set_is_trash_visible] = useState(false);
+
+  // Damaged data can be found by any screen, so the list is reloaded on every visit
+  useFocusEffect(
+    useCallback(() => {
+      load_quarantined_data().then(set_quarantined_data);
+    }, [])
+  );
+
+  const volume_percent = Math.round(settings.sound_volume * 100);
+
+  /**
+   * Changes the cue volume by one step, keeping it between 0 and 100%
+   * @param {number} direction - 1 to turn it up, -1 to turn it down
+   */
+  const handle_change_volume = (direction) => {
+    const next_volume = Math.round((settings.sound_volume + direction * VOLUME_STEP) * 10) / 10;
+    update_settings({ sound_volume: Math.max(0, Math.min(1, next_volume)) });
+  };
+
+  /**
+   * Renders an on/off chip for a boolean setting
+   * @param {string} setting_key - Key of the setting in AppSettings
+   * @param {string} label - Chip text
+   * @param {boolean} is_disabled - Whether the chip can't be changed right now
+   */
+  const render_toggle = (setting_key, label, is_disabled = false) => {
+    const is_enabled = settings[setting_key];
+    return (
+      <TouchableOpacity
+        key={setting_key}
+        style={[
+          styles.option_button,
+          {
+            backgroundColor: is_enabled ? theme.button_primary : theme.card_background,
+            borderColor: is_enabled ? theme.button_primary : theme.border_primary,
+            opacity: is_disabled ? 0.5 : 1,
+          }
+        ]}
+        onPress={() => update_settings({ [setting_key]: !is_enabled })}
+        disabled={is_disabled}
+      >
+        <Text style={[
+          styles.option_text,
+          { color: is_enabled ? theme.text_inverse : theme.text_primary }
+        ]}>
+          {label}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  /**
+   * Backs up all app data and opens the share sheet for the file
+   */
+  const handle_backup = async () => {
+    set_is_backup_busy(true);
+    const success = await share_backup();
+    set_is_backup_busy(false);
+
+    if (!success) {
+      Alert.alert('Backup Failed', 'Your data could not be backed up. Please try again.');
+    }
+  };
+
+  /**
+   * Restores a backup, reloading the whole app with the restored data
+   * @param {Object} backup - Validated backup
+   * @param {string} mode - One of RESTORE_MODES
+   */
+  const run_restore = async (backup, mode) => {
+    // The app remounts while restoring, so this screen's state is gone afterwards
+    const success = await replace_stored_data(() => restore_backup(backup, mode));
+
+    if (success) {
+      Alert.alert('Backup Restored', mode === RESTORE_MODES.MERGE
+        ? 'Timers and history from the backup were added to yours.'
+        : 'Your data was replaced with the backup.');
+    } else {
+      Alert.alert('Restore Failed', 'The backup could not be restored. Your data was not changed.');
+    }
+  };
+
+  /**
+   * Picks a backup file, shows what it holds and asks how to restore it
+   */
+  const handle_restore = async () => {
+    let backup;
+    set_is_backup_busy(true);
+    try {
+      const backup_text = await pick_json_file();
+      if (backup_text === null) {
+        return;
+      }
+      backup = parse_backup(backup_text);
+    } catch (error) {
+      console.error('♻️ Error reading backup:', error);
+      Alert.alert('Can\'t Restore', error.message);
+      return;
+    } finally {
+      set_is_backup_busy(false);
+    }
+
+    const summary = get_backup_summary(backup);
+    const session_range = summary.oldest_session
+      ? `, ${format_short_date(summary.oldest_session)} – ${format_short_date(summary.newest_session)}`
+      : '';
+
+    Alert.alert(
+      'Restore Backup',
+      `Backup from ${format_short_date(summary.created_at)}\n\n` +
+      `${summary.custom_timer_count} custom timers\n` +
+      `${summary.history_count} history entries${session_range}\n\n` +
+      'Merge adds the backed up timers and history to yours. Replace swaps all your data, theme and settings for the backup.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Merge', onPress: () => run_restore(backup, RESTORE_MODES.MERGE) },
+        {
+          text: 'Replace',
+          style: 'destructive',
+          onPress: () => Alert.alert(
+            'Replace All Data',
+            'Your current timers, history, theme and settings will be lost. Running timers are stopped.',
+            [
+              { text: 'Cancel', style: 'cancel' },
+              { text: 'Replace', style: 'destructive', onPress: () => run_restore(backup, RESTORE_MODES.REPLACE) },
+            ]
+          ),
+        },
+      ]
+    );
+  };
+
+  /**
+   * Shares a damaged copy so it can be repaired by hand
+   * @param {Object} record - Quarantined data
+   */
+  const handle_share_quarantined = async (record) => {
+    const file_name = `damaged_${record.label.toLowerCase()}_${record.quarantined_at.slice(0, 10)}.json`;
+    const success = await share_json_file(file_name, record.raw_value, `Share damaged ${record.label.toLowerCase()}`);
+    if (!success) {
+      Alert.alert('Sharing Failed', 'The damaged data could not be shared. Please try again.');
+    }
+  };
+
+  /**
+   * Deletes a damaged copy after confirmation
+   * @param {Object} record - Quarantined data
+   */
+  const handle_discard_quarantined = (record) => {
+    Alert.alert(
+      'Discard Damaged Data',
+      `The damaged copy of your ${record.label.toLowerCase()} will be deleted. Entries already recovered from it are kept.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Discard',
+          style: 'destructive',
+          onPress: async () => {
+            await discard_quarantined_data(record.id);
+            set_quarantined_data(await load_quarantined_data());
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Adds a timer restored from the trash back to the timers list on the home screen
+   * @param {Object} timer - Restored timer definition
+   */
+  const handle_restore_timer = (timer) => {
+    set_is_trash_visible(false);
+    navigation.navigate('Home', { new_timer: timer });
+  };
+
+  return (
+    <ScrollView style={[styles.container, { backgroundColor: theme.background_primary }]}>
+      <View style={styles.content_container}>
+        <Text style={[styles.title, { color: theme.text_primary }]}>Settings</Text>
+        <Text style={[styles.subtitle, { color: theme.text_secondary }]}>Preferences shared by all your timers</Text>
+
+        {/* Sound */}
+        <View style={styles.input_group}>
+          <Text style={[styles.label, { color: theme.text_primary }]}>Sound</Text>
+          <View style={styles.option_container}>
+            {render_toggle('sound_enabled', settings.sound_enabled ? '🔊 Sound on' : '🔇 Sound off')}
+          </View>
+          <Text style={[styles.helper_text, { color: theme.text_secondary }]}>
+            Turns off every cue at once. Each timer picks its own completion sound when you create it.
+          </Text>
+        </View>
+
+        <View style={styles.input_group}>
+          <Text style={[styles.label, { color: theme.text_primary }]}>Volume</Text>
+          <View style={styles.volume_row}>
+            <TouchableOpacity
+              style={[styles.volume_button, { backgroundColor: theme.button_secondary }]}
+              onPress={() => handle_change_volume(-1)}
+              disabled={!settings.sound_enabled || settings.sound_volume <= 0}
+            >
+              <Text style={[styles.volume_button_text, { color: theme.text_inverse }]}>−</Text>
+            </TouchableOpacity>
+            <Text style={[styles.volume_text, { color: theme.text_primary }]}>{volume_percent}%</Text>
+            <TouchableOpacity
+              style={[styles.volume_button, { backgroundColor: theme.button_secondary }]}
+              onPress={() => handle_change_volume(1)}
+              disabled={!settings.sound_enabled || settings.sound_volume >= 1}
+            >
+              <Text style={[styles.volume_button_text, { color: theme.text_inverse }]}>+</Text>
+            </TouchableOpacity>
+          </View>
+          <TouchableOpacity
+            style={[styles.test_button, { backgroundColor: theme.button_primary, opacity: settings.sound_enabled ? 1 : 0.5 }]}
+            onPress={() => play_sound(DEFAULT_COMPLETION_SOUND, settings.sound_volume)}
+            disabled={!settings.sound_enabled}
+          >
+            <Text style={[styles.test_button_text, { color: theme.text_inverse }]}>▶️ Test Sound</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.input_group}>
+          <Text style={[styles.label, { color: theme.text_primary }]}>Cues</Text>
+          <View style={styles.option_container}>
+            {render_toggle('start_sound_enabled', '▶️ Cue on start', !settings.sound_enabled)}
+            {render_toggle('play_in_silent_mode', '📳 Play in silent mode', !settings.sound_enabled)}
+          </View>
+          <Text style={[styles.helper_text, { color: theme.text_secondary }]}>
+            Without silent mode, the ring/silent switch mutes cues on iPhone. Cues lower other audio while they play instead of stopping it.
+          </Text>
+        </View>
+
+        {/* Voice */}
+        <View style={styles.input_group}>
+          <Text style={[styles.label, { color: theme.text_primary }]}>Voice</Text>
+          <View style={styles.option_container}>
+            {render_toggle('voice_enabled', settings.voice_enabled ? '🗣️ Announcements on' : '🤐 Announcements off')}
+          </View>
+          <View style={styles.option_container}>
+            {Object.values(ANNOUNCEMENT_KINDS).map(({ label, setting_key }) => (
+              render_toggle(setting_key, label, !settings.voice_enabled)
+            ))}
+          </View>
+          <TouchableOpacity
+            style={[styles.test_button, { backgroundColor: theme.button_primary, opacity: settings.voice_enabled ? 1 : 0.5 }]}
+            onPress={() => speak('Ten seconds left', true)}
+            disabled={!settings.voice_enabled}
+          >
+            <Text style={[styles.test_button_text, { color: theme.text_inverse }]}>▶️ Test Voice</Text>
+          </TouchableOpacity>
+          <Text style={[styles.helper_text, { color: theme.text_secondary }]}>
+            Only timers with spoken announcements turned on talk. Names use the timer's phases and routine segments when it has them.
+          </Text>
+        </View>
+
+        {/* Backup & Restore */}
+        <View style={styles.input_group}>
+          <Text style={[styles.label, { color: theme.text_primary }]}>Backup & Restore</Text>
+          <View style={styles.backup_row}>
+            <TouchableOpacity
+              style={[styles.test_button, styles.backup_button, { backgroundColor: theme.button_primary, opacity: is_backup_busy ? 0.5 : 1 }]}
+              onPress={handle_backup}
+              disabled={is_backup_busy}
+            >
+              <Text style={[styles.test_button_text, { color: theme.text_inverse }]}>💾 Back Up</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.test_button, styles.backup_button, { backgroundColor: theme.button_secondary, opacity: is_backup_busy ? 0.5 : 1 }]}
+              onPress={handle_restore}
+              disabled={is_backup_busy}
+            >
+              <Text style={[styles.test_button_text, { color: theme.text_inverse }]}>♻️ Restore</Text>
+            </TouchableOpacity>
+          </View>
+          <Text style={[styles.helper_text, { color: theme.text_secondary }]}>
+            One file with your timers, history, theme and settings. Running timers aren't included.
+          </Text>
+        </View>
+
+        {/* Trash */}
+        <View style={styles.input_group}>
+          <Text style={[styles.label, { color: theme.text_primary }]}>Trash</Text>
+          <TouchableOpacity
+            style={[styles.test_button, { backgroundColor: theme.button_secondary }]}
+            onPress={() => set_is_trash_visible(true)}
+          >
+            <Text style={[styles.test_button_text, { color: theme.text_inverse }]}>🗑️ Open Trash</Text>
+          </TouchableOpacity>
+          <Text style={[styles.helper_text, { color: theme.text_secondary }]}>
+            Deleted timers and history can be restored from here until they are purged.
+          </Text>
+        </View>
+
+        {/* Damaged data */}
+        {quarantined_data.length > 0 && (
+          <View style={styles.input_group}>
+            <Text style={[styles.label, { color: theme.text_primary }]}>Damaged Data</Text>
+            {quarantined_data.map(record => (
+              <View
+                key={record.id}
+                style={[styles.damaged_item, { backgroundColor: theme.card_background, borderColor: theme.border_primary }]}
+              >
+                <Text style={[styles.damaged_item_title, { color: theme.text_primary }]}>
+                  {record.label} · {format_short_date(record.quarantined_at)}
+                </Text>
+                <Text style={[styles.damaged_item_text, { color: theme.text_secondary }]}>
+                  {record.reason}. {record.salvaged_count} entries recovered.
+                </Text>
+                <View style={styles.backup_row}>
+                  <TouchableOpacity
+                    style={[styles.test_button, styles.backup_button, { backgroundColor: theme.button_secondary }]}
+                    onPress={() => handle_share_quarantined(record)}
+                  >
+                    <Text style={[styles.test_button_text, { color: theme.text_inverse }]}>📤 Share</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.test_button, styles.backup_button, { backgroundColor: theme.button_danger }]}
+                    onPress={() => handle_discard_quarantined(record)}
+                  >
+                    <Text style={[styles.test_button_text, { color: theme.text_inverse }]}>🗑️ Discard</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            ))}
+            <Text style={[styles.helper_text, { color: theme.text_secondary }]}>
+              Saved data that couldn't be read is kept here exactly as it was found, in case more can be recovered from it.
+            </Text>
+          </View>
+        )}
+      </View>
+
+      <TrashModal
+        visible={is_trash_visible}
+        onClose={() => set_is_trash_visible(false)}
+        onRestoreTimer={handle_restore_timer}
+      />
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content_container: {
+    padding: 20,
+    paddingTop: 40,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    textAlign: 'center',
+    marginBottom: 40,
+  },
+  input_group: {
+    marginBottom: 25,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  helper_text: {
+    fontSize: 14,
+    marginTop: 5,
+    fontStyle: 'italic',
+  },
+  option_container: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 10,
+    marginBottom: 10,
+  },
+  option_button: {
+    paddingHorizontal: 15,
+    paddingVertical: 10,
+    borderRadius: 20,
+    borderWidth: 1,
+    minWidth: 90,
+  },
+  option_text: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  volume_row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 20,
+    marginBottom: 15,
+  },
+  volume_button: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  volume_button_text: {
+    fontSize: 22,
+    fontWeight: 'bold',
+  },
+  volume_text: {
+    fontSize: 18,
+    fontWeight: '600',
+    minWidth: 60,
+    textAlign: 'center',
+  },
+  test_button: {
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  test_button_text: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  backup_row: {
+    flexDirection: 'row',
+    gap: 10,
+  },
+  backup_button: {
+    flex: 1,
+  },
+  damaged_item: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 10,
+  },
+  damaged_item_title: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  damaged_item_text: {
+    fontSize: 14,
+    marginBottom: 10,
+  },
+});
@@ -0,0 +1,119 @@
+import { set_storage_backend, create_memory_backend, get_stored_item } from '../storage_backend';
+import { flush_pending_writes } from '../write_queue';
+import { STORAGE_KEYS } from '../storage_keys';
+import { SCHEMA_VERSION } from '../migrations';
+import { RESTORE_MODES, create_backup, parse_backup, restore_backup } from '../backup';
+
+const saved_timer = { id: 'timer_1', name: 'Plank', duration: 60, category: 'Exercise' };
+const saved_entry = { id: 'history_1', timer_name: 'Plank', completion_time: '2026-01-02T00:00:00.000Z', original_duration: 60 };
+const backup_timer = { id: 'timer_2', name: 'Squats', duration: 90, category: 'Exercise' };
+const backup_entry = { id: 'history_2', timer_name: 'Squats', completion_time: '2026-01-03T00:00:00.000Z', original_duration: 90 };
+const saved_trash_item = { id: 'trash_1', type: 'timer', deleted_at: '2026-01-02T00:00:00.000Z', timer: { id: 'timer_0', name: 'Lunges' }, timer_index: 0 };
+const backup_trash_item = { id: 'trash_2', type: 'history', deleted_at: '2026-01-03T00:00:00.000Z', entries: [] };
+
+/**
+ * Reads a stored JSON value
+ * @param {string} key - Storage key
+ * @returns {Promise<*>} - Parsed value, null if nothing is stored
+ */
+const read_json = async (key) => JSON.parse(await get_stored_item(key));
+
+/**
+ * Builds a validated backup of the given data
+ * @param {Object} data - Backed up data
+ * @returns {Object} - Backup as restore_backup receives it
+ */
+const build_backup = (data) => parse_backup(JSON.stringify({
+  format: 'health_flex_backup',
+  version: 1,
+  created_at: '2026-01-04T00:00:00.000Z',
+  schema_version: SCHEMA_VERSION,
+  data,
+}));
+
+beforeEach(() => {
+  set_storage_backend(create_memory_backend({
+    [STORAGE_KEYS.SCHEMA_VERSION]: String(SCHEMA_VERSION),
+    [STORAGE_KEYS.TIMERS]: JSON.stringify([saved_timer]),
+    [STORAGE_KEYS.SECTION_ORDER]: JSON.stringify(['Work', 'Exercise']),
+    [STORAGE_KEYS.HISTORY]: JSON.stringify([saved_entry]),
+    [STORAGE_KEYS.TRASH]: JSON.stringify([saved_trash_item]),
+    [STORAGE_KEYS.THEME]: 'dark',
+  }));
+});
+
+afterEach(() => flush_pending_writes());
+
+describe('create_backup', () => {
+  it('holds everything saved, and survives a round trip through parse_backup', async () => {
+    const backup = await create_backup();
+    expect(backup.data).toEqual({
+      timers: [saved_timer],
+      section_order: ['Work', 'Exercise'],
+      history: [saved_entry],
+      trash: [saved_trash_item],
+      theme: 'dark',
+      settings: null,
+    });
+    expect(parse_backup(JSON.stringify(backup)).data).toEqual(backup.data);
+  });
+});
+
+describe('parse_backup', () => {
+  it('rejects the whole file when any part is invalid', () => {
+    expect(() => build_backup({ timers: [{ duration: 60 }] })).toThrow('invalid timers');
+    expect(() => build_backup({ section_order: [1, 2] })).toThrow('invalid section order');
+    expect(() => build_backup({ history: [{ timer_name: 'Plank', completion_time: 'never' }] })).toThrow('invalid history');
+    expect(() => build_backup({ trash: [{ id: 'trash_1', type: 'gadget', deleted_at: '2026-01-02T00:00:00.000Z' }] })).toThrow('invalid trash');
+    expect(() => build_backup({ theme: 'neon' })).toThrow('invalid theme');
+  });
+
+  it('rejects backups from a newer version', () => {
+    const backup = { format: 'health_flex_backup', version: 1, schema_version: SCHEMA_VERSION + 1, data: {} };
+    expect(() => parse_backup(JSON.stringify(backup))).toThrow('newer version');
+  });
+});
+
+describe('restore_backup', () => {
+  it('replaces saved data, clearing what the backup doesn\'t hold', async () => {
+    const backup = build_backup({ timers: [backup_timer], history: [backup_entry] });
+
+    expect(await restore_backup(backup, RESTORE_MODES.REPLACE)).toBe(true);
+    expect(await read_json(STORAGE_KEYS.TIMERS)).toEqual([backup_timer]);
+    expect(await read_json(STORAGE_KEYS.HISTORY)).toEqual([backup_entry]);
+    expect(await get_stored_item(STORAGE_KEYS.SECTION_ORDER)).toBeNull();
+    expect(await get_stored_item(STORAGE_KEYS.TRASH)).toBeNull();
+    expect(await get_stored_item(STORAGE_KEYS.THEME)).toBeNull();
+  });
+
+  it('replaces the trash with the backed up one', async () => {
+    const backup = build_backup({ timers: [backup_timer], trash: [backup_trash_item] });
+
+    await restore_backup(backup, RESTORE_MODES.REPLACE);
+    expect(await read_json(STORAGE_KEYS.TRASH)).toEqual([backup_trash_item]);
+  });
+
+  it('restores the section order when replacing', async () => {
+    const backup = build_backup({ timers: [backup_timer], section_order: ['Exercise', 'Work'] });
+
+    await restore_backup(backup, RESTORE_MODES.REPLACE);
+    expect(await read_json(STORAGE_KEYS.SECTION_ORDER)).toEqual(['Exercise', 'Work']);
+  });
+
+  it('merges new records into saved data, keeping the current section order and theme', async () => {
+    const backup = build_backup({
+      timers: [saved_timer, backup_timer],
+      section_order: ['Exercise'],
+      history: [saved_entry, backup_entry],
+      trash: [saved_trash_item, backup_trash_item],
+      theme: 'light',
+    });
+
+    expect(await restore_backup(backup, RESTORE_MODES.MERGE)).toBe(true);
+    expect(await read_json(STORAGE_KEYS.TIMERS)).toEqual([saved_timer, backup_timer]);
+    expect((await read_json(STORAGE_KEYS.HISTORY)).map(entry => entry.id)).toEqual(['history_2', 'history_1']);
+    expect((await read_json(STORAGE_KEYS.TRASH)).map(item => item.id)).toEqual(['trash_2', 'trash_1']);
+    expect(await read_json(STORAGE_KEYS.SECTION_ORDER)).toEqual(['Work', 'Exercise']);
+    expect(await get_stored_item(STORAGE_KEYS.THEME)).toBe('dark');
+  });
+});
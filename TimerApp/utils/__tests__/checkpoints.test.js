@@ -0,0 +1,30 @@
+import { CHECKPOINT_KINDS, split_form_checkpoints } from '../checkpoints';
+
+describe('split_form_checkpoints', () => {
+  it('reads the checkpoints the timer form has controls for', () => {
+    expect(split_form_checkpoints([
+      { kind: CHECKPOINT_KINDS.HALFWAY },
+      { kind: CHECKPOINT_KINDS.REMAINING, seconds: 60 },
+      { kind: CHECKPOINT_KINDS.EVERY, seconds: 300 },
+    ])).toEqual({ halfway: true, last_minute: true, every_seconds: 300, other_checkpoints: [] });
+  });
+
+  it('keeps the checkpoints the form can\'t show', () => {
+    const thirty_seconds_left = { kind: CHECKPOINT_KINDS.REMAINING, seconds: 30 };
+    const second_interval = { kind: CHECKPOINT_KINDS.EVERY, seconds: 600 };
+    const fractional_interval = { kind: CHECKPOINT_KINDS.EVERY, seconds: 1.5 };
+
+    const { every_seconds, other_checkpoints } = split_form_checkpoints([
+      fractional_interval,
+      { kind: CHECKPOINT_KINDS.EVERY, seconds: 300 },
+      thirty_seconds_left,
+      second_interval,
+    ]);
+    expect(every_seconds).toBe(300);
+    expect(other_checkpoints).toEqual([fractional_interval, thirty_seconds_left, second_interval]);
+  });
+
+  it('reads a timer without checkpoints', () => {
+    expect(split_form_checkpoints(undefined)).toEqual({ halfway: false, last_minute: false, every_seconds: null, other_checkpoints: [] });
+  });
+});
@@ -0,0 +1,174 @@
+import { set_storage_backend, create_memory_backend, get_stored_item } from '../storage_backend';
+import { STORAGE_KEYS } from '../storage_keys';
+import {
+  salvage_json_array,
+  check_stored_data,
+  load_quarantined_data,
+  discard_quarantined_data,
+} from '../data_recovery';
+
+const is_named = (item) => typeof item?.name === 'string';
+
+const timer = { id: 1, name: 'Plank', duration: 60 };
+const entry = { id: 'history_1', timer_name: 'Plank', completion_time: '2026-01-01T00:00:00.000Z' };
+
+beforeEach(() => {
+  set_storage_backend(create_memory_backend());
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => console.warn.mockRestore());
+
+describe('salvage_json_array', () => {
+  it('reads an intact array', () => {
+    expect(salvage_json_array(JSON.stringify([timer]), is_named)).toEqual({ items: [timer], reason: null });
+  });
+
+  it('recovers the complete objects of an array cut off mid-write', () => {
+    const raw_value = `[${JSON.stringify(timer)}, {"name": "Half {written}", "nested": {"a": 1}}, {"name": "Cut`;
+    const { items, reason } = salvage_json_array(raw_value, is_named);
+
+    expect(items).toEqual([timer, { name: 'Half {written}', nested: { a: 1 } }]);
+    expect(reason).toMatch(/^Not valid JSON/);
+  });
+
+  it('drops unusable entries', () => {
+    const { items, reason } = salvage_json_array(JSON.stringify([timer, null, { duration: 5 }]), is_named);
+    expect(items).toEqual([timer]);
+    expect(reason).toBe('2 unreadable entries');
+  });
+
+  it('rejects data that is not a list', () => {
+    expect(salvage_json_array('{"name": "Plank"}', is_named)).toEqual({ items: [], reason: 'Not a list' });
+  });
+});
+
+describe('check_stored_data', () => {
+  it('leaves readable data alone', async () => {
+    set_storage_backend(create_memory_backend({
+      [STORAGE_KEYS.TIMERS]: JSON.stringify([timer]),
+      [STORAGE_KEYS.HISTORY]: JSON.stringify([entry]),
+    }));
+
+    expect(await check_stored_data()).toEqual([]);
+    expect(await load_quarantined_data()).toEqual([]);
+  });
+
+  it('quarantines damaged data and keeps what could be salvaged', async () => {
+    const damaged_history = `[${JSON.stringify(entry)}, {"timer_name": "Cut`;
+    set_storage_backend(create_memory_backend({ [STORAGE_KEYS.HISTORY]: damaged_history }));
+
+    expect(await check_stored_data()).toEqual([{ label: 'History', salvaged_count: 1 }]);
+    expect(JSON.parse(await get_stored_item(STORAGE_KEYS.HISTORY))).toEqual([entry]);
+
+    const [record] = await load_quarantined_data();
+    expect(record).toMatchObject({ storage_key: STORAGE_KEYS.HISTORY, raw_value: damaged_history, salvaged_count: 1 });
+  });
+
+  it('removes data with nothing to salvage once a copy is kept', async () => {
+    set_storage_backend(create_memory_backend({ [STORAGE_KEYS.TIMERS]: 'garbage' }));
+
+    expect(await check_stored_data()).toEqual([{ label: 'Timers', salvaged_count: 0 }]);
+    expect(await get_stored_item(STORAGE_KEYS.TIMERS)).toBeNull();
+    expect((await load_quarantined_data())[0].raw_value).toBe('garbage');
+  });
+
+  it('leaves damaged data in place when its copy can\'t be kept', async () => {
+    const backend = create_memory_backend({ [STORAGE_KEYS.TIMERS]: 'garbage' });
+    set_storage_backend({ ...backend, multi_set: async () => { throw new Error('disk full'); } });
+    jest.spyOn(console, 'error').mockImplementationOnce(() => {});
+
+    await check_stored_data();
+    expect(await backend.get_item(STORAGE_KEYS.TIMERS)).toBe('garbage');
+  });
+
+  it('keeps the same damaged data only once', async () => {
+    set_storage_backend(create_memory_backend({ [STORAGE_KEYS.TIMERS]: 'garbage' }));
+    await check_stored_data();
+    set_storage_backend(create_memory_backend({
+      [STORAGE_KEYS.TIMERS]: 'garbage',
+      [STORAGE_KEYS.QUARANTINE]: await get_stored_item(STORAGE_KEYS.QUARANTINE),
+    }));
+    await check_stored_data();
+
+    expect(await load_quarantined_data()).toHaveLength(1);
+  });
+});
+
+describe('discard_quarantined_data', () => {
+  it('deletes a kept copy', async () => {
+    set_storage_backend(create_memory_backend({ [STORAGE_KEYS.TIMERS]: 'garbage' }));
+    await check_stored_data();
+    const [record] = await load_quarantined_data();
+
+    expect(await discard_quarantined_data(record.id)).toBe(true);
+    expect(await load_quarantined_data()).toEqual([]);
+  });
+});
+
+describe('kept copies', () => {
+  /**
+   * Quarantines damaged timers with the given text
+   * @param {string} raw_value - Damaged stored text
+   */
+  const quarantine_timers = async (raw_value) => {
+    const quarantine_json = await get_stored_item(STORAGE_KEYS.QUARANTINE);
+    set_storage_backend(create_memory_backend({
+      [STORAGE_KEYS.TIMERS]: raw_value,
+      ...(quarantine_json === null ? {} : { [STORAGE_KEYS.QUARANTINE]: quarantine_json }),
+    }));
+    await check_stored_data();
+  };
+
+  it('keeps every copy until the user discards it', async () => {
+    for (let index = 0; index < 12; index++) {
+      await quarantine_timers(`garbage ${index}`);
+    }
+    expect((await load_quarantined_data()).map(record => record.raw_value)).toHaveLength(12);
+  });
+
+  it('keeps the earlier copies when the list of copies is damaged itself', async () => {
+    await quarantine_timers('garbage 1');
+    const [earlier_record] = await load_quarantined_data();
+    const damaged_list = `[${JSON.stringify(earlier_record)}, {"id": "cut`;
+    set_storage_backend(create_memory_backend({
+      [STORAGE_KEYS.TIMERS]: 'garbage 2',
+      [STORAGE_KEYS.QUARANTINE]: damaged_list,
+    }));
+
+    await check_stored_data();
+    const records = await load_quarantined_data();
+
+    expect(records.map(record => record.raw_value)).toEqual(['garbage 2', damaged_list, 'garbage 1']);
+    expect(records[1]).toMatchObject({ storage_key: STORAGE_KEYS.QUARANTINE, salvaged_count: 1 });
+  });
+
+  it('saves a repaired list so its copies can be discarded', async () => {
+    set_storage_backend(create_memory_backend({ [STORAGE_KEYS.QUARANTINE]: 'not a list' }));
+    const [record] = await load_quarantined_data();
+
+    expect(record.raw_value).toBe('not a list');
+    expect(await load_quarantined_data()).toEqual([record]);
+    expect(await discard_quarantined_data(record.id)).toBe(true);
+    expect(await load_quarantined_data()).toEqual([]);
+  });
+
+  it('writes nothing when the list of copies can\'t be read', async () => {
+    const backend = create_memory_backend({ [STORAGE_KEYS.TIMERS]: 'garbage', [STORAGE_KEYS.QUARANTINE]: '[]' });
+    set_storage_backend({
+      ...backend,
+      get_item: async (key) => {
+        if (key === STORAGE_KEYS.QUARANTINE) {
+          throw new Error('read failed');
+        }
+        return backend.get_item(key);
+      },
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await check_stored_data();
+    expect(await backend.get_item(STORAGE_KEYS.QUARANTINE)).toBe('[]');
+    expect(await backend.get_item(STORAGE_KEYS.TIMERS)).toBe('garbage');
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,156 @@
+import { set_storage_backend, create_memory_backend } from '../storage_backend';
+import { flush_pending_writes } from '../write_queue';
+import { STORAGE_KEYS } from '../storage_keys';
+import {
+  add_timer_to_history,
+  load_history,
+  read_history,
+  record_run_events,
+  rename_timer_history,
+  save_session_reflection,
+  clear_history,
+  get_entry_seconds,
+  HISTORY_STATUS,
+} from '../history';
+
+const timer = { id: 7, name: 'Plank', duration: 60, category: 'Exercise' };
+
+beforeEach(() => {
+  set_storage_backend(create_memory_backend());
+});
+
+afterEach(() => flush_pending_writes());
+
+describe('add_timer_to_history', () => {
+  it('saves entries newest first with the timer they belong to', async () => {
+    await add_timer_to_history('Plank', 60, 'Exercise', { timer_id: 7, completion_time: 1000 });
+    await add_timer_to_history('Squats', 90, 'Exercise', { completion_time: 2000 });
+
+    const history = await load_history();
+    expect(history.map(entry => entry.timer_name)).toEqual(['Squats', 'Plank']);
+    expect(history[1]).toMatchObject({
+      timer_id: 7,
+      original_duration: 60,
+      category: 'Exercise',
+      completion_time: new Date(1000).toISOString(),
+    });
+    expect(history[0].timer_id).toBeUndefined();
+  });
+
+  it('keeps every entry saved at the same moment', async () => {
+    const names = ['A', 'B', 'C', 'D', 'E'];
+    const results = await Promise.all(names.map(name => add_timer_to_history(name, 60, 'Work')));
+
+    expect(results).toEqual([true, true, true, true, true]);
+    expect((await load_history()).map(entry => entry.timer_name).sort()).toEqual(names);
+  });
+});
+
+describe('record_run_events', () => {
+  it('records a completed run and its overtime on the same entry', async () => {
+    const completed_at = Date.UTC(2026, 0, 5, 9, 0);
+    await record_run_events(timer, [{ type: 'complete', completed_at, repeat_count: 1, round: 1 }]);
+    await record_run_events(timer, [{ type: 'overtime_end', completed_at, overtime_ms: 30000 }]);
+
+    const [entry] = await load_history();
+    expect(entry).toMatchObject({ timer_id: 7, timer_name: 'Plank', overtime_duration: 30 });
+    expect(get_entry_seconds(entry)).toBe(90);
+  });
+});
+
+describe('save_session_reflection', () => {
+  const completed_at = Date.UTC(2026, 0, 5, 9, 0);
+
+  it('finds the entry by the timer\'s ID, not its name', async () => {
+    await add_timer_to_history('Plank', 60, 'Exercise', { timer_id: 7, completion_time: completed_at });
+    await add_timer_to_history('Plank', 60, 'Exercise', { timer_id: 8, completion_time: completed_at });
+
+    expect(await save_session_reflection(timer, completed_at, { note: 'Felt strong', rating: 4 })).toBe(true);
+
+    const history = await load_history();
+    expect(history.find(entry => entry.timer_id === 7)).toMatchObject({ note: 'Felt strong', rating: 4 });
+    expect(history.find(entry => entry.timer_id === 8).note).toBeUndefined();
+  });
+
+  it('finds entries recorded before IDs were kept by name', async () => {
+    await add_timer_to_history('Plank', 60, 'Exercise', { completion_time: completed_at });
+
+    expect(await save_session_reflection(timer, completed_at, { mood: '🙂' })).toBe(true);
+    expect((await load_history())[0].mood).toBe('🙂');
+  });
+
+  it('leaves another timer\'s entry with the same name alone', async () => {
+    await add_timer_to_history('Plank', 60, 'Exercise', { timer_id: 8, completion_time: completed_at });
+    jest.spyOn(console, 'warn').mockImplementationOnce(() => {});
+
+    expect(await save_session_reflection(timer, completed_at, { note: 'Not mine' })).toBe(false);
+    expect((await load_history())[0].note).toBeUndefined();
+  });
+});
+
+describe('get_entry_seconds', () => {
+  it('counts partial runs for the time they actually ran', () => {
+    const entry = { status: HISTORY_STATUS.PARTIAL, elapsed_duration: 12, original_duration: 60 };
+    expect(get_entry_seconds(entry)).toBe(12);
+  });
+});
+
+describe('rename_timer_history', () => {
+  it('renames the timer\'s entries and legacy entries with its old name only', async () => {
+    await add_timer_to_history('Plank', 60, 'Exercise');
+    await add_timer_to_history('Plank', 60, 'Exercise', { timer_id: 7 });
+    await add_timer_to_history('Plank', 60, 'Exercise', { timer_id: 8 });
+
+    expect(await rename_timer_history(7, 'Plank', 'Side Plank')).toBe(true);
+
+    const names = (await load_history()).map(entry => [entry.timer_id, entry.timer_name]);
+    expect(names).toEqual([[8, 'Plank'], [7, 'Side Plank'], [undefined, 'Side Plank']]);
+  });
+
+  it('leaves the history unchanged when nothing matches', async () => {
+    await add_timer_to_history('Squats', 60, 'Exercise', { timer_id: 9 });
+    expect(await rename_timer_history(7, 'Plank', 'Side Plank')).toBe(false);
+  });
+});
+
+describe('clear_history', () => {
+  it('removes every entry', async () => {
+    await add_timer_to_history('Plank', 60, 'Exercise');
+    await clear_history();
+    expect(await load_history()).toEqual([]);
+  });
+});
+
+describe('when the history can\'t be read', () => {
+  const stored_history = JSON.stringify([
+    { id: 'history_1', timer_id: 7, timer_name: 'Plank', completion_time: '2026-01-01T00:00:00.000Z', original_duration: 60 },
+  ]);
+  let backend;
+
+  beforeEach(() => {
+    backend = create_memory_backend({ [STORAGE_KEYS.HISTORY]: stored_history });
+    set_storage_backend({
+      ...backend,
+      get_item: async (key) => {
+        if (key === STORAGE_KEYS.HISTORY) {
+          throw new Error('read failed');
+        }
+        return backend.get_item(key);
+      },
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => console.error.mockRestore());
+
+  it('shows an empty history but fails to read it for a change', async () => {
+    expect(await load_history()).toEqual([]);
+    await expect(read_history()).rejects.toThrow('read failed');
+  });
+
+  it('saves nothing over the stored history', async () => {
+    expect(await add_timer_to_history('Squats', 90, 'Exercise')).toBe(false);
+    expect(await rename_timer_history(7, 'Plank', 'Side Plank')).toBe(false);
+    expect(await backend.get_item(STORAGE_KEYS.HISTORY)).toBe(stored_history);
+  });
+});
@@ -0,0 +1,63 @@
+import { set_storage_backend, create_memory_backend, get_stored_item } from '../storage_backend';
+import { STORAGE_KEYS } from '../storage_keys';
+import { run_migrations, migrate_data, is_stored_data_newer, SCHEMA_VERSION } from '../migrations';
+
+/**
+ * Reads a stored JSON value
+ * @param {string} key - Storage key
+ * @returns {Promise<*>} - Parsed value, null if nothing is stored
+ */
+const read_json = async (key) => JSON.parse(await get_stored_item(key));
+
+describe('migrate_data', () => {
+  it('gives old default timers their category and every record an ID', () => {
+    const data = migrate_data({
+      timers: [{ id: 'default-1', name: '1 Minute Timer', duration: 60, is_default: true }, { name: 'No ID', duration: 30 }],
+      history: [{ timer_name: 'No ID', completion_time: '2026-01-01T00:00:00.000Z' }],
+    }, 0);
+
+    expect(data.timers[0].category).toBe('Break');
+    expect(data.timers[1].id).toEqual(expect.any(String));
+    expect(data.history[0].id).toEqual(expect.any(String));
+  });
+
+  it('only runs migrations newer than the given version', () => {
+    const timers = [{ id: 'default-1', name: '1 Minute Timer', is_default: true }];
+    expect(migrate_data({ timers, history: null }, 1).timers[0].category).toBeUndefined();
+  });
+});
+
+describe('run_migrations', () => {
+  it('migrates stored data and records the version', async () => {
+    set_storage_backend(create_memory_backend({
+      [STORAGE_KEYS.TIMERS]: JSON.stringify([{ name: 'No ID', duration: 30 }]),
+    }));
+
+    expect(await run_migrations()).toBe(true);
+    expect((await read_json(STORAGE_KEYS.TIMERS))[0].id).toEqual(expect.any(String));
+    expect(await read_json(STORAGE_KEYS.SCHEMA_VERSION)).toBe(SCHEMA_VERSION);
+    expect(await get_stored_item(STORAGE_KEYS.HISTORY)).toBeNull();
+  });
+
+  it('leaves the data unchanged when a migration can\'t read it', async () => {
+    set_storage_backend(create_memory_backend({ [STORAGE_KEYS.TIMERS]: '{"not": "an array"}' }));
+    jest.spyOn(console, 'error').mockImplementationOnce(() => {});
+
+    expect(await run_migrations()).toBe(false);
+    expect(await get_stored_item(STORAGE_KEYS.TIMERS)).toBe('{"not": "an array"}');
+    expect(await get_stored_item(STORAGE_KEYS.SCHEMA_VERSION)).toBeNull();
+  });
+});
+
+describe('is_stored_data_newer', () => {
+  it('is true only for data saved by a newer version', async () => {
+    set_storage_backend(create_memory_backend());
+    expect(await is_stored_data_newer()).toBe(false);
+
+    set_storage_backend(create_memory_backend({ [STORAGE_KEYS.SCHEMA_VERSION]: String(SCHEMA_VERSION) }));
+    expect(await is_stored_data_newer()).toBe(false);
+
+    set_storage_backend(create_memory_backend({ [STORAGE_KEYS.SCHEMA_VERSION]: String(SCHEMA_VERSION + 1) }));
+    expect(await is_stored_data_newer()).toBe(true);
+  });
+});
@@ -0,0 +1,126 @@
+import {
+  WORKDAYS,
+  EVERY_DAY,
+  CATCH_UP_WINDOW_MS,
+  get_next_start,
+  get_latest_start,
+  get_due_timers,
+  get_catch_up_start,
+} from '../schedule';
+import { advance_run, create_run_state, start_run } from '../timer_engine';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Builds an epoch ms from local date parts
+ * @param {number} month - Month, 1 for January
+ * @param {number} day - Day of the month
+ * @param {number} hour - Local hour
+ * @param {number} minute - Local minute
+ * @returns {number} - Epoch ms in 2026
+ */
+const local_time = (month, day, hour, minute = 0) => new Date(2026, month - 1, day, hour, minute).getTime();
+
+/**
+ * Describes an epoch ms as local time, e.g. "3/8 10:30"
+ * @param {number} time - Epoch ms
+ * @returns {string} - Local month, day and time
+ */
+const describe_local = (time) => {
+  const date = new Date(time);
+  return `${date.getMonth() + 1}/${date.getDate()} ${date.getHours()}:${String(date.getMinutes()).padStart(2, '0')}`;
+};
+
+const daily_at = (hour, minute) => ({ hour, minute, days: EVERY_DAY, enabled: true });
+
+describe('get_next_start', () => {
+  it('keeps the same local time across the switch to daylight saving time', () => {
+    const start = get_next_start(daily_at(10, 30), local_time(3, 7, 12));
+    expect(describe_local(start)).toBe('3/8 10:30');
+    expect(start - local_time(3, 7, 10, 30)).toBe(23 * HOUR_MS);
+  });
+
+  it('keeps the same local time across the switch back to standard time', () => {
+    const start = get_next_start(daily_at(10, 30), local_time(10, 31, 12));
+    expect(describe_local(start)).toBe('11/1 10:30');
+    expect(start - local_time(10, 31, 10, 30)).toBe(25 * HOUR_MS);
+  });
+
+  it('moves a start in the skipped hour forward', () => {
+    expect(describe_local(get_next_start(daily_at(2, 30), local_time(3, 8, 0)))).toBe('3/8 3:30');
+  });
+
+  it('fires only once in the repeated hour', () => {
+    const first_start = get_next_start(daily_at(1, 30), local_time(11, 1, 0));
+    const second_start = get_next_start(daily_at(1, 30), first_start + 15 * 60 * 1000);
+
+    expect(describe_local(first_start)).toBe('11/1 1:30');
+    expect(describe_local(second_start)).toBe('11/2 1:30');
+  });
+
+  it('skips days the schedule is off', () => {
+    // March 6, 2026 is a Friday
+    const weekdays = { hour: 7, minute: 0, days: WORKDAYS, enabled: true };
+    expect(describe_local(get_next_start(weekdays, local_time(3, 6, 8)))).toBe('3/9 7:00');
+  });
+
+  it('never fires without days', () => {
+    expect(get_next_start({ hour: 7, minute: 0, days: [] }, local_time(3, 6, 8))).toBeNull();
+  });
+});
+
+describe('get_latest_start', () => {
+  it('finds the latest start in the window only', () => {
+    const schedule = daily_at(10, 30);
+    expect(describe_local(get_latest_start(schedule, local_time(3, 6, 9), local_time(3, 7, 12)))).toBe('3/7 10:30');
+    expect(get_latest_start(schedule, local_time(3, 7, 11), local_time(3, 7, 12))).toBeNull();
+  });
+});
+
+describe('get_due_timers', () => {
+  const stretch = { id: 1, name: 'Stretch', duration: 5 * 60, schedule: daily_at(10, 30) };
+
+  it('starts a missed timer within the catch-up window', () => {
+    const now = local_time(3, 9, 14);
+    const { due, checked_until } = get_due_timers([stretch], { 1: local_time(3, 9, 8) }, now);
+
+    expect(due).toEqual([{ timer: stretch, start: local_time(3, 9, 10, 30) }]);
+    expect(checked_until).toEqual({ 1: now });
+  });
+
+  it('skips a start missed longer ago than the catch-up window', () => {
+    const now = local_time(3, 9, 10, 30) + CATCH_UP_WINDOW_MS + 1;
+    expect(get_due_timers([stretch], { 1: local_time(3, 9, 8) }, now).due).toEqual([]);
+  });
+
+  it('only catches up the latest missed start', () => {
+    const { due } = get_due_timers([stretch], { 1: local_time(3, 6, 8) }, local_time(3, 9, 11));
+    expect(due.map(({ start }) => describe_local(start))).toEqual(['3/9 10:30']);
+  });
+
+  it('does not fire a new or disabled schedule for starts before it was checked', () => {
+    const disabled = { ...stretch, id: 2, schedule: { ...stretch.schedule, enabled: false } };
+    const { due, checked_until } = get_due_timers([stretch, disabled], {}, local_time(3, 9, 11));
+
+    expect(due).toEqual([]);
+    expect(Object.keys(checked_until)).toEqual(['1']);
+  });
+});
+
+describe('get_catch_up_start', () => {
+  const stretch = { id: 1, name: 'Stretch', duration: 5 * 60 };
+  const scheduled_start = local_time(3, 9, 10, 30);
+
+  it('keeps the scheduled start while the run would still be going', () => {
+    const now = scheduled_start + 2 * 60 * 1000;
+    expect(get_catch_up_start(stretch, scheduled_start, now)).toBe(scheduled_start);
+  });
+
+  it('starts a run that would already have finished now, so nothing completes', () => {
+    const now = local_time(3, 9, 14);
+    const started_at = get_catch_up_start(stretch, scheduled_start, now);
+
+    expect(started_at).toBe(now);
+    expect(advance_run(start_run(create_run_state(), started_at), stretch, now + 1000).events).toEqual([]);
+  });
+});
@@ -0,0 +1,92 @@
+import { set_storage_backend, create_memory_backend, get_stored_item } from '../storage_backend';
+import { flush_pending_writes } from '../write_queue';
+import { STORAGE_KEYS } from '../storage_keys';
+import {
+  save_timers,
+  load_timers,
+  get_default_timers,
+  save_section_order,
+  load_section_order,
+  save_timer_states,
+  load_timer_states,
+  clear_timers,
+} from '../storage';
+
+const work_timer = { id: 1, name: 'Deep Work', duration: 1500, category: 'Work', is_default: false };
+
+beforeEach(() => {
+  set_storage_backend(create_memory_backend());
+});
+
+afterEach(() => flush_pending_writes());
+
+describe('memory backend', () => {
+  it('reads, writes and removes values', async () => {
+    const backend = create_memory_backend({ a: '1' });
+    expect(await backend.get_item('a')).toBe('1');
+    await backend.multi_set([['b', '2'], ['c', '3']]);
+    expect(await backend.get_item('c')).toBe('3');
+    await backend.multi_remove(['a', 'c']);
+    expect(await backend.get_item('a')).toBeNull();
+    expect(await backend.get_item('b')).toBe('2');
+  });
+});
+
+describe('timers', () => {
+  it('falls back to the default timers when none are saved', async () => {
+    expect(await load_timers()).toEqual(get_default_timers());
+  });
+
+  it('loads saved timers, including a write that has not run yet', async () => {
+    const saved = save_timers([work_timer]);
+    expect(await load_timers()).toEqual([work_timer]);
+    expect(await saved).toBe(true);
+    expect(JSON.parse(await get_stored_item(STORAGE_KEYS.TIMERS))).toEqual([work_timer]);
+  });
+
+  it('fails instead of returning the defaults when the saved timers can\'t be read', async () => {
+    set_storage_backend({ ...create_memory_backend(), get_item: async () => { throw new Error('read failed'); } });
+    await expect(load_timers()).rejects.toThrow('read failed');
+  });
+
+  it('keeps the timers salvaged from damaged data', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    set_storage_backend(create_memory_backend({ [STORAGE_KEYS.TIMERS]: `[${JSON.stringify(work_timer)}, {"name": "Cut off` }));
+    expect(await load_timers()).toEqual([work_timer]);
+    console.warn.mockRestore();
+  });
+
+  it('clears saved timers', async () => {
+    await save_timers([work_timer]);
+    await clear_timers();
+    expect(await get_stored_item(STORAGE_KEYS.TIMERS)).toBeNull();
+  });
+});
+
+describe('section order', () => {
+  it('is empty until saved', async () => {
+    expect(await load_section_order()).toEqual([]);
+  });
+
+  it('round-trips and drops anything that is not a section ID', async () => {
+    await save_section_order(['custom_work', 'default_timers']);
+    expect(await load_section_order()).toEqual(['custom_work', 'default_timers']);
+
+    set_storage_backend(create_memory_backend({ [STORAGE_KEYS.SECTION_ORDER]: '["custom_work", 3, null]' }));
+    expect(await load_section_order()).toEqual(['custom_work']);
+  });
+});
+
+describe('timer states', () => {
+  it('ignores states that are not an object keyed by timer ID', async () => {
+    set_storage_backend(create_memory_backend({ [STORAGE_KEYS.TIMER_STATES]: '[1, 2]' }));
+    jest.spyOn(console, 'warn').mockImplementationOnce(() => {});
+    expect(await load_timer_states()).toEqual({});
+  });
+
+  it('round-trips run states', async () => {
+    const states = { 1: { started_at: 1000, paused_at: null } };
+    await save_timer_states(states);
+    expect(await load_timer_states()).toEqual(states);
+  });
+});
@@ -0,0 +1,180 @@
+import {
+  create_run_state,
+  get_run_status,
+  get_elapsed_ms,
+  get_remaining_seconds,
+  get_projected_end,
+  start_run,
+  pause_run,
+  stop_run,
+  advance_run,
+  has_same_run,
+} from '../timer_engine';
+import { TIMER_TYPES, REPEAT_FOREVER } from '../timer_types';
+import { CHECKPOINT_KINDS } from '../checkpoints';
+
+const START = Date.UTC(2026, 0, 5, 9, 0);
+const SECOND_MS = 1000;
+
+const countdown = { id: 1, name: 'Plank', duration: 60 };
+
+/**
+ * Starts a run of a timer at START
+ * @returns {Object} - Running run state
+ */
+const start_at_zero = () => start_run(create_run_state(), START);
+
+/**
+ * Gets the types of a list of events
+ * @param {Array<Object>} events - Events from advance_run
+ * @returns {Array<string>} - Event types in order
+ */
+const get_event_types = (events) => events.map(event => event.type);
+
+describe('start_run and pause_run', () => {
+  it('leaves paused time out of the elapsed time', () => {
+    let run_state = start_at_zero();
+    run_state = pause_run(run_state, START + 10 * SECOND_MS);
+    expect(get_run_status(run_state)).toBe('paused');
+    expect(get_elapsed_ms(run_state, START + 100 * SECOND_MS)).toBe(10 * SECOND_MS);
+
+    run_state = start_run(run_state, START + 40 * SECOND_MS);
+    expect(get_run_status(run_state)).toBe('running');
+    expect(get_elapsed_ms(run_state, START + 50 * SECOND_MS)).toBe(20 * SECOND_MS);
+    expect(get_remaining_seconds(run_state, 60, START + 50 * SECOND_MS)).toBe(40);
+  });
+
+  it('completes a paused and resumed run at its real end', () => {
+    let run_state = pause_run(start_at_zero(), START + 10 * SECOND_MS);
+    run_state = start_run(run_state, START + 40 * SECOND_MS);
+
+    const { run_state: completed_state, events } = advance_run(run_state, countdown, START + 5 * 60 * SECOND_MS);
+    expect(events).toEqual([{ type: 'complete', completed_at: START + 90 * SECOND_MS, round: 1, repeat_count: 1 }]);
+    expect(get_run_status(completed_state)).toBe('completed');
+  });
+
+  it('does not advance a paused run', () => {
+    const run_state = pause_run(start_at_zero(), START + 10 * SECOND_MS);
+    expect(advance_run(run_state, countdown, START + 5 * 60 * SECOND_MS)).toEqual({ run_state, events: [] });
+  });
+});
+
+describe('advance_run', () => {
+  it('never repeats an event when advanced again', () => {
+    const first = advance_run(start_at_zero(), countdown, START + 61 * SECOND_MS);
+    expect(advance_run(first.run_state, countdown, START + 120 * SECOND_MS).events).toEqual([]);
+  });
+
+  it('catches up every phase crossed while away, at the moment each ended', () => {
+    const routine = {
+      ...countdown,
+      type: TIMER_TYPES.ROUTINE,
+      segments: [{ name: 'Squats', duration: 30, repeat: 2 }, { name: 'Rest', duration: 10, linked: true }],
+    };
+
+    const { events } = advance_run(start_at_zero(), routine, START + 10 * 60 * SECOND_MS);
+    expect(get_event_types(events)).toEqual(['phase_complete', 'phase_complete', 'phase_complete', 'phase_complete', 'complete']);
+    expect(events.map(event => (event.completed_at - START) / SECOND_MS)).toEqual([30, 40, 70, 80, 80]);
+  });
+
+  it('catches up the rounds of a repeating timer, completing only the last one', () => {
+    const repeating = { ...countdown, repeat_count: 3 };
+
+    const { run_state, events } = advance_run(start_at_zero(), repeating, START + 10 * 60 * SECOND_MS);
+    expect(events).toEqual([
+      { type: 'round_complete', completed_at: START + 60 * SECOND_MS, round: 1, repeat_count: 3 },
+      { type: 'round_complete', completed_at: START + 120 * SECOND_MS, round: 2, repeat_count: 3 },
+      { type: 'complete', completed_at: START + 180 * SECOND_MS, round: 3, repeat_count: 3 },
+    ]);
+    expect(get_run_status(run_state)).toBe('completed');
+  });
+
+  it('picks up mid-round where a repeating timer left off', () => {
+    const repeating = { ...countdown, repeat_count: 3 };
+
+    const { run_state, events } = advance_run(start_at_zero(), repeating, START + 90 * SECOND_MS);
+    expect(get_event_types(events)).toEqual(['round_complete']);
+    expect(run_state.round).toBe(2);
+    expect(get_remaining_seconds(run_state, 60, START + 90 * SECOND_MS)).toBe(30);
+    expect(get_projected_end(run_state, repeating)).toBe(START + 180 * SECOND_MS);
+  });
+
+  it('keeps a timer that repeats forever running', () => {
+    const forever = { ...countdown, repeat_count: REPEAT_FOREVER };
+
+    const { run_state, events } = advance_run(start_at_zero(), forever, START + 150 * SECOND_MS);
+    expect(get_event_types(events)).toEqual(['round_complete', 'round_complete']);
+    expect(get_run_status(run_state)).toBe('running');
+    expect(run_state.round).toBe(3);
+  });
+
+  it('emits each checkpoint reached while away', () => {
+    const with_checkpoints = { ...countdown, checkpoints: [{ kind: CHECKPOINT_KINDS.EVERY, seconds: 20 }] };
+
+    const { events } = advance_run(start_at_zero(), with_checkpoints, START + 45 * SECOND_MS);
+    expect(events.map(({ type, mark, remaining }) => ({ type, mark, remaining }))).toEqual([
+      { type: 'checkpoint', mark: 20, remaining: 40 },
+      { type: 'checkpoint', mark: 40, remaining: 20 },
+    ]);
+  });
+
+  it('leaves stopwatches to complete through stop_run', () => {
+    const stopwatch = { id: 2, name: 'Run', type: TIMER_TYPES.STOPWATCH, duration: 0 };
+    expect(advance_run(start_at_zero(), stopwatch, START + 60 * 60 * SECOND_MS).events).toEqual([]);
+  });
+});
+
+describe('overtime', () => {
+  const with_overtime = { ...countdown, overtime: true };
+
+  it('completes at zero, keeps counting and reports the time past zero when stopped', () => {
+    const { run_state, events } = advance_run(start_at_zero(), with_overtime, START + 90 * SECOND_MS);
+    expect(events).toEqual([{ type: 'complete', completed_at: START + 60 * SECOND_MS, round: 1, repeat_count: 1 }]);
+    expect(get_run_status(run_state)).toBe('overtime');
+
+    const stopped = stop_run(run_state, START + 100 * SECOND_MS);
+    expect(stopped.events).toEqual([{ type: 'overtime_end', completed_at: START + 60 * SECOND_MS, overtime_ms: 40 * SECOND_MS }]);
+    expect(get_run_status(stopped.run_state)).toBe('completed');
+  });
+
+  it('is not used by repeating timers', () => {
+    const repeating = { ...with_overtime, repeat_count: 2 };
+    const { run_state } = advance_run(start_at_zero(), repeating, START + 10 * 60 * SECOND_MS);
+    expect(get_run_status(run_state)).toBe('completed');
+  });
+});
+
+describe('has_same_run', () => {
+  // As imported: segments without IDs, links or repeats, checkpoints in any order
+  const imported_routine = {
+    ...countdown,
+    type: TIMER_TYPES.ROUTINE,
+    duration: 90,
+    segments: [{ name: 'Squats', duration: 60 }, { name: 'Rest', duration: 30 }],
+    checkpoints: [{ kind: CHECKPOINT_KINDS.REMAINING, seconds: 60 }, { kind: CHECKPOINT_KINDS.HALFWAY }],
+  };
+  // As saved back by the edit form after a rename
+  const renamed_routine = {
+    ...imported_routine,
+    name: 'Leg Day',
+    category: 'Workout',
+    segments: [
+      { id: 'segment_1', name: 'Squats', duration: 60, repeat: 1, linked: false },
+      { id: 'segment_2', name: 'Rest', duration: 30, repeat: 1, linked: false },
+    ],
+    checkpoints: [{ kind: CHECKPOINT_KINDS.HALFWAY }, { kind: CHECKPOINT_KINDS.REMAINING, seconds: 60 }],
+  };
+
+  it('ignores names, categories and how the definition is stored', () => {
+    expect(has_same_run(imported_routine, renamed_routine)).toBe(true);
+    expect(has_same_run(countdown, { ...countdown, type: TIMER_TYPES.COUNTDOWN, name: 'Side Plank' })).toBe(true);
+  });
+
+  it('notices changes to phase lengths, checkpoints, repeats and overtime', () => {
+    expect(has_same_run(countdown, { ...countdown, duration: 90 })).toBe(false);
+    expect(has_same_run(imported_routine, { ...renamed_routine, checkpoints: [{ kind: CHECKPOINT_KINDS.HALFWAY }] })).toBe(false);
+    expect(has_same_run(countdown, { ...countdown, repeat_count: 2 })).toBe(false);
+    expect(has_same_run(countdown, { ...countdown, overtime: true })).toBe(false);
+    expect(has_same_run(countdown, { ...countdown, type: TIMER_TYPES.STOPWATCH })).toBe(false);
+  });
+});
@@ -0,0 +1,118 @@
+import {
+  TIMER_EXPORT_FORMAT,
+  TIMER_EXPORT_VERSION,
+  build_timer_export,
+  parse_timer_import,
+  find_duplicate_timers,
+} from '../timer_transfer';
+import { TIMER_TYPES, MAX_POMODORO_ROUNDS, MAX_SEGMENT_REPEAT, MAX_REPEAT_COUNT, get_timer_phases } from '../timer_types';
+import { CHECKPOINT_KINDS, get_checkpoint_marks } from '../checkpoints';
+
+// Only the sound names are used; the native audio module can't load under Jest
+jest.mock('expo-audio', () => ({ createAudioPlayer: jest.fn(), setAudioModeAsync: jest.fn() }));
+
+const countdown = { name: 'Plank', category: 'Exercise', duration: 60 };
+const routine = {
+  name: 'Circuit',
+  category: 'Exercise',
+  type: TIMER_TYPES.ROUTINE,
+  segments: [{ name: 'Squats', duration: 30, repeat: 3 }, { name: 'Rest', duration: 10, linked: true }],
+};
+const pomodoro = {
+  name: 'Study',
+  category: 'Work',
+  type: TIMER_TYPES.POMODORO,
+  pomodoro: { focus_duration: 1500, short_break_duration: 300, long_break_duration: 900, rounds_before_long_break: 4 },
+};
+
+/**
+ * Serializes timers as an export file
+ * @param {Array<Object>} timers - Timers in the file
+ * @returns {string} - Export file contents
+ */
+const to_import_text = (timers) => JSON.stringify({ format: TIMER_EXPORT_FORMAT, version: TIMER_EXPORT_VERSION, timers });
+
+/**
+ * Gets why a single imported timer was skipped
+ * @param {Object} timer - Timer in the file
+ * @returns {string|undefined} - Error for the timer, undefined if it was imported
+ */
+const get_import_error = (timer) => parse_timer_import(to_import_text([timer])).errors[0];
+
+describe('parse_timer_import', () => {
+  it('reads exported timers back, keeping only definition fields', () => {
+    const text = JSON.stringify(build_timer_export([{ ...countdown, id: 5, is_default: true }, routine, pomodoro]));
+    const { timers, errors } = parse_timer_import(text);
+
+    expect(errors).toEqual([]);
+    expect(timers[0]).toEqual(countdown);
+    expect(timers[1].duration).toBe(120);
+    expect(timers[2].duration).toBe(4 * 1500 + 3 * 300 + 900);
+  });
+
+  it('rejects files that are not timer exports', () => {
+    expect(() => parse_timer_import('not json')).toThrow('not valid JSON');
+    expect(() => parse_timer_import('{"timers": []}')).toThrow('not a timer export');
+    expect(() => parse_timer_import(JSON.stringify({ format: TIMER_EXPORT_FORMAT, version: TIMER_EXPORT_VERSION + 1, timers: [] })))
+      .toThrow('newer version');
+  });
+
+  it('skips invalid timers and keeps the rest', () => {
+    const { timers, errors } = parse_timer_import(to_import_text([countdown, { name: 'Broken', category: 'Work' }, null]));
+    expect(timers).toHaveLength(1);
+    expect(errors).toEqual(['"Broken" has no valid duration', 'Timer 3 is not a timer']);
+  });
+
+  it('caps Pomodoro rounds, segment repeats and repeat counts at the form\'s limits', () => {
+    const rounds = (rounds_before_long_break) => ({ ...pomodoro, pomodoro: { ...pomodoro.pomodoro, rounds_before_long_break } });
+    const repeat = (segment_repeat) => ({ ...routine, segments: [{ ...routine.segments[0], repeat: segment_repeat }] });
+
+    expect(get_import_error(rounds(MAX_POMODORO_ROUNDS))).toBeUndefined();
+    expect(get_import_error(rounds(MAX_POMODORO_ROUNDS + 1))).toMatch('invalid Pomodoro settings');
+    expect(get_import_error(repeat(MAX_SEGMENT_REPEAT))).toBeUndefined();
+    expect(get_import_error(repeat(1e9))).toMatch('invalid segments');
+    expect(get_import_error(repeat(1.5))).toMatch('invalid segments');
+    expect(get_import_error({ ...countdown, repeat_count: MAX_REPEAT_COUNT })).toBeUndefined();
+    expect(get_import_error({ ...countdown, repeat_count: MAX_REPEAT_COUNT + 1 })).toMatch('invalid repeat count');
+  });
+
+  it('checks checkpoint seconds against the timer\'s duration', () => {
+    const with_checkpoint = (checkpoint) => ({ ...countdown, checkpoints: [checkpoint] });
+
+    expect(get_import_error(with_checkpoint({ kind: CHECKPOINT_KINDS.HALFWAY }))).toBeUndefined();
+    expect(get_import_error(with_checkpoint({ kind: CHECKPOINT_KINDS.EVERY, seconds: 10 }))).toBeUndefined();
+    expect(get_import_error(with_checkpoint({ kind: CHECKPOINT_KINDS.REMAINING, seconds: 60 }))).toBeUndefined();
+    expect(get_import_error(with_checkpoint({ kind: CHECKPOINT_KINDS.EVERY, seconds: 0.000001 }))).toMatch('invalid checkpoints');
+    expect(get_import_error(with_checkpoint({ kind: CHECKPOINT_KINDS.EVERY }))).toMatch('invalid checkpoints');
+    expect(get_import_error(with_checkpoint({ kind: CHECKPOINT_KINDS.REMAINING, seconds: 61 }))).toMatch('invalid checkpoints');
+    expect(get_import_error(with_checkpoint({ kind: 'sometimes' }))).toMatch('invalid checkpoints');
+  });
+});
+
+describe('get_checkpoint_marks', () => {
+  it('ignores intervals shorter than a second', () => {
+    expect(get_checkpoint_marks({ ...countdown, checkpoints: [{ kind: CHECKPOINT_KINDS.EVERY, seconds: 0.000001 }] })).toEqual([]);
+    expect(get_checkpoint_marks({ ...countdown, checkpoints: [{ kind: CHECKPOINT_KINDS.EVERY, seconds: 20 }] })).toEqual([20, 40]);
+  });
+});
+
+describe('get_timer_phases', () => {
+  it('caps the phases built from saved repeats and rounds', () => {
+    const long_routine = { ...routine, segments: [{ name: 'Squats', duration: 30, repeat: 1e9 }] };
+    const long_pomodoro = { ...pomodoro, pomodoro: { ...pomodoro.pomodoro, rounds_before_long_break: 1e9 } };
+
+    expect(get_timer_phases(long_routine)).toHaveLength(MAX_SEGMENT_REPEAT);
+    expect(get_timer_phases(long_pomodoro)).toHaveLength(2 * MAX_POMODORO_ROUNDS);
+  });
+});
+
+describe('find_duplicate_timers', () => {
+  it('matches name and category regardless of case and spacing', () => {
+    const { new_timers, duplicate_timers } = find_duplicate_timers(
+      [{ ...countdown, name: ' plank ' }, routine, routine],
+      [countdown]
+    );
+    expect(new_timers).toEqual([routine]);
+    expect(duplicate_timers.map(timer => timer.name)).toEqual([' plank ', 'Circuit']);
+  });
+});
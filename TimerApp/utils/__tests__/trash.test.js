@@ -0,0 +1,124 @@
+import { set_storage_backend, create_memory_backend, get_stored_item } from '../storage_backend';
+import { flush_pending_writes } from '../write_queue';
+import { STORAGE_KEYS } from '../storage_keys';
+import {
+  TRASH_RETENTION_DAYS,
+  TRASH_ITEM_TYPES,
+  load_trash,
+  trash_timer,
+  trash_history_entries,
+  restore_from_trash,
+  purge_trash_item,
+  empty_trash,
+  purge_expired_trash,
+} from '../trash';
+
+const timer = { id: 1, name: 'Plank', duration: 60 };
+const history = [
+  { id: 'history_2', timer_name: 'Squats', completion_time: '2026-01-02T00:00:00.000Z' },
+  { id: 'history_1', timer_name: 'Plank', completion_time: '2026-01-01T00:00:00.000Z' },
+];
+
+/**
+ * Reads a stored JSON value
+ * @param {string} key - Storage key
+ * @returns {Promise<*>} - Parsed value, null if nothing is stored
+ */
+const read_json = async (key) => JSON.parse(await get_stored_item(key));
+
+/**
+ * Builds a trash item deleted a number of days ago
+ * @param {string} id - Trash item ID
+ * @param {number} days_ago - Days since it was deleted
+ * @returns {Object} - Trash item
+ */
+const deleted_days_ago = (id, days_ago) => ({
+  id,
+  type: TRASH_ITEM_TYPES.TIMER,
+  deleted_at: new Date(Date.now() - days_ago * 24 * 60 * 60 * 1000).toISOString(),
+  timer: { ...timer, id },
+  timer_index: 0,
+});
+
+beforeEach(() => {
+  set_storage_backend(create_memory_backend({ [STORAGE_KEYS.HISTORY]: JSON.stringify(history) }));
+});
+
+afterEach(() => flush_pending_writes());
+
+describe('timers', () => {
+  it('moves a deleted timer to the trash and gives it back', async () => {
+    const trash_item_id = await trash_timer(timer, 3);
+    expect(await load_trash()).toEqual([expect.objectContaining({ id: trash_item_id, timer, timer_index: 3 })]);
+
+    expect(await restore_from_trash(trash_item_id)).toMatchObject({ timer, timer_index: 3 });
+    expect(await load_trash()).toEqual([]);
+    expect(await restore_from_trash(trash_item_id)).toBeNull();
+  });
+});
+
+describe('history', () => {
+  it('moves entries out of the history and back in order', async () => {
+    const { trash_item_id, entry_count } = await trash_history_entries(['history_2']);
+    expect(entry_count).toBe(1);
+    expect((await read_json(STORAGE_KEYS.HISTORY)).map(entry => entry.id)).toEqual(['history_1']);
+
+    await restore_from_trash(trash_item_id);
+    expect((await read_json(STORAGE_KEYS.HISTORY)).map(entry => entry.id)).toEqual(['history_2', 'history_1']);
+  });
+
+  it('moves the whole history when no IDs are given', async () => {
+    expect((await trash_history_entries(null)).entry_count).toBe(2);
+    expect(await read_json(STORAGE_KEYS.HISTORY)).toEqual([]);
+  });
+
+  it('does nothing when no entries match', async () => {
+    expect(await trash_history_entries(['missing'])).toBeNull();
+    expect(await load_trash()).toEqual([]);
+  });
+
+  it('leaves the history and trash alone when the history can\'t be read', async () => {
+    const backend = create_memory_backend({ [STORAGE_KEYS.HISTORY]: JSON.stringify(history) });
+    set_storage_backend({
+      ...backend,
+      get_item: async (key) => {
+        if (key === STORAGE_KEYS.HISTORY) {
+          throw new Error('read failed');
+        }
+        return backend.get_item(key);
+      },
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await trash_history_entries(null)).toBeNull();
+    expect(await backend.get_item(STORAGE_KEYS.HISTORY)).toBe(JSON.stringify(history));
+    expect(await backend.get_item(STORAGE_KEYS.TRASH)).toBeNull();
+    console.error.mockRestore();
+  });
+});
+
+describe('purging', () => {
+  beforeEach(() => {
+    const trash = [deleted_days_ago('new', 1), deleted_days_ago('old', TRASH_RETENTION_DAYS + 1)];
+    set_storage_backend(create_memory_backend({ [STORAGE_KEYS.TRASH]: JSON.stringify(trash) }));
+  });
+
+  it('hides and purges items past the retention period', async () => {
+    expect((await load_trash()).map(item => item.id)).toEqual(['new']);
+    expect(await read_json(STORAGE_KEYS.TRASH)).toHaveLength(2);
+
+    expect(await purge_expired_trash()).toBe(1);
+    expect((await read_json(STORAGE_KEYS.TRASH)).map(item => item.id)).toEqual(['new']);
+  });
+
+  it('purges one item', async () => {
+    expect(await purge_trash_item('new')).toBe(true);
+    expect(await purge_trash_item('new')).toBe(false);
+    expect((await read_json(STORAGE_KEYS.TRASH)).map(item => item.id)).toEqual(['old']);
+  });
+
+  it('empties the trash', async () => {
+    expect(await empty_trash()).toBe(2);
+    expect(await read_json(STORAGE_KEYS.TRASH)).toEqual([]);
+  });
+});
@@ -0,0 +1,85 @@
+import { set_storage_backend, create_memory_backend, get_stored_item, set_stored_item } from '../storage_backend';
+import { enqueue_write, queue_write, queue_remove, flush_pending_writes, read_latest } from '../write_queue';
+
+/**
+ * Creates a memory backend that counts how often each key is written
+ * @returns {{backend: Object, write_counts: Map<string, number>}} - Backend and its write counts
+ */
+const create_counting_backend = () => {
+  const backend = create_memory_backend();
+  const write_counts = new Map();
+  const multi_set = backend.multi_set;
+  backend.multi_set = async (pairs) => {
+    pairs.forEach(([key]) => write_counts.set(key, (write_counts.get(key) || 0) + 1));
+    await multi_set(pairs);
+  };
+  return { backend, write_counts };
+};
+
+beforeEach(() => {
+  set_storage_backend(create_memory_backend());
+});
+
+afterEach(() => flush_pending_writes());
+
+describe('enqueue_write', () => {
+  it('runs read-modify-writes one at a time', async () => {
+    await set_stored_item('count', '0');
+    const increment = () => enqueue_write(async () => {
+      const count = Number(await get_stored_item('count'));
+      await set_stored_item('count', String(count + 1));
+    });
+
+    await Promise.all([increment(), increment(), increment()]);
+    expect(await get_stored_item('count')).toBe('3');
+  });
+
+  it('keeps running later writes after one fails', async () => {
+    const failed = enqueue_write(async () => { throw new Error('boom'); });
+    const next = enqueue_write(() => set_stored_item('key', 'value'));
+
+    await expect(failed).rejects.toThrow('boom');
+    await next;
+    expect(await get_stored_item('key')).toBe('value');
+  });
+});
+
+describe('queue_write', () => {
+  it('coalesces delayed writes of a key into one write of the newest value', async () => {
+    const { backend, write_counts } = create_counting_backend();
+    set_storage_backend(backend);
+
+    const writes = [queue_write('key', 'a', 50), queue_write('key', 'b', 50), queue_write('key', 'c', 50)];
+    expect(await read_latest('key')).toBe('c');
+    expect(await get_stored_item('key')).toBeNull();
+
+    expect(await Promise.all(writes)).toEqual([true, true, true]);
+    expect(await get_stored_item('key')).toBe('c');
+    expect(write_counts.get('key')).toBe(1);
+  });
+
+  it('writes delayed values right away when flushed', async () => {
+    queue_write('key', 'value', 60 * 1000);
+    await flush_pending_writes();
+    expect(await get_stored_item('key')).toBe('value');
+  });
+
+  it('resolves false when the write fails', async () => {
+    set_storage_backend({ ...create_memory_backend(), multi_set: async () => { throw new Error('disk full'); } });
+    jest.spyOn(console, 'error').mockImplementationOnce(() => {});
+
+    expect(await queue_write('key', 'value')).toBe(false);
+  });
+});
+
+describe('queue_remove', () => {
+  it('drops waiting writes of the removed keys', async () => {
+    await set_stored_item('key', 'old');
+    const write = queue_write('key', 'new', 60 * 1000);
+
+    expect(await queue_remove(['key'])).toBe(true);
+    expect(await write).toBe(true);
+    await flush_pending_writes();
+    expect(await get_stored_item('key')).toBeNull();
+  });
+});
@@ -0,0 +1,278 @@
+import { get_stored_item, set_stored_items, remove_stored_items } from './storage_backend';
+import { STORAGE_KEYS } from './storage_keys';
+import { SCHEMA_VERSION, get_stored_schema_version, migrate_data, run_migrations } from './migrations';
+import { get_default_timers } from './storage';
+import { share_json_file, get_file_date } from './files';
+import { flush_pending_writes } from './write_queue';
+import { TRASH_ITEM_TYPES } from './trash';
+
+/**
+ * Full backup and restore
+ * A backup is one JSON file holding the timers, section order, history, trash, theme and settings, so
+ * everything can be moved to a new phone in one go. Live run state and schedule
+ * progress belong to this device and are left out
+ */
+
+// Identifies a file as a backup
+export const BACKUP_FORMAT = 'health_flex_backup';
+
+// Version of the backup file layout this app writes; files up to this version can be restored
+export const BACKUP_VERSION = 1;
+
+// How a backup is restored
+export const RESTORE_MODES = {
+  // Backed up timers and history are added to what is already saved
+  MERGE: 'merge',
+  // Saved data is replaced by the backup
+  REPLACE: 'replace',
+};
+
+// Valid stored theme values
+const THEMES = ['light', 'dark'];
+
+/**
+ * Contents of a backup file
+ * @typedef {Object} Backup
+ * @property {string} format - Always BACKUP_FORMAT
+ * @property {number} version - Backup file layout version
+ * @property {string} created_at - ISO string of when the backup was made
+ * @property {number} schema_version - Version of the stored data format the data is in
+ * @property {Object} data - Backed up data
+ * @property {Array<Object>|null} data.timers - Saved timer definitions, null if none were saved
+ * @property {Array<string>|null} data.section_order - Order of the timer sections on the home screen, null if never changed
+ * @property {Array<Object>|null} data.history - History entries, null if none were saved
+ * @property {Array<Object>|null} data.trash - Deleted timers and history still in the trash, null if nothing was ever deleted
+ * @property {string|null} data.theme - 'light' or 'dark', null if never chosen
+ * @property {Object|null} data.settings - App settings, null if never changed
+ */
+
+/**
+ * Reads a stored JSON value
+ * @param {string} storage_key - Key the value is stored under
+ * @returns {Promise<*>} - Stored value, null if nothing is stored
+ */
+const read_stored_json = async (storage_key) => {
+  const stored_json = await get_stored_item(storage_key);
+  return stored_json === null ? null : JSON.parse(stored_json);
+};
+
+/**
+ * Reads everything a backup holds from storage
+ * @returns {Promise<Backup>} - Backup of the saved data
+ */
+export const create_backup = async () => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  created_at: new Date().toISOString(),
+  schema_version: await get_stored_schema_version(),
+  data: {
+    timers: await read_stored_json(STORAGE_KEYS.TIMERS),
+    section_order: await read_stored_json(STORAGE_KEYS.SECTION_ORDER),
+    history: await read_stored_json(STORAGE_KEYS.HISTORY),
+    trash: await read_stored_json(STORAGE_KEYS.TRASH),
+    theme: await get_stored_item(STORAGE_KEYS.THEME),
+    settings: await read_stored_json(STORAGE_KEYS.SETTINGS),
+  },
+});
+
+/**
+ * Backs up all saved data and opens the share sheet for the file
+ * @returns {Promise<boolean>} - True if the share sheet was opened
+ */
+export const share_backup = async () => {
+  try {
+    // Edits still waiting to be written belong in the backup too
+    await flush_pending_writes();
+    const backup = await create_backup();
+    const backup_json = JSON.stringify(backup, null, 2);
+    const success = await share_json_file(`health_flex_backup_${get_file_date()}.json`, backup_json, 'Back up Health Flex');
+    if (success) {
+      console.log(`💾 Backed up ${backup.data.timers?.length ?? 0} timers and ${backup.data.history?.length ?? 0} history entries`);
+    }
+    return success;
+  } catch (error) {
+    console.error('💾 Error creating backup:', error);
+    return false;
+  }
+};
+
+/**
+ * Checks whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for a non-array object
+ */
+const is_plain_object = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Reads and validates a backup file
+ * Unlike timer imports, a backup is all or nothing - any invalid part rejects the file
+ * @param {string} json_text - Contents of a backup file
+ * @returns {Backup} - Validated backup
+ * @throws {Error} - If the text is not a backup this app can restore
+ */
+export const parse_backup = (json_text) => {
+  let backup;
+  try {
+    backup = JSON.parse(json_text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  if (!is_plain_object(backup) || backup.format !== BACKUP_FORMAT || !is_plain_object(backup.data)) {
+    throw new Error('This is not a Health Flex backup file.');
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    throw new Error('The backup has no valid version.');
+  }
+  if (backup.version > BACKUP_VERSION || backup.schema_version > SCHEMA_VERSION) {
+    throw new Error('The backup was made by a newer version of the app. Update the app to restore it.');
+  }
+  if (!Number.isInteger(backup.schema_version) || backup.schema_version < 0) {
+    throw new Error('The backup has no valid data version.');
+  }
+
+  const { timers, section_order, history, trash, theme, settings } = backup.data;
+  if (timers != null && (!Array.isArray(timers) ||
+      timers.some(timer => !is_plain_object(timer) || typeof timer.name !== 'string'))) {
+    throw new Error('The backup has invalid timers.');
+  }
+  if (section_order != null && (!Array.isArray(section_order) ||
+      section_order.some(section_id => typeof section_id !== 'string'))) {
+    throw new Error('The backup has an invalid section order.');
+  }
+  if (history != null && (!Array.isArray(history) ||
+      history.some(entry => !is_plain_object(entry) || typeof entry.timer_name !== 'string' ||
+        Number.isNaN(new Date(entry.completion_time).getTime())))) {
+    throw new Error('The backup has invalid history.');
+  }
+  if (trash != null && (!Array.isArray(trash) ||
+      trash.some(item => !is_plain_object(item) || typeof item.id !== 'string' ||
+        !Object.values(TRASH_ITEM_TYPES).includes(item.type) || Number.isNaN(new Date(item.deleted_at).getTime())))) {
+    throw new Error('The backup has an invalid trash.');
+  }
+  if (theme != null && !THEMES.includes(theme)) {
+    throw new Error('The backup has an invalid theme.');
+  }
+  if (settings != null && !is_plain_object(settings)) {
+    throw new Error('The backup has invalid settings.');
+  }
+
+  return {
+    ...backup,
+    data: {
+      timers: timers ?? null,
+      section_order: section_order ?? null,
+      history: history ?? null,
+      trash: trash ?? null,
+      theme: theme ?? null,
+      settings: settings ?? null,
+    },
+  };
+};
+
+/**
+ * Summarizes a backup so the user can check it before restoring
+ * @param {Backup} backup - Validated backup
+ * @returns {{created_at: string, custom_timer_count: number, history_count: number, oldest_session: string|null, newest_session: string|null}} - What the backup holds
+ */
+export const get_backup_summary = (backup) => {
+  const timers = backup.data.timers || [];
+  const history = backup.data.history || [];
+  const completion_times = history.map(entry => new Date(entry.completion_time).getTime()).sort((a, b) => a - b);
+
+  return {
+    created_at: backup.created_at,
+    custom_timer_count: timers.filter(timer => !timer.is_default).length,
+    history_count: history.length,
+    oldest_session: completion_times.length > 0 ? new Date(completion_times[0]).toISOString() : null,
+    newest_session: completion_times.length > 0 ? new Date(completion_times[completion_times.length - 1]).toISOString() : null,
+  };
+};
+
+/**
+ * Adds backed up records to saved ones, skipping records already saved
+ * Records are matched by ID; records without one are always added
+ * @param {Array<Object>} current_records - Records already saved
+ * @param {Array<Object>} backup_records - Records from the backup
+ * @returns {Array<Object>} - Saved records followed by the new backed up ones
+ */
+const merge_records = (current_records, backup_records) => {
+  const current_ids = new Set(current_records.map(record => String(record.id)));
+  return [
+    ...current_records,
+    ...backup_records.filter(record => record.id == null || !current_ids.has(String(record.id))),
+  ];
+};
+
+/**
+ * Restores a backup into storage
+ * Backed up timers and history are migrated to the current schema version before
+ * anything is written, so a backup that can't be migrated leaves saved data untouched.
+ * Runs as one task of the write queue, and anything reading storage must reload afterwards
+ * @param {Backup} backup - Validated backup
+ * @param {string} mode - One of RESTORE_MODES
+ * @returns {Promise<boolean>} - True if the backup was restored
+ */
+export const restore_backup = async (backup, mode) => {
+  try {
+    const { section_order, trash, theme, settings } = backup.data;
+    const { timers, history } = migrate_data({
+      timers: backup.data.timers,
+      history: backup.data.history,
+    }, backup.schema_version);
+    const writes = [[STORAGE_KEYS.SCHEMA_VERSION, String(SCHEMA_VERSION)]];
+
+    if (mode === RESTORE_MODES.REPLACE) {
+      if (timers) writes.push([STORAGE_KEYS.TIMERS, JSON.stringify(timers)]);
+      if (section_order) writes.push([STORAGE_KEYS.SECTION_ORDER, JSON.stringify(section_order)]);
+      if (history) writes.push([STORAGE_KEYS.HISTORY, JSON.stringify(history)]);
+      if (trash) writes.push([STORAGE_KEYS.TRASH, JSON.stringify(trash)]);
+      if (theme) writes.push([STORAGE_KEYS.THEME, theme]);
+      if (settings) writes.push([STORAGE_KEYS.SETTINGS, JSON.stringify(settings)]);
+
+      await set_stored_items(writes);
+
+      // Keys the backup doesn't hold go back to their defaults, and runs of the old timers are dropped;
+      // the old trash goes too, so nothing of the replaced data can be restored from it
+      const removed_keys = [STORAGE_KEYS.TIMER_STATES, STORAGE_KEYS.SCHEDULE_STATE];
+      if (!timers) removed_keys.push(STORAGE_KEYS.TIMERS);
+      if (!section_order) removed_keys.push(STORAGE_KEYS.SECTION_ORDER);
+      if (!history) removed_keys.push(STORAGE_KEYS.HISTORY);
+      if (!trash) removed_keys.push(STORAGE_KEYS.TRASH);
+      if (!theme) removed_keys.push(STORAGE_KEYS.THEME);
+      if (!settings) removed_keys.push(STORAGE_KEYS.SETTINGS);
+      await remove_stored_items(removed_keys);
+    } else {
+      // Saved data must be at the current version too before records can be combined
+      if (!await run_migrations()) {
+        throw new Error('Saved data could not be brought up to date');
+      }
+
+      // The current section order, theme and settings are kept
+      if (timers) {
+        const current_timers = await read_stored_json(STORAGE_KEYS.TIMERS) || get_default_timers();
+        writes.push([STORAGE_KEYS.TIMERS, JSON.stringify(merge_records(current_timers, timers))]);
+      }
+      if (history) {
+        const current_history = await read_stored_json(STORAGE_KEYS.HISTORY) || [];
+        const merged_history = merge_records(current_history, history)
+          .sort((a, b) => new Date(b.completion_time) - new Date(a.completion_time));
+        writes.push([STORAGE_KEYS.HISTORY, JSON.stringify(merged_history)]);
+      }
+      if (trash) {
+        const current_trash = await read_stored_json(STORAGE_KEYS.TRASH) || [];
+        const merged_trash = merge_records(current_trash, trash)
+          .sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+        writes.push([STORAGE_KEYS.TRASH, JSON.stringify(merged_trash)]);
+      }
+
+      await set_stored_items(writes);
+    }
+
+    console.log(`♻️ Restored backup from ${backup.created_at} (${mode})`);
+    return true;
+  } catch (error) {
+    console.error('♻️ Error restoring backup:', error);
+    return false;
+  }
+};
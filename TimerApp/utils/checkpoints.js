@@ -0,0 +1,90 @@
+import { get_total_duration, is_count_up_timer } from './timer_types';
+
+/**
+ * Mid-timer checkpoints
+ * A checkpoint marks a moment during a run ("halfway", "1 minute left", "every 5 minutes")
+ * at which the timer card alerts the user
+ */
+
+// Supported checkpoint kinds
+export const CHECKPOINT_KINDS = {
+  HALFWAY: 'halfway',
+  REMAINING: 'remaining',
+  EVERY: 'every',
+};
+
+// Shortest interval between 'every' checkpoints, in seconds
+export const MIN_CHECKPOINT_INTERVAL = 1;
+
+/**
+ * A checkpoint configured on a timer
+ * @typedef {Object} Checkpoint
+ * @property {string} kind - One of CHECKPOINT_KINDS
+ * @property {number} [seconds] - Seconds left for 'remaining', interval for 'every'
+ */
+
+/**
+ * Splits a timer's checkpoints into the ones the timer form has a control for and the rest
+ * The form has a halfway and a "1 minute left" option and one whole-second interval;
+ * anything else, such as an imported "30 seconds left", is kept as it is when the timer is edited
+ * @param {Array<Checkpoint>} checkpoints - Checkpoints of the timer
+ * @returns {{halfway: boolean, last_minute: boolean, every_seconds: number|null, other_checkpoints: Array<Checkpoint>}} - Form options and the checkpoints it can't show
+ */
+export const split_form_checkpoints = (checkpoints = []) => {
+  const form_checkpoints = { halfway: false, last_minute: false, every_seconds: null, other_checkpoints: [] };
+
+  checkpoints.forEach(checkpoint => {
+    if (checkpoint.kind === CHECKPOINT_KINDS.HALFWAY && !form_checkpoints.halfway) {
+      form_checkpoints.halfway = true;
+    } else if (checkpoint.kind === CHECKPOINT_KINDS.REMAINING && checkpoint.seconds === 60 && !form_checkpoints.last_minute) {
+      form_checkpoints.last_minute = true;
+    } else if (checkpoint.kind === CHECKPOINT_KINDS.EVERY && Number.isInteger(checkpoint.seconds) &&
+               form_checkpoints.every_seconds === null) {
+      form_checkpoints.every_seconds = checkpoint.seconds;
+    } else {
+      form_checkpoints.other_checkpoints.push(checkpoint);
+    }
+  });
+
+  return form_checkpoints;
+};
+
+/**
+ * Gets the elapsed times at which a timer's checkpoints fall
+ * Marks at the very start or end of the run are dropped, since starting and
+ * completing already alert the user
+ * @param {Object} timer - Timer definition with optional checkpoints
+ * @returns {Array<number>} - Sorted, unique elapsed seconds
+ */
+export const get_checkpoint_marks = (timer) => {
+  if (!Array.isArray(timer.checkpoints) || timer.checkpoints.length === 0 || is_count_up_timer(timer)) {
+    return [];
+  }
+
+  const total_duration = get_total_duration(timer);
+  const marks = new Set();
+
+  timer.checkpoints.forEach(checkpoint => {
+    switch (checkpoint.kind) {
+      case CHECKPOINT_KINDS.HALFWAY:
+        marks.add(Math.round(total_duration / 2));
+        break;
+      case CHECKPOINT_KINDS.REMAINING:
+        marks.add(total_duration - checkpoint.seconds);
+        break;
+      case CHECKPOINT_KINDS.EVERY:
+        if (checkpoint.seconds >= MIN_CHECKPOINT_INTERVAL) {
+          for (let mark = checkpoint.seconds; mark < total_duration; mark += checkpoint.seconds) {
+            marks.add(mark);
+          }
+        }
+        break;
+      default:
+        console.warn(`Unknown checkpoint kind: ${checkpoint.kind}`);
+    }
+  });
+
+  return [...marks]
+    .filter(mark => mark > 0 && mark < total_duration)
+    .sort((a, b) => a - b);
+};
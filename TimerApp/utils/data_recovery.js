@@ -0,0 +1,284 @@
+import { get_stored_item, set_stored_items, remove_stored_items } from './storage_backend';
+import { STORAGE_KEYS } from './storage_keys';
+
+/**
+ * Recovery of corrupted stored data
+ * When saved timers or history can't be read, the damaged data is kept under a
+ * quarantine key, every entry that can still be read is salvaged, and the user is told.
+ * Nothing is reset to defaults while a readable copy of the user's data might exist,
+ * and a kept copy is only ever deleted by the user
+ */
+
+// What the list of kept copies is called when it is damaged itself
+const QUARANTINE_LABEL = 'Damaged data list';
+
+/**
+ * Stored arrays that are checked and salvaged, by storage key
+ * @type {Object<string, {label: string, is_valid_item: function(*): boolean}>}
+ */
+const RECOVERABLE_DATA = {
+  [STORAGE_KEYS.TIMERS]: {
+    label: 'Timers',
+    is_valid_item: (timer) => !!timer && typeof timer === 'object' && !Array.isArray(timer) && typeof timer.name === 'string',
+  },
+  [STORAGE_KEYS.HISTORY]: {
+    label: 'History',
+    is_valid_item: (entry) => !!entry && typeof entry === 'object' && !Array.isArray(entry) &&
+      typeof entry.timer_name === 'string' && typeof entry.completion_time === 'string',
+  },
+};
+
+/**
+ * A damaged copy of stored data
+ * @typedef {Object} QuarantinedData
+ * @property {string} id - Unique identifier
+ * @property {string} storage_key - Key the data was stored under
+ * @property {string} label - What the data is, such as "History"
+ * @property {string} raw_value - Stored text exactly as it was found
+ * @property {string} reason - Why it couldn't be read
+ * @property {number} salvaged_count - Entries recovered from it
+ * @property {string} quarantined_at - ISO string of when it was found
+ */
+
+/**
+ * What was found wrong with one stored array
+ * @typedef {Object} RecoveryReport
+ * @property {string} label - What the data is, such as "History"
+ * @property {number} salvaged_count - Entries recovered
+ */
+
+/**
+ * Finds every complete JSON object at the top level of an array's text
+ * Used on text that no longer parses, such as an array cut off mid-write
+ * @param {string} text - Damaged JSON text
+ * @returns {Array<Object>} - Objects that could be parsed
+ */
+const extract_json_objects = (text) => {
+  const objects = [];
+  let depth = 0;
+  let object_start = -1;
+  let is_in_string = false;
+  let is_escaped = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (is_in_string) {
+      if (is_escaped) {
+        is_escaped = false;
+      } else if (char === '\\') {
+        is_escaped = true;
+      } else if (char === '"') {
+        is_in_string = false;
+      }
+    } else if (char === '"') {
+      is_in_string = true;
+    } else if (char === '{') {
+      if (depth === 0) {
+        object_start = index;
+      }
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        try {
+          objects.push(JSON.parse(text.slice(object_start, index + 1)));
+        } catch (error) {
+          // Damaged object, skip it
+        }
+      }
+    }
+  }
+
+  return objects;
+};
+
+/**
+ * Reads a stored JSON array, salvaging what it can if the array is damaged
+ * @param {string} raw_value - Stored text
+ * @param {function(*): boolean} is_valid_item - Whether an entry is usable
+ * @returns {{items: Array<Object>, reason: string|null}} - Usable entries, and why the array is damaged (null if it isn't)
+ */
+export const salvage_json_array = (raw_value, is_valid_item) => {
+  let parsed_value;
+  try {
+    parsed_value = JSON.parse(raw_value);
+  } catch (error) {
+    const items = extract_json_objects(raw_value).filter(is_valid_item);
+    return { items, reason: `Not valid JSON (${error.message})` };
+  }
+
+  if (!Array.isArray(parsed_value)) {
+    return { items: [], reason: 'Not a list' };
+  }
+
+  const items = parsed_value.filter(is_valid_item);
+  const dropped_count = parsed_value.length - items.length;
+  return { items, reason: dropped_count > 0 ? `${dropped_count} unreadable entries` : null };
+};
+
+/**
+ * Checks whether a value is a usable kept copy
+ * @param {*} record - Value to check
+ * @returns {boolean} - True for a record with an ID, storage key and the damaged text
+ */
+const is_quarantine_record = (record) => !!record && typeof record === 'object' && !Array.isArray(record) &&
+  typeof record.id === 'string' && typeof record.storage_key === 'string' && typeof record.raw_value === 'string';
+
+/**
+ * Creates the record of a damaged copy
+ * @param {string} storage_key - Key the data was stored under
+ * @param {string} raw_value - Stored text
+ * @param {string} reason - Why it couldn't be read
+ * @param {number} salvaged_count - Entries recovered from it
+ * @returns {QuarantinedData} - New record
+ */
+const create_quarantine_record = (storage_key, raw_value, reason, salvaged_count) => ({
+  id: `quarantine_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+  storage_key,
+  label: storage_key === STORAGE_KEYS.QUARANTINE ? QUARANTINE_LABEL : RECOVERABLE_DATA[storage_key]?.label ?? storage_key,
+  raw_value,
+  reason,
+  salvaged_count,
+  quarantined_at: new Date().toISOString(),
+});
+
+/**
+ * Reads the kept damaged copies from storage
+ * If the list itself is damaged, the copies that can still be read are kept and the
+ * whole damaged text becomes a copy of its own, so nothing kept before is lost
+ * @returns {Promise<{quarantined: Array<QuarantinedData>, is_repaired: boolean}>} - Kept copies, newest first, and whether the stored list had to be repaired
+ */
+const read_quarantine = async () => {
+  const quarantine_json = await get_stored_item(STORAGE_KEYS.QUARANTINE);
+  if (quarantine_json === null) {
+    return { quarantined: [], is_repaired: false };
+  }
+
+  const { items, reason } = salvage_json_array(quarantine_json, is_quarantine_record);
+  if (!reason) {
+    return { quarantined: items, is_repaired: false };
+  }
+
+  console.warn(`🩹 Damaged list of kept copies: ${reason}, ${items.length} copies salvaged`);
+  return {
+    quarantined: [create_quarantine_record(STORAGE_KEYS.QUARANTINE, quarantine_json, reason, items.length), ...items],
+    is_repaired: true,
+  };
+};
+
+// Promise that settles when the last change to the quarantine has been written
+let quarantine_tail = Promise.resolve();
+
+/**
+ * Changes the kept damaged copies, one change at a time
+ * Writes straight to the storage backend rather than through the write queue, because
+ * data is quarantined while it is being read, which may be inside a queued write.
+ * Nothing is written if the kept copies can't be read
+ * @param {function(Array<QuarantinedData>): Array<QuarantinedData>} update - Gets the kept copies and returns the new ones
+ * @returns {Promise<boolean>} - True if successful
+ */
+const update_quarantine = (update) => {
+  const result = quarantine_tail.then(async () => {
+    const { quarantined } = await read_quarantine();
+    await set_stored_items([[STORAGE_KEYS.QUARANTINE, JSON.stringify(update(quarantined))]]);
+    return true;
+  }).catch(error => {
+    console.error('🩹 Error saving quarantined data:', error);
+    return false;
+  });
+  quarantine_tail = result;
+  return result;
+};
+
+/**
+ * Loads the damaged copies kept so far
+ * A damaged list is repaired first, so every copy shown can be shared or discarded
+ * @returns {Promise<Array<QuarantinedData>>} - Damaged copies, newest first
+ */
+export const load_quarantined_data = async () => {
+  try {
+    if ((await read_quarantine()).is_repaired) {
+      // Saved once repaired, so the copies keep the IDs they are discarded by
+      await update_quarantine(quarantined => quarantined);
+    }
+    return (await read_quarantine()).quarantined;
+  } catch (error) {
+    console.error('🩹 Error loading quarantined data:', error);
+    return [];
+  }
+};
+
+/**
+ * Keeps a copy of stored data that couldn't be read
+ * The same damaged text is only kept once, however often it is read
+ * @param {string} storage_key - Key the data was stored under
+ * @param {string} raw_value - Stored text
+ * @param {string} reason - Why it couldn't be read
+ * @param {number} salvaged_count - Entries recovered from it
+ * @returns {Promise<boolean>} - True if the copy is kept
+ */
+const quarantine_data = (storage_key, raw_value, reason, salvaged_count) => update_quarantine(quarantined => {
+  if (quarantined.some(record => record.storage_key === storage_key && record.raw_value === raw_value)) {
+    return quarantined;
+  }
+
+  console.warn(`🩹 Quarantined damaged ${storage_key}: ${reason}, ${salvaged_count} entries salvaged`);
+  return [create_quarantine_record(storage_key, raw_value, reason, salvaged_count), ...quarantined];
+});
+
+/**
+ * Reads a stored array of timers or history, quarantining it if it is damaged
+ * @param {string} storage_key - STORAGE_KEYS.TIMERS or STORAGE_KEYS.HISTORY
+ * @param {string} raw_value - Stored text
+ * @returns {Promise<{items: Array<Object>, is_damaged: boolean, is_quarantined: boolean}>} - Usable entries, whether any were lost, and whether the damaged copy is kept
+ */
+export const read_recoverable_array = async (storage_key, raw_value) => {
+  const { items, reason } = salvage_json_array(raw_value, RECOVERABLE_DATA[storage_key].is_valid_item);
+  const is_quarantined = reason ? await quarantine_data(storage_key, raw_value, reason, items.length) : false;
+  return { items, is_damaged: !!reason, is_quarantined };
+};
+
+/**
+ * Checks the stored timers and history at startup, before anything reads them
+ * Damaged data is quarantined and replaced by what could be salvaged from it, so the
+ * rest of the app - and migrations - only ever see readable data
+ * @returns {Promise<Array<RecoveryReport>>} - What was damaged, empty if everything is readable
+ */
+export const check_stored_data = async () => {
+  const reports = [];
+
+  for (const storage_key of Object.keys(RECOVERABLE_DATA)) {
+    try {
+      const raw_value = await get_stored_item(storage_key);
+      if (raw_value === null) {
+        continue;
+      }
+
+      const { items, is_damaged, is_quarantined } = await read_recoverable_array(storage_key, raw_value);
+      if (is_damaged) {
+        // Only once the damaged copy is safely kept is it replaced; with nothing
+        // salvaged, the data starts over as on a new install
+        if (is_quarantined && items.length > 0) {
+          await set_stored_items([[storage_key, JSON.stringify(items)]]);
+        } else if (is_quarantined) {
+          await remove_stored_items([storage_key]);
+        }
+        reports.push({ label: RECOVERABLE_DATA[storage_key].label, salvaged_count: items.length });
+      }
+    } catch (error) {
+      console.error(`🩹 Error checking ${storage_key}:`, error);
+    }
+  }
+
+  return reports;
+};
+
+/**
+ * Deletes a kept damaged copy
+ * @param {string} quarantine_id - ID of the copy
+ * @returns {Promise<boolean>} - True if successful
+ */
+export const discard_quarantined_data = (quarantine_id) => update_quarantine(quarantined => (
+  quarantined.filter(record => record.id !== quarantine_id)
+));
@@ -0,0 +1,60 @@
+import { Share } from 'react-native';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+
+/**
+ * JSON files shared with and picked from other apps
+ * Used by timer export/import and by backups
+ */
+
+/**
+ * Writes JSON to a file and opens the share sheet for it
+ * Falls back to sharing the JSON as text where file sharing isn't available
+ * @param {string} file_name - Name of the shared file
+ * @param {string} json_text - File contents
+ * @param {string} dialog_title - Title of the share sheet
+ * @returns {Promise<boolean>} - True if the share sheet was opened
+ */
+export const share_json_file = async (file_name, json_text, dialog_title) => {
+  try {
+    if (await Sharing.isAvailableAsync()) {
+      const file_uri = `${FileSystem.cacheDirectory}${file_name}`;
+      await FileSystem.writeAsStringAsync(file_uri, json_text);
+      await Sharing.shareAsync(file_uri, {
+        mimeType: 'application/json',
+        UTI: 'public.json',
+        dialogTitle: dialog_title,
+      });
+    } else {
+      await Share.share({ message: json_text, title: dialog_title });
+    }
+    return true;
+  } catch (error) {
+    console.error(`📤 Error sharing ${file_name}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Lets the user pick a JSON file and reads it
+ * @returns {Promise<string|null>} - File contents, null if no file was picked
+ */
+export const pick_json_file = async () => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: ['application/json', 'text/plain'],
+    copyToCacheDirectory: true,
+  });
+
+  if (result.canceled || !result.assets || result.assets.length === 0) {
+    return null;
+  }
+
+  return await FileSystem.readAsStringAsync(result.assets[0].uri);
+};
+
+/**
+ * Gets today's date for use in a file name
+ * @returns {string} - Date as YYYY-MM-DD
+ */
+export const get_file_date = () => new Date().toISOString().slice(0, 10);
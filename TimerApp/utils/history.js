@@ -1,17 +1,61 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { get_stored_item, set_stored_item } from './storage_backend';
+import { enqueue_write, queue_remove } from './write_queue';
+import {
+  TIMER_TYPES,
+  get_timer_type,
+  is_count_up_timer,
+  get_timer_phases,
+  get_phase_at,
+  get_repeat_count,
+} from './timer_types';
+import { get_run_status, get_elapsed_ms } from './timer_engine';
+import { STORAGE_KEYS } from './storage_keys';
+import { read_recoverable_array } from './data_recovery';
 
 // Storage key for timer history
-const HISTORY_STORAGE_KEY = '@TimerApp:history';
+const HISTORY_STORAGE_KEY = STORAGE_KEYS.HISTORY;
+
+// Statuses a history entry can have; entries saved before partial runs existed are completed
+export const HISTORY_STATUS = {
+  COMPLETED: 'completed',
+  PARTIAL: 'partial',
+};
+
+// Shortest abandoned run worth recording, in seconds
+const MIN_PARTIAL_SECONDS = 1;
+
+// Moods a session can be tagged with, happiest first
+export const SESSION_MOODS = ['😄', '🙂', '😐', '😕', '😫'];
+
+// Effort or focus ratings a session can be given
+export const SESSION_RATINGS = [1, 2, 3, 4, 5];
+
+// Longest note kept for a session
+export const MAX_NOTE_LENGTH = 280;
 
 /**
  * Represents a completed timer entry
  * @typedef {Object} HistoryEntry
  * @property {string} id - Unique identifier for the entry
  * @property {string} timer_name - Name of the completed timer
+ * @property {string|number} [timer_id] - ID of the timer, kept so the entry follows the timer when it is renamed
  * @property {number} original_duration - Original duration in seconds
  * @property {string} category - Timer category
  * @property {string} completion_time - ISO string of completion time
  * @property {string} completion_date - Date string (YYYY-MM-DD) for grouping
+ * @property {string} [phase_name] - Phase of a multi-phase timer (e.g. "Focus", "Short Break")
+ * @property {number} [round] - Round the phase belongs to
+ * @property {Array<Object>} [segments] - Segments a completed routine was made of
+ * @property {string} [timer_type] - Type of the timer (e.g. 'countdown', 'stopwatch')
+ * @property {Array<number>} [laps] - Lap durations in seconds for a stopwatch
+ * @property {number} [repeat_round] - Round of a repeating timer this entry records
+ * @property {number} [repeat_count] - Rounds in the repeating set, 0 if it repeats forever
+ * @property {string} [status] - One of HISTORY_STATUS, completed if missing
+ * @property {number} [elapsed_duration] - Seconds actually run before a partial run was abandoned
+ * @property {number} [overtime_duration] - Seconds the timer kept running past zero
+ * @property {string} [note] - Note written about the session after it completed
+ * @property {number} [rating] - Effort or focus rating of the session, 1 to 5
+ * @property {string} [mood] - Mood emoji picked for the session, one of SESSION_MOODS
  */
 
 /**
@@ -103,13 +147,26 @@ const format_duration = (seconds) => {
  * @param {string} timer_name - Name of the completed timer
  * @param {number} original_duration - Original duration in seconds
  * @param {string} category - Timer category
+ * @param {Object} details - Extra entry details (optional)
+ * @param {string|number} details.timer_id - ID of the timer the entry belongs to
+ * @param {number|string|Date} details.completion_time - When the timer actually finished, defaults to now
+ * @param {string} details.phase_name - Phase that finished, for multi-phase timers
+ * @param {number} details.round - Round the finished phase belongs to
+ * @param {Array<Object>} details.segments - Segments of a completed routine
+ * @param {string} details.timer_type - Type of the timer
+ * @param {Array<number>} details.laps - Lap durations in seconds for a stopwatch
+ * @param {number} details.repeat_round - Round of a repeating timer
+ * @param {number} details.repeat_count - Rounds in the repeating set, 0 if forever
+ * @param {string} details.status - One of HISTORY_STATUS, defaults to completed
+ * @param {number} details.elapsed_duration - Seconds actually run, for partial runs
  * @returns {Promise<boolean>} - Success status
  */
-export const add_timer_to_history = async (timer_name, original_duration, category) => {
+export const add_timer_to_history = async (timer_name, original_duration, category, details = {}) => {
   try {
-    console.log(`🔧 add_timer_to_history called with:`, { timer_name, original_duration, category });
+    console.log(`🔧 add_timer_to_history called with:`, { timer_name, original_duration, category, details });
     
-    const current_time = new Date();
+    // Timers that finished while the app was closed are recorded at their real completion time
+    const current_time = details.completion_time ? new Date(details.completion_time) : new Date();
     const completion_time = current_time.toISOString();
     const completion_date = format_date_for_grouping(current_time);
 
@@ -122,20 +179,54 @@ export const add_timer_to_history = async (timer_name, original_duration, catego
       completion_date
     };
 
+    if (details.timer_id !== undefined) {
+      history_entry.timer_id = details.timer_id;
+    }
+
+    // Multi-phase timers record each phase as its own entry
+    if (details.phase_name) {
+      history_entry.phase_name = details.phase_name;
+      history_entry.round = details.round ?? null;
+    }
+
+    if (details.timer_type) {
+      history_entry.timer_type = details.timer_type;
+    }
+
+    // Stopwatches keep their lap splits
+    if (Array.isArray(details.laps) && details.laps.length > 1) {
+      history_entry.laps = details.laps;
+    }
+
+    // Abandoned runs keep the time they actually ran
+    if (details.status === HISTORY_STATUS.PARTIAL) {
+      history_entry.status = HISTORY_STATUS.PARTIAL;
+      history_entry.elapsed_duration = details.elapsed_duration ?? 0;
+    }
+
+    // Repeating timers record which round finished
+    if (details.repeat_round) {
+      history_entry.repeat_round = details.repeat_round;
+      history_entry.repeat_count = details.repeat_count ?? 0;
+    }
+
+    // Routines keep the segments they were made of
+    if (Array.isArray(details.segments)) {
+      history_entry.segments = details.segments.map(({ name, duration, repeat, linked }) => ({
+        name,
+        duration,
+        repeat: repeat || 1,
+        linked: !!linked,
+      }));
+    }
+
     console.log(`📝 Created history entry:`, history_entry);
 
-    // Load existing history
-    console.log(`📚 Loading existing history...`);
-    const existing_history = await load_history();
-    console.log(`📚 Loaded ${existing_history.length} existing entries`);
-    
     // Add new entry to the beginning (most recent first)
-    const updated_history = [history_entry, ...existing_history];
-    console.log(`📊 Updated history will have ${updated_history.length} entries`);
-    
-    // Save updated history
-    console.log(`💾 Saving updated history...`);
-    const success = await save_history_to_storage(updated_history);
+    const success = await update_history(existing_history => {
+      console.log(`📚 Loaded ${existing_history.length} existing entries`);
+      return [history_entry, ...existing_history];
+    });
     
     if (success) {
       console.log(`✅ Timer added to history:`, timer_name);
@@ -151,30 +242,319 @@ export const add_timer_to_history = async (timer_name, original_duration, catego
 };
 
 /**
- * Loads timer history from AsyncStorage
- * @returns {Promise<Array<HistoryEntry>>} - Array of history entries
+ * Records the history entries for the events produced by the timer engine
+ * Each finished Pomodoro phase gets its own entry and a Pomodoro's overall completion
+ * is not recorded again; a routine is recorded once, together with its segments, and a
+ * stopwatch with the time it actually ran and its laps. Every round of a repeating
+ * timer is recorded as it ends, and the overtime of a timer that ran past zero is
+ * added to the entry recorded when it reached zero
+ * @param {Object} timer - Timer definition the events belong to
+ * @param {Array<Object>} events - Events returned by advance_run
+ * @returns {Promise<boolean>} - True if every entry was saved
  */
-export const load_history = async () => {
+export const record_run_events = async (timer, events) => {
+  let all_saved = true;
+
+  for (const event of events) {
+    let success = true;
+
+    if (event.type === 'phase_complete' && get_timer_type(timer) === TIMER_TYPES.POMODORO) {
+      success = await add_timer_to_history(timer.name, event.phase.duration, event.phase.category, {
+        timer_id: timer.id,
+        completion_time: event.completed_at,
+        phase_name: event.phase.name,
+        round: event.phase.round,
+        timer_type: get_timer_type(timer),
+      });
+    } else if (event.type === 'complete' && is_count_up_timer(timer)) {
+      success = await add_timer_to_history(timer.name, Math.round(event.elapsed_ms / 1000), timer.category, {
+        timer_id: timer.id,
+        completion_time: event.completed_at,
+        timer_type: get_timer_type(timer),
+        laps: event.laps.map(lap_ms => Math.round(lap_ms / 1000)),
+      });
+    } else if ((event.type === 'complete' || event.type === 'round_complete') &&
+               get_timer_type(timer) !== TIMER_TYPES.POMODORO) {
+      const is_repeating = event.repeat_count !== 1;
+      success = await add_timer_to_history(timer.name, timer.duration, timer.category, {
+        timer_id: timer.id,
+        completion_time: event.completed_at,
+        timer_type: get_timer_type(timer),
+        segments: get_timer_type(timer) === TIMER_TYPES.ROUTINE ? timer.segments : undefined,
+        repeat_round: is_repeating ? event.round : undefined,
+        repeat_count: is_repeating ? event.repeat_count : undefined,
+      });
+    } else if (event.type === 'overtime_end') {
+      success = await record_overtime(timer, event.completed_at, Math.round(event.overtime_ms / 1000));
+    }
+
+    all_saved = all_saved && success;
+  }
+
+  return all_saved;
+};
+
+/**
+ * Changes the entry recorded when a timer completed
+ * The entry is found by the timer's ID and the moment it completed, or by its name for
+ * entries recorded before IDs were kept; history is newest first, so a Pomodoro's last
+ * phase is the one updated
+ * @param {{id: (string|number), name: string}} timer - Timer the entry belongs to
+ * @param {number} completed_at - Epoch ms when the timer completed
+ * @param {Object} changes - Fields to set on the entry
+ * @returns {Promise<boolean>} - Success status
+ */
+const update_completed_entry = (timer, completed_at, changes) => {
+  const completion_time = new Date(completed_at).toISOString();
+  const belongs_to_timer = (entry) => (
+    entry.timer_id === undefined ? entry.timer_name === timer.name : entry.timer_id === timer.id
+  );
+
+  return update_history(history => {
+    const entry_index = history.findIndex(entry => (
+      belongs_to_timer(entry) && entry.completion_time === completion_time && !is_partial_entry(entry)
+    ));
+
+    if (entry_index === -1) {
+      console.warn(`❌ No completed entry found for "${timer.name}" to update`);
+      return null;
+    }
+
+    const updated_history = [...history];
+    updated_history[entry_index] = { ...history[entry_index], ...changes };
+    return updated_history;
+  });
+};
+
+/**
+ * Adds the time a timer ran past zero to the entry recorded when it completed
+ * @param {{id: (string|number), name: string}} timer - Timer that ran past zero
+ * @param {number} completed_at - Epoch ms when the timer reached zero
+ * @param {number} overtime_seconds - Seconds the timer ran past zero
+ * @returns {Promise<boolean>} - Success status
+ */
+export const record_overtime = async (timer, completed_at, overtime_seconds) => {
   try {
-    console.log(`🔍 Loading history from storage key: ${HISTORY_STORAGE_KEY}`);
-    const history_json = await AsyncStorage.getItem(HISTORY_STORAGE_KEY);
-    
-    if (history_json === null) {
-      console.log('📭 No history found in storage, returning empty array');
-      return [];
+    console.log(`⏱️ Recording ${overtime_seconds}s of overtime for "${timer.name}"`);
+    return await update_completed_entry(timer, completed_at, { overtime_duration: overtime_seconds });
+  } catch (error) {
+    console.error('💥 Error recording overtime:', error);
+    return false;
+  }
+};
+
+/**
+ * Saves how a session felt onto the entry recorded when the timer completed
+ * Empty fields are left off the entry, and nothing is written if all of them are empty
+ * @param {{id: (string|number), name: string}} timer - Timer the session was run on
+ * @param {number} completed_at - Epoch ms when the timer completed
+ * @param {{note?: string, rating?: number, mood?: string}} reflection - Note, rating and mood
+ * @returns {Promise<boolean>} - Success status
+ */
+export const save_session_reflection = async (timer, completed_at, reflection) => {
+  const changes = {};
+  const note = (reflection.note || '').trim().slice(0, MAX_NOTE_LENGTH);
+  if (note) {
+    changes.note = note;
+  }
+  if (SESSION_RATINGS.includes(reflection.rating)) {
+    changes.rating = reflection.rating;
+  }
+  if (SESSION_MOODS.includes(reflection.mood)) {
+    changes.mood = reflection.mood;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return true;
+  }
+
+  try {
+    console.log(`📝 Saving session reflection for "${timer.name}":`, changes);
+    return await update_completed_entry(timer, completed_at, changes);
+  } catch (error) {
+    console.error('💥 Error saving session reflection:', error);
+    return false;
+  }
+};
+
+/**
+ * Renames the history of a timer that was renamed, so its sessions stay together
+ * Entries are matched by the timer's ID; entries recorded before IDs were kept are
+ * matched by the old name
+ * @param {string|number} timer_id - ID of the timer
+ * @param {string} old_name - Name the timer had
+ * @param {string} new_name - Name the timer has now
+ * @returns {Promise<boolean>} - True if any entries were renamed
+ */
+export const rename_timer_history = async (timer_id, old_name, new_name) => {
+  const belongs_to_timer = (entry) => (
+    entry.timer_id === undefined ? entry.timer_name === old_name : entry.timer_id === timer_id
+  );
+
+  try {
+    const success = await update_history(history => {
+      if (!history.some(belongs_to_timer)) {
+        return null;
+      }
+      return history.map(entry => (belongs_to_timer(entry) ? { ...entry, timer_name: new_name } : entry));
+    });
+
+    if (success) {
+      console.log(`✏️ Renamed history of "${old_name}" to "${new_name}"`);
     }
-    
-    console.log(`📥 Found history JSON in storage: ${history_json.substring(0, 100)}...`);
-    const history = JSON.parse(history_json);
-    
-    // Ensure the history is an array
-    if (!Array.isArray(history)) {
-      console.warn('⚠️ Invalid history format in storage, returning empty array');
-      return [];
+    return success;
+  } catch (error) {
+    console.error('💥 Error renaming timer history:', error);
+    return false;
+  }
+};
+
+/**
+ * Filters history by how sessions felt
+ * @param {Array<HistoryEntry>} history - History entries
+ * @param {{mood?: string|null, min_rating?: number|null, with_note?: boolean}} filters - Filters to apply, unset ones match everything
+ * @returns {Array<HistoryEntry>} - Entries matching every filter
+ */
+export const filter_history_by_reflection = (history, filters) => {
+  return history.filter(entry => (
+    (!filters.mood || entry.mood === filters.mood) &&
+    (!filters.min_rating || (entry.rating || 0) >= filters.min_rating) &&
+    (!filters.with_note || !!entry.note)
+  ));
+};
+
+/**
+ * Gets the average rating of the rated entries
+ * @param {Array<HistoryEntry>} history - History entries
+ * @returns {number|null} - Average rating, null if no entry is rated
+ */
+export const get_average_rating = (history) => {
+  const ratings = history.map(entry => entry.rating).filter(rating => SESSION_RATINGS.includes(rating));
+  if (ratings.length === 0) {
+    return null;
+  }
+  return ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length;
+};
+
+/**
+ * Records a run that was reset or deleted before it finished as a partial entry
+ * A Pomodoro records the phase it was in, since its earlier phases are already in
+ * history; other timers record the round they were in
+ * @param {Object} timer - Timer definition the run belongs to
+ * @param {Object} run_state - Run state at the moment the run was abandoned
+ * @param {number} now - Epoch ms when the run was abandoned
+ * @returns {Promise<boolean>} - True if an entry was saved
+ */
+export const record_partial_run = async (timer, run_state, now = Date.now()) => {
+  const status = get_run_status(run_state);
+  if (status !== 'running' && status !== 'paused') {
+    return false;
+  }
+
+  const elapsed_ms = get_elapsed_ms(run_state, now);
+  const repeat_count = get_repeat_count(timer);
+  const repeat_details = repeat_count !== 1
+    ? { repeat_round: run_state.round || 1, repeat_count }
+    : {};
+
+  if (get_timer_type(timer) === TIMER_TYPES.POMODORO) {
+    const { phase, phase_elapsed_ms } = get_phase_at(get_timer_phases(timer), elapsed_ms);
+    const elapsed_duration = Math.floor(phase_elapsed_ms / 1000);
+    if (elapsed_duration < MIN_PARTIAL_SECONDS) {
+      return false;
     }
-    
-    console.log(`📊 Loaded ${history.length} history entries from storage`);
-    return history;
+
+    return add_timer_to_history(timer.name, phase.duration, phase.category, {
+      timer_id: timer.id,
+      completion_time: run_state.paused_at ?? now,
+      phase_name: phase.name,
+      round: phase.round,
+      timer_type: get_timer_type(timer),
+      status: HISTORY_STATUS.PARTIAL,
+      elapsed_duration,
+      ...repeat_details,
+    });
+  }
+
+  const elapsed_duration = Math.floor(elapsed_ms / 1000);
+  if (elapsed_duration < MIN_PARTIAL_SECONDS) {
+    return false;
+  }
+
+  return add_timer_to_history(
+    timer.name,
+    is_count_up_timer(timer) ? elapsed_duration : timer.duration,
+    timer.category,
+    {
+      timer_id: timer.id,
+      completion_time: run_state.paused_at ?? now,
+      timer_type: get_timer_type(timer),
+      segments: get_timer_type(timer) === TIMER_TYPES.ROUTINE ? timer.segments : undefined,
+      status: HISTORY_STATUS.PARTIAL,
+      elapsed_duration,
+      ...repeat_details,
+    }
+  );
+};
+
+/**
+ * Checks whether a history entry records a run that was abandoned before it finished
+ * @param {HistoryEntry} entry - History entry
+ * @returns {boolean} - True for partial entries
+ */
+export const is_partial_entry = (entry) => entry.status === HISTORY_STATUS.PARTIAL;
+
+/**
+ * Gets the time a history entry actually accounts for
+ * @param {HistoryEntry} entry - History entry
+ * @returns {number} - Seconds run, the elapsed time for partial entries and
+ * including any overtime for completed ones
+ */
+export const get_entry_seconds = (entry) => {
+  if (is_partial_entry(entry)) {
+    return entry.elapsed_duration || 0;
+  }
+  return entry.original_duration + (entry.overtime_duration || 0);
+};
+
+/**
+ * Reads timer history from storage
+ * Damaged history is quarantined and every entry that can still be read is kept; if
+ * the damaged copy couldn't be kept, reading fails rather than lose the rest of it
+ * @returns {Promise<Array<HistoryEntry>>} - Array of history entries
+ * @throws {Error} - If the history couldn't be read
+ */
+export const read_history = async () => {
+  console.log(`🔍 Loading history from storage key: ${HISTORY_STORAGE_KEY}`);
+  const history_json = await get_stored_item(HISTORY_STORAGE_KEY);
+  
+  if (history_json === null) {
+    console.log('📭 No history found in storage, returning empty array');
+    return [];
+  }
+  
+  console.log(`📥 Found history JSON in storage: ${history_json.substring(0, 100)}...`);
+
+  const { items: history, is_damaged, is_quarantined } = await read_recoverable_array(HISTORY_STORAGE_KEY, history_json);
+  if (is_damaged && !is_quarantined) {
+    throw new Error('Damaged history could not be quarantined');
+  }
+  if (is_damaged) {
+    console.warn(`⚠️ Damaged history in storage, salvaged ${history.length} entries`);
+  }
+  
+  console.log(`📊 Loaded ${history.length} history entries from storage`);
+  return history;
+};
+
+/**
+ * Loads timer history from storage for display
+ * Never used to change the history - an empty list after a failed read would be saved over it
+ * @returns {Promise<Array<HistoryEntry>>} - Array of history entries, empty if it couldn't be read
+ */
+export const load_history = async () => {
+  try {
+    return await read_history();
   } catch (error) {
     console.error('💥 Error loading history from storage:', error);
     return [];
@@ -182,7 +562,7 @@ export const load_history = async () => {
 };
 
 /**
- * Saves timer history to AsyncStorage
+ * Saves timer history to storage
  * @param {Array<HistoryEntry>} history - Array of history entries
  * @returns {Promise<boolean>} - Success status
  */
@@ -199,7 +579,7 @@ const save_history_to_storage = async (history) => {
     const history_json = JSON.stringify(history);
     console.log(`📝 Serialized history to JSON: ${history_json.substring(0, 100)}...`);
     
-    await AsyncStorage.setItem(HISTORY_STORAGE_KEY, history_json);
+    await set_stored_item(HISTORY_STORAGE_KEY, history_json);
     console.log(`✅ Successfully saved ${history.length} history entries to storage`);
     
     return true;
@@ -209,19 +589,30 @@ const save_history_to_storage = async (history) => {
   }
 };
 
+/**
+ * Changes the saved history through the write queue
+ * Loading and saving run as one queued write, so entries saved at the same moment -
+ * such as timers started together finishing together - can't overwrite each other.
+ * If the history can't be read nothing is written
+ * @param {function(Array<HistoryEntry>): (Array<HistoryEntry>|null)} update - Gets the saved history and returns the new one, or null to leave it unchanged
+ * @returns {Promise<boolean>} - Success status, false if the history was left unchanged
+ * @throws {Error} - If the history couldn't be read
+ */
+const update_history = (update) => enqueue_write(async () => {
+  const updated_history = update(await read_history());
+  return updated_history ? await save_history_to_storage(updated_history) : false;
+});
+
 /**
  * Clears all timer history
  * @returns {Promise<boolean>} - Success status
  */
 export const clear_history = async () => {
-  try {
-    await AsyncStorage.removeItem(HISTORY_STORAGE_KEY);
+  const success = await queue_remove([HISTORY_STORAGE_KEY]);
+  if (success) {
     console.log('History cleared successfully');
-    return true;
-  } catch (error) {
-    console.error('Error clearing history:', error);
-    return false;
   }
+  return success;
 };
 
 /**
@@ -269,7 +660,7 @@ export const group_history_by_date = (history) => {
 export const get_today_completion_count = (history) => {
   try {
     const today = format_date_for_grouping(new Date());
-    return history.filter(entry => entry.completion_date === today).length;
+    return history.filter(entry => entry.completion_date === today && !is_partial_entry(entry)).length;
   } catch (error) {
     console.error('Error getting today completion count:', error);
     return 0;
@@ -277,16 +668,19 @@ export const get_today_completion_count = (history) => {
 };
 
 /**
- * Gets total time completed today in seconds
+ * Gets total time spent on timers today in seconds
+ * Partial runs count for the time they actually ran
  * @param {Array<HistoryEntry>} history - Array of history entries
- * @returns {number} - Total seconds completed today
+ * @param {string} status - Only count entries with this HISTORY_STATUS (optional)
+ * @returns {number} - Total seconds today
  */
-export const get_today_total_time = (history) => {
+export const get_today_total_time = (history, status) => {
   try {
     const today = format_date_for_grouping(new Date());
     return history
       .filter(entry => entry.completion_date === today)
-      .reduce((total, entry) => total + entry.original_duration, 0);
+      .filter(entry => !status || (is_partial_entry(entry) ? HISTORY_STATUS.PARTIAL : HISTORY_STATUS.COMPLETED) === status)
+      .reduce((total, entry) => total + get_entry_seconds(entry), 0);
   } catch (error) {
     console.error('Error getting today total time:', error);
     return 0;
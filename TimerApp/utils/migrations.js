@@ -0,0 +1,169 @@
+import { get_stored_item, set_stored_items } from './storage_backend';
+import { get_default_timers } from './storage';
+import { STORAGE_KEYS } from './storage_keys';
+
+/**
+ * Stored data migrations
+ * Saved timers and history carry a schema version; at startup every migration newer
+ * than the stored version runs in order, before anything reads the data. To change the
+ * stored format, append a migration with the next version number - never edit or
+ * reorder one that has shipped, since installs may already have run it
+ */
+
+// Storage keys of the data this file migrates
+const TIMERS_STORAGE_KEY = STORAGE_KEYS.TIMERS;
+const HISTORY_STORAGE_KEY = STORAGE_KEYS.HISTORY;
+
+// Storage key for the version of the stored data
+const SCHEMA_VERSION_STORAGE_KEY = STORAGE_KEYS.SCHEMA_VERSION;
+
+/**
+ * Stored data handed from one migration to the next
+ * @typedef {Object} StoredData
+ * @property {Array<Object>|null} timers - Saved timer definitions, null if none are saved
+ * @property {Array<Object>|null} history - Saved history entries, null if none are saved
+ */
+
+/**
+ * Generates an ID for a record saved without one
+ * @param {number} index - Position of the record, so records fixed together get different IDs
+ * @returns {string} - New unique ID
+ */
+const generate_missing_id = (index) => `migrated_${Date.now()}_${index}_${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Ordered migrations; each takes the stored data and returns it in its version's format
+ * @type {Array<{version: number, description: string, migrate: function(StoredData): StoredData}>}
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Give default timers saved before categories existed their category',
+    migrate: (data) => {
+      if (!data.timers) {
+        return data;
+      }
+
+      const default_timers = get_default_timers();
+      return {
+        ...data,
+        timers: data.timers.map(timer => {
+          if (timer.is_default && !timer.category) {
+            const default_timer = default_timers.find(default_timer => default_timer.id === timer.id);
+            return default_timer ? { ...timer, category: default_timer.category } : timer;
+          }
+          return timer;
+        }),
+      };
+    },
+  },
+  {
+    version: 2,
+    description: 'Give every timer and history entry an ID',
+    migrate: (data) => ({
+      timers: data.timers && data.timers.map((timer, index) => (
+        timer.id === undefined || timer.id === null ? { ...timer, id: generate_missing_id(index) } : timer
+      )),
+      history: data.history && data.history.map((entry, index) => (
+        entry.id ? entry : { ...entry, id: generate_missing_id(index) }
+      )),
+    }),
+  },
+];
+
+// Version of the data this app writes
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Reads a stored JSON array
+ * @param {string} storage_key - Key the array is stored under
+ * @returns {Promise<Array<Object>|null>} - Stored array, null if nothing is stored
+ */
+const read_stored_array = async (storage_key) => {
+  const stored_json = await get_stored_item(storage_key);
+  if (stored_json === null) {
+    return null;
+  }
+
+  const stored_value = JSON.parse(stored_json);
+  if (!Array.isArray(stored_value)) {
+    throw new Error(`Data under ${storage_key} is not an array`);
+  }
+  return stored_value;
+};
+
+/**
+ * Reads the version of the stored data
+ * Installs from before versioning have no version saved and start at 0
+ * @returns {Promise<number>} - Stored schema version
+ */
+export const get_stored_schema_version = async () => {
+  const version_json = await get_stored_item(SCHEMA_VERSION_STORAGE_KEY);
+  const version = version_json === null ? 0 : Number(version_json);
+  return Number.isInteger(version) && version >= 0 ? version : 0;
+};
+
+/**
+ * Checks whether the stored data was written by a newer version of the app
+ * This version can't read that data safely, so the app must not run - and save
+ * over it - until it is updated
+ * @returns {Promise<boolean>} - True if the stored schema version is newer than this app's
+ */
+export const is_stored_data_newer = async () => (await get_stored_schema_version()) > SCHEMA_VERSION;
+
+/**
+ * Runs every migration newer than a version over timers and history
+ * @param {StoredData} data - Timers and history in the given version's format
+ * @param {number} from_version - Schema version the data is in
+ * @returns {StoredData} - Data in the current schema version's format
+ */
+export const migrate_data = (data, from_version) => MIGRATIONS
+  .filter(migration => migration.version > from_version)
+  .reduce((migrated_data, migration) => {
+    console.log(`🗄️ Running migration ${migration.version}: ${migration.description}`);
+    return migration.migrate(migrated_data);
+  }, data);
+
+/**
+ * Brings the stored timers and history up to the current schema version
+ * Nothing is written unless every pending migration succeeds, so a failed migration
+ * leaves the data as it was and is tried again on the next launch
+ * @returns {Promise<boolean>} - True if the stored data is at the current version
+ */
+export const run_migrations = async () => {
+  try {
+    const stored_version = await get_stored_schema_version();
+
+    if (stored_version > SCHEMA_VERSION) {
+      // Data written by a newer version of the app is left untouched
+      console.warn(`🗄️ Stored data is version ${stored_version}, newer than this app's ${SCHEMA_VERSION}`);
+      return false;
+    }
+
+    if (stored_version === SCHEMA_VERSION) {
+      console.log(`🗄️ Stored data is up to date (version ${stored_version})`);
+      return true;
+    }
+
+    const data = migrate_data({
+      timers: await read_stored_array(TIMERS_STORAGE_KEY),
+      history: await read_stored_array(HISTORY_STORAGE_KEY),
+    }, stored_version);
+
+    // Nothing saved yet stays unsaved, so new installs still get the default timers
+    const writes = [[SCHEMA_VERSION_STORAGE_KEY, String(SCHEMA_VERSION)]];
+    if (data.timers) {
+      writes.push([TIMERS_STORAGE_KEY, JSON.stringify(data.timers)]);
+    }
+    if (data.history) {
+      writes.push([HISTORY_STORAGE_KEY, JSON.stringify(data.history)]);
+    }
+    await set_stored_items(writes);
+
+    console.log(`✅ Stored data migrated from version ${stored_version} to ${SCHEMA_VERSION}`);
+    return true;
+  } catch (error) {
+    console.error('💥 Error migrating stored data, leaving it unchanged:', error);
+    return false;
+  }
+};
@@ -0,0 +1,37 @@
+import { createNavigationContainerRef } from '@react-navigation/native';
+
+/**
+ * Navigation from outside the screens
+ * Lets code that isn't rendered by a navigator, such as notification handlers, open a screen
+ */
+
+// Ref attached to the app's NavigationContainer
+export const navigation_ref = createNavigationContainerRef();
+
+// Navigation requested before the container was ready
+let pending_navigation = null;
+
+/**
+ * Opens a screen, waiting for the navigation container if it isn't ready yet
+ * @param {string} screen_name - Name of the screen to open
+ * @param {Object} params - Params passed to the screen
+ */
+export const navigate = (screen_name, params) => {
+  if (navigation_ref.isReady()) {
+    navigation_ref.navigate(screen_name, params);
+  } else {
+    pending_navigation = { screen_name, params };
+  }
+};
+
+/**
+ * Runs the navigation requested before the container was ready
+ * Pass as the NavigationContainer's onReady
+ */
+export const flush_pending_navigation = () => {
+  if (pending_navigation && navigation_ref.isReady()) {
+    const { screen_name, params } = pending_navigation;
+    pending_navigation = null;
+    navigation_ref.navigate(screen_name, params);
+  }
+};
@@ -0,0 +1,152 @@
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import { has_overtime, get_repeat_count } from './timer_types';
+
+/**
+ * Local notifications for timers that finish while the app is in the background
+ * Each running timer has at most one scheduled notification, identified by its timer ID,
+ * so scheduling it again replaces the previous one
+ */
+
+// Android channel completion notifications are posted to
+const TIMER_CHANNEL_ID = 'timer_complete';
+
+// Prefix of the identifier of every completion notification
+const NOTIFICATION_ID_PREFIX = 'timer_complete_';
+
+/**
+ * Gets the identifier of a timer's completion notification
+ * @param {string|number} timer_id - ID of the timer
+ * @returns {string} - Notification identifier
+ */
+const get_notification_id = (timer_id) => `${NOTIFICATION_ID_PREFIX}${timer_id}`;
+
+/**
+ * Sets up notifications and asks for permission to show them
+ * Notifications are only shown while the app is in the background; in the foreground
+ * the timer's own completion modal and sound take their place
+ * @returns {Promise<boolean>} - True if notifications may be shown
+ */
+export const configure_notifications = async () => {
+  Notifications.setNotificationHandler({
+    handleNotification: async () => ({
+      shouldShowBanner: false,
+      shouldShowList: false,
+      shouldPlaySound: false,
+      shouldSetBadge: false,
+    }),
+  });
+
+  try {
+    if (Platform.OS === 'android') {
+      await Notifications.setNotificationChannelAsync(TIMER_CHANNEL_ID, {
+        name: 'Finished timers',
+        importance: Notifications.AndroidImportance.HIGH,
+        vibrationPattern: [0, 400, 200, 400],
+      });
+    }
+
+    const { status: existing_status } = await Notifications.getPermissionsAsync();
+    const { status } = existing_status === 'granted'
+      ? { status: existing_status }
+      : await Notifications.requestPermissionsAsync();
+
+    console.log(`🔔 Notifications configured, permission: ${status}`);
+    return status === 'granted';
+  } catch (error) {
+    console.error('🔔 Error configuring notifications:', error);
+    return false;
+  }
+};
+
+/**
+ * Builds the text of a timer's completion notification
+ * @param {Object} timer - Timer definition
+ * @returns {string} - Notification body
+ */
+const get_notification_body = (timer) => {
+  if (has_overtime(timer)) {
+    return "Time's up - counting overtime until you stop it.";
+  }
+  const repeat_count = get_repeat_count(timer);
+  if (repeat_count > 1) {
+    return `All ${repeat_count} rounds are done. Tap to see it.`;
+  }
+  return 'Your timer is done. Tap to see it.';
+};
+
+/**
+ * Schedules the notification shown when a timer reaches its end
+ * @param {Object} timer - Timer definition
+ * @param {number} fire_at - Epoch ms the timer reaches its end
+ * @param {boolean} with_sound - Whether the notification plays the default sound
+ * @returns {Promise<boolean>} - True if successful, false if failed
+ */
+export const schedule_completion_notification = async (timer, fire_at, with_sound) => {
+  try {
+    await Notifications.scheduleNotificationAsync({
+      identifier: get_notification_id(timer.id),
+      content: {
+        title: `⏰ ${timer.name}`,
+        body: get_notification_body(timer),
+        data: { timer_id: timer.id },
+        sound: with_sound,
+      },
+      trigger: {
+        type: Notifications.SchedulableTriggerInputTypes.DATE,
+        date: new Date(fire_at),
+        channelId: TIMER_CHANNEL_ID,
+      },
+    });
+    console.log(`🔔 Notification for "${timer.name}" scheduled at ${new Date(fire_at).toLocaleTimeString()}`);
+    return true;
+  } catch (error) {
+    console.error(`🔔 Error scheduling notification for "${timer.name}":`, error);
+    return false;
+  }
+};
+
+/**
+ * Cancels a timer's completion notification if it hasn't been shown yet
+ * @param {string|number} timer_id - ID of the timer
+ * @returns {Promise<boolean>} - True if successful, false if failed
+ */
+export const cancel_completion_notification = async (timer_id) => {
+  try {
+    await Notifications.cancelScheduledNotificationAsync(get_notification_id(timer_id));
+    console.log(`🔕 Notification for timer ${timer_id} cancelled`);
+    return true;
+  } catch (error) {
+    console.error(`🔕 Error cancelling notification for timer ${timer_id}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Cancels every completion notification still waiting to be shown
+ * Used at startup, before notifications are scheduled again from the saved run states
+ * @returns {Promise<boolean>} - True if successful, false if failed
+ */
+export const cancel_all_completion_notifications = async () => {
+  try {
+    const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+    const completion_ids = scheduled
+      .map(request => request.identifier)
+      .filter(identifier => identifier.startsWith(NOTIFICATION_ID_PREFIX));
+    await Promise.all(completion_ids.map(identifier => Notifications.cancelScheduledNotificationAsync(identifier)));
+    return true;
+  } catch (error) {
+    console.error('🔕 Error cancelling completion notifications:', error);
+    return false;
+  }
+};
+
+/**
+ * Gets the timer a tapped notification belongs to
+ * @param {Object|null} response - Notification response from expo-notifications
+ * @returns {string|number|null} - Timer ID, null if the notification isn't a completion notification
+ */
+export const get_response_timer_id = (response) => {
+  const data = response?.notification?.request?.content?.data;
+  return data && data.timer_id !== undefined ? data.timer_id : null;
+};
@@ -0,0 +1,201 @@
+/**
+ * Timer schedules
+ * A schedule starts a timer on its own at a local time of day on chosen weekdays
+ * ("10:30 every weekday"). Times are always wall-clock times in the device's
+ * current time zone, so a schedule keeps firing at 10:30 across DST changes
+ * and when travelling
+ */
+
+import { get_total_duration } from './timer_types';
+
+// Days of the week as used by Date#getDay
+export const WEEKDAYS = [
+  { day: 0, short_label: 'Sun', letter: 'S' },
+  { day: 1, short_label: 'Mon', letter: 'M' },
+  { day: 2, short_label: 'Tue', letter: 'T' },
+  { day: 3, short_label: 'Wed', letter: 'W' },
+  { day: 4, short_label: 'Thu', letter: 'T' },
+  { day: 5, short_label: 'Fri', letter: 'F' },
+  { day: 6, short_label: 'Sat', letter: 'S' },
+];
+
+export const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+export const WORKDAYS = [1, 2, 3, 4, 5];
+
+// Missed starts older than this are skipped instead of caught up when the app opens
+export const CATCH_UP_WINDOW_MS = 6 * 60 * 60 * 1000;
+
+// Days searched for the next start; a week always contains one if any day is selected
+const SEARCH_DAYS = 8;
+
+/**
+ * A timer's auto-start schedule
+ * @typedef {Object} TimerSchedule
+ * @property {number} hour - Local hour of the start, 0-23
+ * @property {number} minute - Local minute of the start, 0-59
+ * @property {Array<number>} days - Weekdays the timer starts on, 0 for Sunday
+ * @property {boolean} enabled - Whether the schedule is active
+ */
+
+/**
+ * Checks whether a timer has an active schedule
+ * @param {Object} timer - Timer definition
+ * @returns {boolean} - True if the timer should start on its own
+ */
+export const has_active_schedule = (timer) => {
+  const schedule = timer.schedule;
+  return !!schedule && schedule.enabled !== false && Array.isArray(schedule.days) && schedule.days.length > 0;
+};
+
+/**
+ * Gets the start time a schedule has on a given calendar day
+ * Building the date from local parts lets the platform resolve DST: a start in
+ * the skipped hour moves forward, and a repeated hour only counts once
+ * @param {TimerSchedule} schedule - Schedule to evaluate
+ * @param {Date} day - Any moment on the calendar day
+ * @returns {number|null} - Epoch ms of the start, or null if the schedule skips that day
+ */
+const get_start_on_day = (schedule, day) => {
+  if (!schedule.days.includes(day.getDay())) {
+    return null;
+  }
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), schedule.hour, schedule.minute).getTime();
+};
+
+/**
+ * Gets the first scheduled start after a moment
+ * @param {TimerSchedule} schedule - Schedule to evaluate
+ * @param {number} after - Epoch ms to search from (exclusive)
+ * @returns {number|null} - Epoch ms of the next start, or null if the schedule never fires
+ */
+export const get_next_start = (schedule, after = Date.now()) => {
+  if (!schedule || !Array.isArray(schedule.days) || schedule.days.length === 0) {
+    return null;
+  }
+
+  const from = new Date(after);
+  for (let offset = 0; offset < SEARCH_DAYS; offset++) {
+    const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset);
+    const start = get_start_on_day(schedule, day);
+    if (start !== null && start > after) {
+      return start;
+    }
+  }
+  return null;
+};
+
+/**
+ * Gets the latest scheduled start within a window
+ * @param {TimerSchedule} schedule - Schedule to evaluate
+ * @param {number} since - Epoch ms the window starts at (exclusive)
+ * @param {number} until - Epoch ms the window ends at (inclusive)
+ * @returns {number|null} - Epoch ms of the latest start, or null if none fell in the window
+ */
+export const get_latest_start = (schedule, since, until) => {
+  if (!schedule || !Array.isArray(schedule.days) || schedule.days.length === 0 || since >= until) {
+    return null;
+  }
+
+  const to = new Date(until);
+  for (let offset = 0; offset < SEARCH_DAYS; offset++) {
+    const day = new Date(to.getFullYear(), to.getMonth(), to.getDate() - offset);
+    const start = get_start_on_day(schedule, day);
+    if (start === null || start > until) {
+      continue;
+    }
+    return start > since ? start : null;
+  }
+  return null;
+};
+
+/**
+ * Finds the scheduled timers that are due to start
+ * Each timer remembers up to when its schedule was last checked; only the latest
+ * start missed since then is returned, and only if it is recent enough to catch up
+ * @param {Array<Object>} timers - Timer definitions
+ * @param {Object} checked_until - Map of timer ID to the epoch ms its schedule was checked up to
+ * @param {number} now - Current epoch ms
+ * @returns {{due: Array<{timer: Object, start: number}>, checked_until: Object}} - Timers to
+ * start with their scheduled start, and the updated check times
+ */
+export const get_due_timers = (timers, checked_until, now = Date.now()) => {
+  const due = [];
+  const next_checked_until = {};
+
+  timers.filter(has_active_schedule).forEach(timer => {
+    // A new schedule only fires from now on
+    const since = checked_until[timer.id] ?? now;
+    next_checked_until[timer.id] = now;
+
+    const start = get_latest_start(timer.schedule, since, now);
+    if (start === null) {
+      return;
+    }
+
+    if (now - start > CATCH_UP_WINDOW_MS) {
+      console.log(`⏰ Skipping missed start of "${timer.name}" at ${new Date(start).toLocaleString()}`);
+      return;
+    }
+    due.push({ timer, start });
+  });
+
+  return { due, checked_until: next_checked_until };
+};
+
+/**
+ * Gets the moment a due timer's run starts from
+ * A missed start is caught up from its scheduled time only while the run would still
+ * be going; a run that would already have reached zero starts now instead, so no
+ * session the user never did is completed and recorded
+ * @param {Object} timer - Timer definition
+ * @param {number} scheduled_start - Epoch ms the timer was scheduled to start
+ * @param {number} now - Current epoch ms
+ * @returns {number} - Epoch ms to start the run at
+ */
+export const get_catch_up_start = (timer, scheduled_start, now = Date.now()) => {
+  return scheduled_start + get_total_duration(timer) * 1000 > now ? scheduled_start : now;
+};
+
+/**
+ * Formats a schedule's time of day, e.g. "10:30"
+ * @param {TimerSchedule} schedule - Schedule to describe
+ * @returns {string} - Time in 24-hour format
+ */
+export const format_schedule_time = (schedule) => {
+  return `${String(schedule.hour).padStart(2, '0')}:${String(schedule.minute).padStart(2, '0')}`;
+};
+
+/**
+ * Describes a schedule, e.g. "Weekdays at 10:30" or "Mon, Wed at 07:00"
+ * @param {TimerSchedule} schedule - Schedule to describe
+ * @returns {string} - Schedule description
+ */
+export const format_schedule = (schedule) => {
+  const days = [...schedule.days].sort((a, b) => a - b);
+  const time = format_schedule_time(schedule);
+
+  if (days.length === 7) return `Daily at ${time}`;
+  if (days.join() === WORKDAYS.join()) return `Weekdays at ${time}`;
+  if (days.join() === '0,6') return `Weekends at ${time}`;
+
+  const labels = days.map(day => WEEKDAYS[day].short_label).join(', ');
+  return `${labels} at ${time}`;
+};
+
+/**
+ * Describes when a scheduled start happens relative to now, e.g. "Today 10:30",
+ * "Tomorrow 12:00" or "Mon 10:30"
+ * @param {number} start - Epoch ms of the start
+ * @param {number} now - Current epoch ms
+ * @returns {string} - Relative start description
+ */
+export const format_next_start = (start, now = Date.now()) => {
+  const start_date = new Date(start);
+  const today = new Date(now);
+  const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+  const time = `${String(start_date.getHours()).padStart(2, '0')}:${String(start_date.getMinutes()).padStart(2, '0')}`;
+
+  if (start_date.toDateString() === today.toDateString()) return `Today ${time}`;
+  if (start_date.toDateString() === tomorrow.toDateString()) return `Tomorrow ${time}`;
+  return `${WEEKDAYS[start_date.getDay()].short_label} ${time}`;
+};
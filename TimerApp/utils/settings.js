@@ -0,0 +1,76 @@
+import { get_stored_item } from './storage_backend';
+import { queue_write } from './write_queue';
+import { STORAGE_KEYS } from './storage_keys';
+
+// Storage key for app-wide settings
+const SETTINGS_STORAGE_KEY = STORAGE_KEYS.SETTINGS;
+
+/**
+ * App-wide settings
+ * @typedef {Object} AppSettings
+ * @property {boolean} sound_enabled - Whether sound cues play at all
+ * @property {number} sound_volume - Volume of sound cues, 0 to 1
+ * @property {boolean} play_in_silent_mode - Whether cues play while the device is in silent mode (iOS)
+ * @property {boolean} start_sound_enabled - Whether a cue plays when a timer starts
+ * @property {boolean} voice_enabled - Whether timers with announcements on speak at all
+ * @property {boolean} voice_start - Whether the timer and phase names are spoken as they start
+ * @property {boolean} voice_halfway - Whether "halfway" is spoken
+ * @property {boolean} voice_ten_seconds - Whether "ten seconds left" is spoken
+ * @property {boolean} voice_countdown - Whether the last seconds are counted out loud
+ * @property {boolean} voice_done - Whether "done" is spoken at completion
+ */
+
+// Settings used until the user changes them
+export const DEFAULT_SETTINGS = {
+  sound_enabled: true,
+  sound_volume: 0.8,
+  play_in_silent_mode: false,
+  start_sound_enabled: true,
+  voice_enabled: true,
+  voice_start: true,
+  voice_halfway: true,
+  voice_ten_seconds: true,
+  voice_countdown: true,
+  voice_done: true,
+};
+
+/**
+ * Saves the app settings to storage
+ * @param {AppSettings} settings - Settings to save
+ * @returns {Promise<boolean>} - True if successful, false if failed
+ */
+export const save_settings = async (settings) => {
+  const success = await queue_write(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  if (success) {
+    console.log('⚙️ Settings saved');
+  }
+  return success;
+};
+
+/**
+ * Loads the app settings from storage
+ * Settings added after the user last saved fall back to their defaults
+ * @returns {Promise<AppSettings>} - Saved settings merged over the defaults
+ */
+export const load_settings = async () => {
+  try {
+    const settings_json = await get_stored_item(SETTINGS_STORAGE_KEY);
+
+    if (settings_json === null) {
+      return { ...DEFAULT_SETTINGS };
+    }
+
+    const stored_settings = JSON.parse(settings_json);
+
+    // Ensure the settings are a plain object
+    if (!stored_settings || typeof stored_settings !== 'object' || Array.isArray(stored_settings)) {
+      console.warn('Invalid settings format in storage, using defaults');
+      return { ...DEFAULT_SETTINGS };
+    }
+
+    return { ...DEFAULT_SETTINGS, ...stored_settings };
+  } catch (error) {
+    console.error('Error loading settings from storage:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
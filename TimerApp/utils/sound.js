@@ -0,0 +1,90 @@
+import { createAudioPlayer, setAudioModeAsync } from 'expo-audio';
+
+/**
+ * Sound cues
+ * All sounds are bundled with the app, so cues play offline and without delay
+ */
+
+// Sounds a timer can finish with
+export const COMPLETION_SOUNDS = {
+  chime: { label: 'Chime', source: require('../assets/sounds/chime.wav') },
+  bell: { label: 'Bell', source: require('../assets/sounds/bell.wav') },
+  digital: { label: 'Digital', source: require('../assets/sounds/digital.wav') },
+  alarm: { label: 'Alarm', source: require('../assets/sounds/alarm.wav') },
+};
+
+// Short cues played during a run
+export const CUE_SOUNDS = {
+  start: { label: 'Start', source: require('../assets/sounds/start.wav') },
+  countdown: { label: 'Countdown beep', source: require('../assets/sounds/beep.wav') },
+  transition: { label: 'Next phase', source: require('../assets/sounds/transition.wav') },
+};
+
+// Completion sound of timers that haven't picked one
+export const DEFAULT_COMPLETION_SOUND = 'chime';
+
+// Completion sound value for a timer that finishes silently
+export const NO_SOUND = 'none';
+
+// Seconds before zero at which countdown beeps play
+export const COUNTDOWN_BEEP_SECONDS = [3, 2, 1];
+
+// One player per sound, created on first use and reused afterwards
+const players = {};
+
+/**
+ * Gets the completion sound a timer finishes with
+ * @param {Object} timer - Timer definition with an optional completion_sound
+ * @returns {string} - Key of COMPLETION_SOUNDS, or NO_SOUND
+ */
+export const get_completion_sound = (timer) => {
+  if (timer.completion_sound === NO_SOUND) {
+    return NO_SOUND;
+  }
+  return COMPLETION_SOUNDS[timer.completion_sound] ? timer.completion_sound : DEFAULT_COMPLETION_SOUND;
+};
+
+/**
+ * Sets how cues mix with other audio and whether they obey the silent switch
+ * On iOS, cues are muted by the ring/silent switch unless play_in_silent_mode is
+ * set; Android plays them at the media volume
+ * @param {boolean} play_in_silent_mode - Whether cues play while the device is silenced
+ */
+export const configure_audio = async (play_in_silent_mode) => {
+  try {
+    await setAudioModeAsync({
+      playsInSilentMode: !!play_in_silent_mode,
+      interruptionMode: 'duckOthers',
+      interruptionModeAndroid: 'duckOthers',
+    });
+    console.log(`🔊 Audio configured, play in silent mode: ${!!play_in_silent_mode}`);
+  } catch (error) {
+    console.error('🔊 Error configuring audio:', error);
+  }
+};
+
+/**
+ * Plays a bundled sound from the start
+ * @param {string} sound_key - Key of COMPLETION_SOUNDS or CUE_SOUNDS
+ * @param {number} volume - Volume from 0 to 1
+ */
+export const play_sound = (sound_key, volume = 1) => {
+  const sound = COMPLETION_SOUNDS[sound_key] || CUE_SOUNDS[sound_key];
+  if (!sound || volume <= 0) {
+    return;
+  }
+
+  try {
+    if (!players[sound_key]) {
+      players[sound_key] = createAudioPlayer(sound.source);
+    }
+
+    const player = players[sound_key];
+    player.volume = Math.max(0, Math.min(1, volume));
+    player.seekTo(0);
+    player.play();
+  } catch (error) {
+    // A missing cue is never worth interrupting a timer for
+    console.error(`🔊 Error playing sound "${sound_key}":`, error);
+  }
+};
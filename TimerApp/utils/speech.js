@@ -0,0 +1,83 @@
+import * as Speech from 'expo-speech';
+
+/**
+ * Spoken announcements
+ * Lets a timer be followed without looking at the phone, e.g. during a workout
+ */
+
+// Announcements a timer can make, each with the setting that turns it on app-wide
+export const ANNOUNCEMENT_KINDS = {
+  start: { label: 'Names', setting_key: 'voice_start' },
+  halfway: { label: 'Halfway', setting_key: 'voice_halfway' },
+  ten_seconds: { label: 'Ten seconds left', setting_key: 'voice_ten_seconds' },
+  countdown: { label: 'Countdown', setting_key: 'voice_countdown' },
+  done: { label: 'Done', setting_key: 'voice_done' },
+};
+
+// Seconds before the end of a phase that are counted out loud
+export const SPOKEN_COUNTDOWN_SECONDS = [3, 2, 1];
+
+// Seconds left when "ten seconds left" is announced
+export const TEN_SECONDS_MARK = 10;
+
+// Shortest phases that get a halfway or ten seconds announcement, so they don't talk over each other
+const MIN_HALFWAY_PHASE_SECONDS = 30;
+const MIN_TEN_SECONDS_PHASE_SECONDS = 20;
+
+/**
+ * Checks whether an announcement is turned on in the app settings
+ * @param {Object} settings - App settings
+ * @param {string} kind - Key of ANNOUNCEMENT_KINDS
+ * @returns {boolean} - True if the announcement should be spoken
+ */
+export const is_announcement_enabled = (settings, kind) => {
+  return !!settings.voice_enabled && settings[ANNOUNCEMENT_KINDS[kind].setting_key] !== false;
+};
+
+/**
+ * Gets the spoken name of a phase, including its round when it repeats
+ * @param {Object} phase - Phase from get_timer_phases
+ * @returns {string} - Phase name to speak
+ */
+export const get_spoken_phase_name = (phase) => {
+  if (phase.round && phase.total_rounds) {
+    return `${phase.name}, round ${phase.round} of ${phase.total_rounds}`;
+  }
+  return phase.name;
+};
+
+/**
+ * Gets the progress announcement due at a number of seconds before the end of a phase
+ * @param {Object} phase - Phase being counted down
+ * @param {number} seconds_left - Whole seconds left in the phase
+ * @returns {{kind: string, text: string}|null} - Announcement, null if none is due
+ */
+export const get_progress_announcement = (phase, seconds_left) => {
+  if (SPOKEN_COUNTDOWN_SECONDS.includes(seconds_left)) {
+    return { kind: 'countdown', text: String(seconds_left) };
+  }
+  if (seconds_left === TEN_SECONDS_MARK && phase.duration >= MIN_TEN_SECONDS_PHASE_SECONDS) {
+    return { kind: 'ten_seconds', text: 'Ten seconds left' };
+  }
+  if (seconds_left === Math.ceil(phase.duration / 2) && phase.duration >= MIN_HALFWAY_PHASE_SECONDS) {
+    return { kind: 'halfway', text: 'Halfway' };
+  }
+  return null;
+};
+
+/**
+ * Speaks a line of text
+ * @param {string} text - Text to speak
+ * @param {boolean} interrupt - Whether to cut off anything still being spoken, so a countdown stays on time
+ */
+export const speak = (text, interrupt = false) => {
+  try {
+    if (interrupt) {
+      Speech.stop();
+    }
+    Speech.speak(text);
+  } catch (error) {
+    // A missed announcement is never worth interrupting a timer for
+    console.error(`🗣️ Error speaking "${text}":`, error);
+  }
+};
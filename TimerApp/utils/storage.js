@@ -1,54 +1,192 @@
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { get_stored_item, set_stored_item, remove_stored_items } from './storage_backend';
+import { queue_write, queue_remove, read_latest } from './write_queue';
+import { STORAGE_KEYS } from './storage_keys';
+import { read_recoverable_array } from './data_recovery';
 
 // Storage key for timers data
-const TIMERS_STORAGE_KEY = 'timer_app_timers';
+const TIMERS_STORAGE_KEY = STORAGE_KEYS.TIMERS;
+
+// Storage key for the live run state of each timer
+const TIMER_STATES_STORAGE_KEY = STORAGE_KEYS.TIMER_STATES;
+
+// Storage key for how far each timer's schedule has been checked
+const SCHEDULE_STATE_STORAGE_KEY = STORAGE_KEYS.SCHEDULE_STATE;
+
+// Storage key for the order of the timer sections
+const SECTION_ORDER_STORAGE_KEY = STORAGE_KEYS.SECTION_ORDER;
+
+// How long timers wait for further edits before they are written
+const TIMERS_WRITE_DELAY_MS = 300;
 
 /**
- * Saves timers array to AsyncStorage
+ * A saved timer definition
+ * @typedef {Object} TimerDefinition
+ * @property {string|number} id - Unique identifier of the timer
+ * @property {string} name - Display name
+ * @property {string} [type] - One of TIMER_TYPES, a countdown if missing
+ * @property {number} duration - Total duration in seconds, 0 for stopwatches
+ * @property {string} category - Category the timer is grouped and recorded under
+ * @property {boolean} is_default - Whether the timer is one of the built-in defaults
+ * @property {Object} [pomodoro] - Pomodoro settings for Pomodoro timers
+ * @property {Array<Object>} [segments] - Segments of a routine
+ * @property {Array<Object>} [checkpoints] - Checkpoints that alert during the run
+ * @property {boolean} [checkpoint_vibrate] - Whether checkpoints also vibrate
+ * @property {number} [repeat_count] - Rounds to run back to back, 0 for forever
+ * @property {boolean} [overtime] - Whether the timer keeps counting past zero
+ * @property {Object} [schedule] - Auto-start schedule (see utils/schedule.js)
+ * @property {string} [completion_sound] - Sound played at completion (see utils/sound.js)
+ * @property {boolean} [countdown_beeps] - Whether to beep during the last seconds of each phase
+ * @property {boolean} [voice_announcements] - Whether progress is spoken (see utils/speech.js)
+ * @property {boolean} [pinned] - Whether the timer is listed in the pinned section instead of its category
+ * @property {number} [pin_order] - Position in the pinned section, lowest first
+ */
+
+/**
+ * Saves timers array to storage
  * @param {Array} timers_array - Array of timer objects to save
  * @returns {Promise<boolean>} - True if successful, false if failed
  */
 export const save_timers = async (timers_array) => {
+  // Quick edits in a row are saved as one write of the latest timers
+  const success = await queue_write(TIMERS_STORAGE_KEY, JSON.stringify(timers_array), TIMERS_WRITE_DELAY_MS);
+
+  if (success) {
+    console.log('Timers saved successfully:', timers_array.length, 'timers');
+  }
+  return success;
+};
+
+/**
+ * Loads timers array from storage
+ * A failed read throws rather than return the default timers, which would be saved over the user's own
+ * @returns {Promise<Array>} - Array of timer objects, or default timers if none are saved
+ * @throws {Error} - If the saved timers couldn't be read
+ */
+export const load_timers = async () => {
+  // Get timers JSON from storage
+  const timers_json = await read_latest(TIMERS_STORAGE_KEY);
+  
+  if (timers_json === null) {
+    // No data found, return default timers
+    console.log('No saved timers found, returning default timers');
+    return get_default_timers();
+  }
+  
+  // Damaged timers are quarantined and whatever can still be read is kept
+  const { items: timers_array, is_damaged, is_quarantined } = await read_recoverable_array(TIMERS_STORAGE_KEY, timers_json);
+  if (is_damaged && !is_quarantined) {
+    throw new Error('Damaged timers could not be quarantined');
+  }
+  if (is_damaged && timers_array.length === 0) {
+    console.warn('No timers could be salvaged, returning default timers');
+    return get_default_timers();
+  }
+
+  console.log('Timers loaded successfully:', timers_array.length, 'timers');
+  return timers_array;
+};
+
+/**
+ * Saves the order the timer sections are shown in
+ * Timers are ordered within their section by their place in the timers array
+ * @param {Array<string>} section_order - Section IDs, top first
+ * @returns {Promise<boolean>} - True if successful, false if failed
+ */
+export const save_section_order = (section_order) => queue_write(SECTION_ORDER_STORAGE_KEY, JSON.stringify(section_order));
+
+/**
+ * Loads the order the timer sections are shown in
+ * @returns {Promise<Array<string>>} - Section IDs, top first; empty if none saved
+ */
+export const load_section_order = async () => {
+  try {
+    const order_json = await read_latest(SECTION_ORDER_STORAGE_KEY);
+
+    if (order_json === null) {
+      return [];
+    }
+
+    const section_order = JSON.parse(order_json);
+
+    // Ensure the order is a list of section IDs
+    if (!Array.isArray(section_order)) {
+      console.warn('Invalid section order format in storage, ignoring');
+      return [];
+    }
+
+    return section_order.filter(section_id => typeof section_id === 'string');
+  } catch (error) {
+    console.error('Error loading section order from storage:', error);
+    return [];
+  }
+};
+
+/**
+ * Saves the run state of every timer to storage
+ * @param {Object} timer_states - Map of timer ID to its run state
+ * @returns {Promise<boolean>} - True if successful, false if failed
+ */
+export const save_timer_states = (timer_states) => queue_write(TIMER_STATES_STORAGE_KEY, JSON.stringify(timer_states));
+
+/**
+ * Loads the run state of every timer from storage
+ * @returns {Promise<Object>} - Map of timer ID to its run state, empty if none saved
+ */
+export const load_timer_states = async () => {
   try {
-    // Convert timers array to JSON string
-    const timers_json = JSON.stringify(timers_array);
+    const states_json = await read_latest(TIMER_STATES_STORAGE_KEY);
     
-    // Save to AsyncStorage
-    await AsyncStorage.setItem(TIMERS_STORAGE_KEY, timers_json);
+    if (states_json === null) {
+      return {};
+    }
     
-    console.log('Timers saved successfully:', timers_array.length, 'timers');
-    return true;
+    const timer_states = JSON.parse(states_json);
+    
+    // Ensure the states are a plain object keyed by timer ID
+    if (!timer_states || typeof timer_states !== 'object' || Array.isArray(timer_states)) {
+      console.warn('Invalid timer states format in storage, ignoring');
+      return {};
+    }
+    
+    console.log('Timer states loaded successfully:', Object.keys(timer_states).length, 'states');
+    return timer_states;
   } catch (error) {
-    // Handle errors gracefully
-    console.error('Error saving timers to storage:', error);
-    return false;
+    console.error('Error loading timer states from storage:', error);
+    return {};
   }
 };
 
 /**
- * Loads timers array from AsyncStorage
- * @returns {Promise<Array>} - Array of timer objects, or default timers if failed/empty
+ * Saves how far each timer's schedule has been checked
+ * @param {Object} schedule_state - Map of timer ID to the epoch ms its schedule was checked up to
+ * @returns {Promise<boolean>} - True if successful, false if failed
  */
-export const load_timers = async () => {
+export const save_schedule_state = (schedule_state) => queue_write(SCHEDULE_STATE_STORAGE_KEY, JSON.stringify(schedule_state));
+
+/**
+ * Loads how far each timer's schedule has been checked
+ * @returns {Promise<Object>} - Map of timer ID to epoch ms, empty if none saved
+ */
+export const load_schedule_state = async () => {
   try {
-    // Get timers JSON from AsyncStorage
-    const timers_json = await AsyncStorage.getItem(TIMERS_STORAGE_KEY);
+    const state_json = await read_latest(SCHEDULE_STATE_STORAGE_KEY);
+    
+    if (state_json === null) {
+      return {};
+    }
+    
+    const schedule_state = JSON.parse(state_json);
     
-    if (timers_json === null) {
-      // No data found, return default timers
-      console.log('No saved timers found, returning default timers');
-      return get_default_timers();
+    // Ensure the state is a plain object keyed by timer ID
+    if (!schedule_state || typeof schedule_state !== 'object' || Array.isArray(schedule_state)) {
+      console.warn('Invalid schedule state format in storage, ignoring');
+      return {};
     }
     
-    // Parse JSON and return timers array
-    const timers_array = JSON.parse(timers_json);
-    console.log('Timers loaded successfully:', timers_array.length, 'timers');
-    return timers_array;
+    return schedule_state;
   } catch (error) {
-    // Handle errors gracefully - return default timers
-    console.error('Error loading timers from storage:', error);
-    console.log('Falling back to default timers');
-    return get_default_timers();
+    console.error('Error loading schedule state from storage:', error);
+    return {};
   }
 };
 
@@ -57,21 +195,18 @@ export const load_timers = async () => {
  * @returns {Promise<boolean>} - True if successful, false if failed
  */
 export const clear_timers = async () => {
-  try {
-    await AsyncStorage.removeItem(TIMERS_STORAGE_KEY);
+  const success = await queue_remove([TIMERS_STORAGE_KEY]);
+  if (success) {
     console.log('Timers cleared from storage');
-    return true;
-  } catch (error) {
-    console.error('Error clearing timers from storage:', error);
-    return false;
   }
+  return success;
 };
 
 /**
  * Gets the default timers array with categories
  * @returns {Array} - Default timers array with categories
  */
-const get_default_timers = () => {
+export const get_default_timers = () => {
   return [
     {
       id: 'default-1',
@@ -107,9 +242,9 @@ export const test_storage = async () => {
     const test_value = 'test_data';
     
     // Try to save and retrieve test data
-    await AsyncStorage.setItem(test_key, test_value);
-    const retrieved_value = await AsyncStorage.getItem(test_key);
-    await AsyncStorage.removeItem(test_key);
+    await set_stored_item(test_key, test_value);
+    const retrieved_value = await get_stored_item(test_key);
+    await remove_stored_items([test_key]);
     
     return retrieved_value === test_value;
   } catch (error) {
@@ -0,0 +1,96 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Storage backends
+ * All stored data goes through the active backend, a key-value store of strings.
+ * The app uses AsyncStorage; the in-memory backend runs the storage and history
+ * logic without a device, as the tests do
+ */
+
+/**
+ * Key-value store every backend implements
+ * @typedef {Object} StorageBackend
+ * @property {string} name - Backend name for logs
+ * @property {function(string): Promise<string|null>} get_item - Reads a value, null if the key isn't stored
+ * @property {function(Array<[string, string]>): Promise<void>} multi_set - Writes several values in one step
+ * @property {function(Array<string>): Promise<void>} multi_remove - Removes several keys
+ */
+
+/**
+ * Creates the backend that stores data in AsyncStorage
+ * @returns {StorageBackend} - AsyncStorage backend
+ */
+export const create_async_storage_backend = () => ({
+  name: 'AsyncStorage',
+  get_item: (key) => AsyncStorage.getItem(key),
+  multi_set: (pairs) => AsyncStorage.multiSet(pairs),
+  multi_remove: (keys) => AsyncStorage.multiRemove(keys),
+});
+
+/**
+ * Creates a backend that keeps data in memory only
+ * @param {Object<string, string>} initial_items - Values to start with, by key
+ * @returns {StorageBackend} - In-memory backend
+ */
+export const create_memory_backend = (initial_items = {}) => {
+  const items = new Map(Object.entries(initial_items));
+
+  return {
+    name: 'memory',
+    get_item: async (key) => (items.has(key) ? items.get(key) : null),
+    multi_set: async (pairs) => {
+      pairs.forEach(([key, value]) => items.set(key, String(value)));
+    },
+    multi_remove: async (keys) => {
+      keys.forEach(key => items.delete(key));
+    },
+  };
+};
+
+// Backend all stored data goes through
+let active_backend = create_async_storage_backend();
+
+/**
+ * Switches the backend all stored data goes through
+ * Call before anything reads storage - data is not copied across
+ * @param {StorageBackend} backend - Backend to use
+ */
+export const set_storage_backend = (backend) => {
+  active_backend = backend;
+  console.log(`🗄️ Using ${backend.name} storage`);
+};
+
+/**
+ * Gets the backend all stored data goes through
+ * @returns {StorageBackend} - Active backend
+ */
+export const get_storage_backend = () => active_backend;
+
+/**
+ * Reads a stored value
+ * @param {string} key - Storage key, one of STORAGE_KEYS
+ * @returns {Promise<string|null>} - Stored value, null if nothing is stored
+ */
+export const get_stored_item = (key) => active_backend.get_item(key);
+
+/**
+ * Writes a stored value
+ * @param {string} key - Storage key, one of STORAGE_KEYS
+ * @param {string} value - Value to store
+ * @returns {Promise<void>}
+ */
+export const set_stored_item = (key, value) => active_backend.multi_set([[key, value]]);
+
+/**
+ * Writes several stored values in one step
+ * @param {Array<[string, string]>} pairs - Keys and the values to store under them
+ * @returns {Promise<void>}
+ */
+export const set_stored_items = (pairs) => active_backend.multi_set(pairs);
+
+/**
+ * Removes stored values
+ * @param {Array<string>} keys - Keys to remove
+ * @returns {Promise<void>}
+ */
+export const remove_stored_items = (keys) => active_backend.multi_remove(keys);
@@ -0,0 +1,27 @@
+/**
+ * Storage keys
+ * Every key the app stores data under is listed here, so features that work on all
+ * stored data (migrations, backups) see the same set as the modules that own each key
+ */
+export const STORAGE_KEYS = {
+  // Saved timer definitions (utils/storage.js)
+  TIMERS: 'timer_app_timers',
+  // Order of the timer sections on the home screen (utils/storage.js)
+  SECTION_ORDER: 'timer_app_section_order',
+  // Live run state of each timer (utils/storage.js)
+  TIMER_STATES: 'timer_app_timer_states',
+  // How far each timer's schedule has been checked (utils/storage.js)
+  SCHEDULE_STATE: 'timer_app_schedule_state',
+  // Timer history (utils/history.js)
+  HISTORY: '@TimerApp:history',
+  // Light or dark theme (contexts/ThemeContext.js)
+  THEME: 'theme_preference',
+  // App-wide settings (utils/settings.js)
+  SETTINGS: 'timer_app_settings',
+  // Version of the stored data format (utils/migrations.js)
+  SCHEMA_VERSION: 'timer_app_schema_version',
+  // Deleted timers and history waiting to be restored or purged (utils/trash.js)
+  TRASH: 'timer_app_trash',
+  // Copies of stored data that couldn't be read (utils/data_recovery.js)
+  QUARANTINE: 'timer_app_quarantine',
+};
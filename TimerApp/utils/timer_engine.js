@@ -0,0 +1,371 @@
+/**
+ * Wall-clock timer engine
+ * Derives a timer's progress from stored timestamps instead of counting interval ticks,
+ * so dropped ticks, a slow JS thread or a suspended app never make a timer drift
+ */
+
+import { get_timer_phases, get_total_duration, is_count_up_timer, get_repeat_count, has_overtime, REPEAT_FOREVER } from './timer_types';
+import { get_checkpoint_marks } from './checkpoints';
+
+// Most repeat rounds caught up in a single advance, so a long absence can't block the JS thread
+const MAX_CATCH_UP_ROUNDS = 1000;
+
+/**
+ * Runtime state of a single timer run
+ * @typedef {Object} TimerRunState
+ * @property {number|null} started_at - Epoch ms when the current run was started
+ * @property {number|null} paused_at - Epoch ms when the run was paused, null unless paused
+ * @property {number} total_paused_ms - Milliseconds spent paused since started_at
+ * @property {number|null} completed_at - Epoch ms when the run reached zero
+ * @property {boolean} completion_acknowledged - Whether the user has dismissed the completion
+ * @property {number} completed_phases - Number of phases already finished in this run
+ * @property {Array<number>} laps - Elapsed ms at each lap marked on a stopwatch
+ * @property {number} passed_checkpoints - Number of checkpoint marks already reached
+ * @property {number} round - Repeat round the run is in, starting at 1
+ * @property {boolean} overtime - Whether the run kept counting after reaching zero
+ * @property {number|null} overtime_ended_at - Epoch ms when the overtime was stopped
+ */
+
+/**
+ * Creates the runtime state of a timer that has not been started
+ * @returns {TimerRunState} - Idle run state
+ */
+export const create_run_state = () => ({
+  started_at: null,
+  paused_at: null,
+  total_paused_ms: 0,
+  completed_at: null,
+  completion_acknowledged: false,
+  completed_phases: 0,
+  laps: [],
+  passed_checkpoints: 0,
+  round: 1,
+  overtime: false,
+  overtime_ended_at: null,
+});
+
+/**
+ * Gets the status of a run
+ * A run in overtime has reached zero but is still counting until it is stopped
+ * @param {TimerRunState} run_state - Run state to inspect
+ * @returns {string} - One of 'idle', 'running', 'paused', 'overtime' or 'completed'
+ */
+export const get_run_status = (run_state) => {
+  if (run_state.completed_at !== null) {
+    return run_state.overtime && run_state.overtime_ended_at == null ? 'overtime' : 'completed';
+  }
+  if (run_state.started_at === null) return 'idle';
+  if (run_state.paused_at !== null) return 'paused';
+  return 'running';
+};
+
+/**
+ * Gets the real time a run has been counting, excluding paused time
+ * @param {TimerRunState} run_state - Run state to inspect
+ * @param {number} now - Current epoch ms
+ * @returns {number} - Elapsed milliseconds
+ */
+export const get_elapsed_ms = (run_state, now = Date.now()) => {
+  if (run_state.started_at === null) return 0;
+
+  // A finished or paused run stops counting at that moment
+  const end_time = run_state.completed_at ?? run_state.paused_at ?? now;
+  return Math.max(0, end_time - run_state.started_at - run_state.total_paused_ms);
+};
+
+/**
+ * Gets the whole seconds left in a run, rounded up so the display only shows
+ * 00:00 once the run is really over
+ * @param {TimerRunState} run_state - Run state to inspect
+ * @param {number} duration - Timer duration in seconds
+ * @param {number} now - Current epoch ms
+ * @returns {number} - Remaining seconds
+ */
+export const get_remaining_seconds = (run_state, duration, now = Date.now()) => {
+  const remaining_ms = duration * 1000 - get_elapsed_ms(run_state, now);
+  return Math.max(0, Math.ceil(remaining_ms / 1000));
+};
+
+/**
+ * Gets how far a run has gone past zero
+ * @param {TimerRunState} run_state - Run state to inspect
+ * @param {number} now - Current epoch ms
+ * @returns {number} - Overtime milliseconds, 0 for runs without overtime
+ */
+export const get_overtime_ms = (run_state, now = Date.now()) => {
+  if (!run_state.overtime || run_state.completed_at === null) return 0;
+  return Math.max(0, (run_state.overtime_ended_at ?? now) - run_state.completed_at);
+};
+
+/**
+ * Gets when a running timer will reach zero for the last time
+ * Includes the rounds a repeating timer still has to go
+ * @param {TimerRunState} run_state - Run state to inspect
+ * @param {Object} timer - Timer definition the run belongs to
+ * @returns {number|null} - Epoch ms of the end, null if the run isn't counting down to one
+ */
+export const get_projected_end = (run_state, timer) => {
+  if (get_run_status(run_state) !== 'running' || is_count_up_timer(timer)) return null;
+
+  const repeat_count = get_repeat_count(timer);
+  if (repeat_count === REPEAT_FOREVER) return null;
+
+  const rounds_to_go = repeat_count - (run_state.round || 1) + 1;
+  return run_state.started_at + run_state.total_paused_ms + rounds_to_go * get_total_duration(timer) * 1000;
+};
+
+/**
+ * Checks whether two definitions of a timer run the same way
+ * A run keeps its place by elapsed time, phase count, checkpoint count and round, so
+ * it can carry on through an edit that keeps its phase lengths, checkpoint marks,
+ * repeats and overtime; names, categories and how the definition is stored don't matter
+ * @param {Object} timer - Timer definition
+ * @param {Object} other_timer - Another definition of the same timer
+ * @returns {boolean} - True if a run in progress can carry on with either
+ */
+export const has_same_run = (timer, other_timer) => {
+  const get_run_shape = (definition) => JSON.stringify({
+    is_count_up: is_count_up_timer(definition),
+    phases: is_count_up_timer(definition) ? [] : get_timer_phases(definition).map(({ kind, duration }) => [kind, duration]),
+    checkpoint_marks: get_checkpoint_marks(definition),
+    repeat_count: get_repeat_count(definition),
+    overtime: has_overtime(definition),
+  });
+  return get_run_shape(timer) === get_run_shape(other_timer);
+};
+
+/**
+ * Starts an idle run or resumes a paused one
+ * @param {TimerRunState} run_state - Current run state
+ * @param {number} now - Current epoch ms
+ * @returns {TimerRunState} - Updated run state
+ */
+export const start_run = (run_state, now = Date.now()) => {
+  const status = get_run_status(run_state);
+
+  if (status === 'idle') {
+    return { ...create_run_state(), started_at: now };
+  }
+
+  if (status === 'paused') {
+    return {
+      ...run_state,
+      paused_at: null,
+      total_paused_ms: run_state.total_paused_ms + Math.max(0, now - run_state.paused_at),
+    };
+  }
+
+  return run_state;
+};
+
+/**
+ * Pauses a running run
+ * @param {TimerRunState} run_state - Current run state
+ * @param {number} now - Current epoch ms
+ * @returns {TimerRunState} - Updated run state
+ */
+export const pause_run = (run_state, now = Date.now()) => {
+  if (get_run_status(run_state) !== 'running') {
+    return run_state;
+  }
+  return { ...run_state, paused_at: now };
+};
+
+/**
+ * Resets a run back to idle
+ * @returns {TimerRunState} - Idle run state
+ */
+export const reset_run = () => create_run_state();
+
+/**
+ * Marks a lap at the current elapsed time of a running stopwatch
+ * @param {TimerRunState} run_state - Current run state
+ * @param {number} now - Current epoch ms
+ * @returns {TimerRunState} - Updated run state
+ */
+export const add_lap = (run_state, now = Date.now()) => {
+  if (get_run_status(run_state) !== 'running') {
+    return run_state;
+  }
+  return { ...run_state, laps: [...(run_state.laps || []), get_elapsed_ms(run_state, now)] };
+};
+
+/**
+ * Gets the duration of each lap, including the lap still in progress
+ * @param {TimerRunState} run_state - Run state to inspect
+ * @param {number} now - Current epoch ms
+ * @returns {Array<number>} - Lap durations in ms, oldest first
+ */
+export const get_lap_durations = (run_state, now = Date.now()) => {
+  const marks = [...(run_state.laps || []), get_elapsed_ms(run_state, now)];
+  return marks.map((mark, index) => mark - (index > 0 ? marks[index - 1] : 0));
+};
+
+/**
+ * Stops a stopwatch, finishing the run at its current elapsed time, or ends the
+ * overtime of a run that went past zero
+ * @param {TimerRunState} run_state - Current run state
+ * @param {number} now - Current epoch ms
+ * @returns {{run_state: TimerRunState, events: Array<Object>}} - Updated state and events
+ */
+export const stop_run = (run_state, now = Date.now()) => {
+  const status = get_run_status(run_state);
+
+  // The run already completed at zero; only the time it ran over is left to report
+  if (status === 'overtime') {
+    return {
+      run_state: { ...run_state, overtime_ended_at: now, completion_acknowledged: false },
+      events: [{
+        type: 'overtime_end',
+        completed_at: run_state.completed_at,
+        overtime_ms: get_overtime_ms(run_state, now),
+      }],
+    };
+  }
+
+  if (status !== 'running' && status !== 'paused') {
+    return { run_state, events: [] };
+  }
+
+  // A paused stopwatch stops at the moment it was paused
+  const completed_at = run_state.paused_at ?? now;
+  const elapsed_ms = get_elapsed_ms(run_state, completed_at);
+  const laps = get_lap_durations(run_state, completed_at);
+
+  return {
+    run_state: { ...run_state, completed_at, completion_acknowledged: false },
+    events: [{ type: 'complete', completed_at, elapsed_ms, laps }],
+  };
+};
+
+/**
+ * Marks a completed run as seen by the user
+ * @param {TimerRunState} run_state - Current run state
+ * @returns {TimerRunState} - Updated run state
+ */
+export const acknowledge_run = (run_state) => {
+  if (get_run_status(run_state) !== 'completed' || run_state.completion_acknowledged) {
+    return run_state;
+  }
+  return { ...run_state, completion_acknowledged: true };
+};
+
+/**
+ * Brings a single round of a run up to date with the wall clock
+ * @param {TimerRunState} run_state - Current run state
+ * @param {Object} timer - Timer definition
+ * @param {number} now - Current epoch ms
+ * @returns {{run_state: TimerRunState, events: Array<Object>}} - Updated state and events
+ */
+const advance_round = (run_state, timer, now) => {
+  const phases = get_timer_phases(timer);
+  const elapsed_ms = get_elapsed_ms(run_state, now);
+  const run_origin = run_state.started_at + run_state.total_paused_ms;
+  const events = [];
+  let next_run_state = run_state;
+
+  // Walk the phase boundaries crossed since the last advance
+  let phase_end_ms = 0;
+  let completed_phases = run_state.completed_phases || 0;
+  for (let index = 0; index < phases.length; index++) {
+    phase_end_ms += phases[index].duration * 1000;
+    if (index < completed_phases) {
+      continue;
+    }
+    if (elapsed_ms < phase_end_ms) {
+      break;
+    }
+
+    completed_phases = index + 1;
+    if (phases.length > 1) {
+      events.push({
+        type: 'phase_complete',
+        phase: phases[index],
+        phase_index: index,
+        completed_at: run_origin + phase_end_ms,
+      });
+    }
+  }
+
+  if (completed_phases !== (run_state.completed_phases || 0)) {
+    next_run_state = { ...next_run_state, completed_phases };
+  }
+
+  // Checkpoints reached since the last advance
+  const total_seconds = phases.reduce((total, phase) => total + phase.duration, 0);
+  const checkpoint_marks = get_checkpoint_marks(timer);
+  const passed_checkpoints = checkpoint_marks.filter(mark => mark * 1000 <= elapsed_ms).length;
+  if (passed_checkpoints > (run_state.passed_checkpoints || 0)) {
+    checkpoint_marks.slice(run_state.passed_checkpoints || 0, passed_checkpoints).forEach(mark => {
+      events.push({
+        type: 'checkpoint',
+        mark,
+        remaining: total_seconds - mark,
+        reached_at: run_origin + mark * 1000,
+      });
+    });
+    next_run_state = { ...next_run_state, passed_checkpoints };
+  }
+
+  // The moment the run reached zero, even if we only notice it now
+  if (completed_phases >= phases.length) {
+    const finish_at = run_origin + phase_end_ms;
+    next_run_state = { ...next_run_state, completed_at: finish_at, completion_acknowledged: false };
+    events.push({ type: 'complete', completed_at: finish_at });
+  }
+
+  return { run_state: next_run_state, events };
+};
+
+/**
+ * Brings a run up to date with the wall clock
+ * Returns the events that happened since the run was last advanced; the returned
+ * state already reflects them, so advancing it again never repeats an event.
+ * Timers with several phases emit a 'phase_complete' event as each phase ends,
+ * followed by 'complete' once the last phase is done, and a 'checkpoint' event is
+ * emitted for each configured checkpoint reached. A repeating timer emits
+ * 'round_complete' instead and restarts at the exact moment the round ended, so
+ * only its final round completes. A timer with overtime completes at zero but
+ * keeps counting until stop_run ends the overtime. Stopwatches never finish on
+ * their own; they complete through stop_run
+ * @param {TimerRunState} run_state - Current run state
+ * @param {Object} timer - Timer definition
+ * @param {number} now - Current epoch ms
+ * @returns {{run_state: TimerRunState, events: Array<Object>}} - Updated state and events
+ */
+export const advance_run = (run_state, timer, now = Date.now()) => {
+  if (get_run_status(run_state) !== 'running' || is_count_up_timer(timer)) {
+    return { run_state, events: [] };
+  }
+
+  const repeat_count = get_repeat_count(timer);
+  const events = [];
+  let current_state = run_state;
+
+  for (let caught_up = 0; caught_up < MAX_CATCH_UP_ROUNDS; caught_up++) {
+    const round = current_state.round || 1;
+    const result = advance_round(current_state, timer, now);
+    const has_rounds_left = repeat_count === REPEAT_FOREVER || round < repeat_count;
+
+    if (get_run_status(result.run_state) !== 'completed' || !has_rounds_left) {
+      events.push(...result.events.map(event => (
+        event.type === 'complete' ? { ...event, round, repeat_count } : event
+      )));
+
+      // Completion is still recorded at zero; the run just keeps counting past it
+      const is_complete = result.events.some(event => event.type === 'complete');
+      const next_run_state = is_complete && has_overtime(timer)
+        ? { ...result.run_state, overtime: true, overtime_ended_at: null }
+        : result.run_state;
+      return { run_state: next_run_state, events };
+    }
+
+    // Turn the completion into the end of a round and start the next one right away
+    const round_events = result.events.filter(event => event.type !== 'complete');
+    const completed_at = result.run_state.completed_at;
+    events.push(...round_events, { type: 'round_complete', completed_at, round, repeat_count });
+    current_state = { ...create_run_state(), started_at: completed_at, round: round + 1 };
+  }
+
+  return { run_state: current_state, events };
+};
@@ -0,0 +1,292 @@
+import { share_json_file, pick_json_file, get_file_date } from './files';
+import {
+  TIMER_TYPES,
+  MAX_POMODORO_ROUNDS,
+  MAX_SEGMENT_REPEAT,
+  MAX_REPEAT_COUNT,
+  get_timer_type,
+  get_total_duration,
+  is_count_up_timer,
+} from './timer_types';
+import { CHECKPOINT_KINDS, MIN_CHECKPOINT_INTERVAL } from './checkpoints';
+import { COMPLETION_SOUNDS, NO_SOUND } from './sound';
+
+/**
+ * Timer export and import
+ * Timer definitions are shared as a versioned JSON file, so a set of timers can be
+ * set up once and copied to other phones. Only definitions are shared - never IDs,
+ * run state or history
+ */
+
+// Identifies a file as a timer export
+export const TIMER_EXPORT_FORMAT = 'health_flex_timers';
+
+// Version of the export format this app writes; files up to this version can be imported
+export const TIMER_EXPORT_VERSION = 1;
+
+// Definition fields that are exported; everything else stays on the device
+const EXPORTED_FIELDS = [
+  'name',
+  'type',
+  'duration',
+  'category',
+  'pomodoro',
+  'segments',
+  'checkpoints',
+  'checkpoint_vibrate',
+  'repeat_count',
+  'overtime',
+  'schedule',
+  'completion_sound',
+  'countdown_beeps',
+  'voice_announcements',
+];
+
+// Most timers read from a single file
+const MAX_IMPORTED_TIMERS = 200;
+
+// Longest accepted name or category
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Builds the export document for a list of timers
+ * @param {Array<Object>} timers - Timer definitions to export
+ * @returns {Object} - Export document, ready to be serialized
+ */
+export const build_timer_export = (timers) => ({
+  format: TIMER_EXPORT_FORMAT,
+  version: TIMER_EXPORT_VERSION,
+  exported_at: new Date().toISOString(),
+  timers: timers.map(timer => EXPORTED_FIELDS.reduce((exported, field) => {
+    if (timer[field] !== undefined) {
+      exported[field] = timer[field];
+    }
+    return exported;
+  }, {})),
+});
+
+/**
+ * Checks whether a value is a number of seconds a phase can last
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for a positive finite number
+ */
+const is_positive_number = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * Checks whether a value is a non-empty string of acceptable length
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for a usable name
+ */
+const is_valid_name = (value) => typeof value === 'string' && value.trim().length > 0 && value.trim().length <= MAX_NAME_LENGTH;
+
+/**
+ * Checks whether a value is a whole number in a range
+ * @param {*} value - Value to check
+ * @param {number} min - Smallest accepted value
+ * @param {number} max - Largest accepted value
+ * @returns {boolean} - True for an integer from min to max
+ */
+const is_integer_between = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Validates one checkpoint of an imported timer
+ * @param {*} checkpoint - Checkpoint as read from the file
+ * @param {number} total_duration - Seconds the timer runs for
+ * @returns {boolean} - True if the checkpoint is valid
+ */
+const is_valid_checkpoint = (checkpoint, total_duration) => {
+  if (!checkpoint || !Object.values(CHECKPOINT_KINDS).includes(checkpoint.kind)) {
+    return false;
+  }
+  if (checkpoint.kind === CHECKPOINT_KINDS.HALFWAY) {
+    return true;
+  }
+  return is_positive_number(checkpoint.seconds) && checkpoint.seconds >= MIN_CHECKPOINT_INTERVAL &&
+    checkpoint.seconds <= total_duration;
+};
+
+/**
+ * Validates one imported timer definition
+ * @param {*} raw_timer - Timer as read from the file
+ * @returns {string|null} - Why the timer is invalid, null if it is valid
+ */
+const get_timer_error = (raw_timer) => {
+  if (!raw_timer || typeof raw_timer !== 'object' || Array.isArray(raw_timer)) {
+    return 'is not a timer';
+  }
+  if (!is_valid_name(raw_timer.name)) {
+    return 'has no valid name';
+  }
+  if (!is_valid_name(raw_timer.category)) {
+    return 'has no valid category';
+  }
+  if (raw_timer.type !== undefined && !Object.values(TIMER_TYPES).includes(raw_timer.type)) {
+    return `has an unknown type "${raw_timer.type}"`;
+  }
+
+  const timer_type = get_timer_type(raw_timer);
+  if (timer_type === TIMER_TYPES.POMODORO) {
+    const pomodoro = raw_timer.pomodoro;
+    if (!pomodoro || !is_positive_number(pomodoro.focus_duration) || !is_positive_number(pomodoro.short_break_duration) ||
+        !is_positive_number(pomodoro.long_break_duration) ||
+        !is_integer_between(pomodoro.rounds_before_long_break, 1, MAX_POMODORO_ROUNDS)) {
+      return 'has invalid Pomodoro settings';
+    }
+  } else if (timer_type === TIMER_TYPES.ROUTINE) {
+    if (!Array.isArray(raw_timer.segments) || raw_timer.segments.length === 0 ||
+        raw_timer.segments.some(segment => !segment || !is_valid_name(segment.name) || !is_positive_number(segment.duration) ||
+          (segment.repeat !== undefined && !is_integer_between(segment.repeat, 1, MAX_SEGMENT_REPEAT)))) {
+      return 'has invalid segments';
+    }
+  } else if (timer_type === TIMER_TYPES.COUNTDOWN && !is_positive_number(raw_timer.duration)) {
+    return 'has no valid duration';
+  }
+
+  if (raw_timer.repeat_count !== undefined && !is_integer_between(raw_timer.repeat_count, 0, MAX_REPEAT_COUNT)) {
+    return 'has an invalid repeat count';
+  }
+  // Checkpoints are checked against the duration, once the phases it is built from are known to be valid
+  if (raw_timer.checkpoints !== undefined) {
+    const total_duration = is_count_up_timer(raw_timer) ? 0 : get_total_duration(raw_timer);
+    if (!Array.isArray(raw_timer.checkpoints) ||
+        raw_timer.checkpoints.some(checkpoint => !is_valid_checkpoint(checkpoint, total_duration))) {
+      return 'has invalid checkpoints';
+    }
+  }
+  if (raw_timer.schedule !== undefined) {
+    const schedule = raw_timer.schedule;
+    if (!schedule || !Number.isInteger(schedule.hour) || schedule.hour < 0 || schedule.hour > 23 ||
+        !Number.isInteger(schedule.minute) || schedule.minute < 0 || schedule.minute > 59 ||
+        !Array.isArray(schedule.days) || schedule.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return 'has an invalid schedule';
+    }
+  }
+  if (raw_timer.completion_sound !== undefined && raw_timer.completion_sound !== NO_SOUND &&
+      !COMPLETION_SOUNDS[raw_timer.completion_sound]) {
+    return `has an unknown sound "${raw_timer.completion_sound}"`;
+  }
+
+  return null;
+};
+
+/**
+ * Reads the timers from exported JSON
+ * Invalid timers are reported and skipped rather than failing the whole file
+ * @param {string} json_text - Contents of an export file, or pasted text
+ * @returns {{timers: Array<Object>, errors: Array<string>}} - Valid timer definitions, and why the others were skipped
+ * @throws {Error} - If the text is not a timer export this app can read
+ */
+export const parse_timer_import = (json_text) => {
+  let document;
+  try {
+    document = JSON.parse(json_text);
+  } catch (error) {
+    throw new Error('The text is not valid JSON.');
+  }
+
+  if (!document || document.format !== TIMER_EXPORT_FORMAT || !Array.isArray(document.timers)) {
+    throw new Error('This is not a timer export file.');
+  }
+  if (!Number.isInteger(document.version) || document.version < 1) {
+    throw new Error('The export file has no valid version.');
+  }
+  if (document.version > TIMER_EXPORT_VERSION) {
+    throw new Error('The file was exported by a newer version of the app. Update the app to import it.');
+  }
+  if (document.timers.length > MAX_IMPORTED_TIMERS) {
+    throw new Error(`The file has more than ${MAX_IMPORTED_TIMERS} timers.`);
+  }
+
+  const timers = [];
+  const errors = [];
+  document.timers.forEach((raw_timer, index) => {
+    const error = get_timer_error(raw_timer);
+    if (error) {
+      const label = raw_timer && typeof raw_timer.name === 'string' ? `"${raw_timer.name}"` : `Timer ${index + 1}`;
+      errors.push(`${label} ${error}`);
+      return;
+    }
+
+    // Keep only known fields, so nothing unexpected ends up in storage
+    const timer = build_timer_export([raw_timer]).timers[0];
+    timer.name = timer.name.trim();
+    timer.category = timer.category.trim();
+    if (timer.type === TIMER_TYPES.STOPWATCH) {
+      timer.duration = 0;
+    } else if (timer.type === TIMER_TYPES.POMODORO || timer.type === TIMER_TYPES.ROUTINE) {
+      timer.duration = get_total_duration(timer);
+    }
+    timers.push(timer);
+  });
+
+  return { timers, errors };
+};
+
+/**
+ * Gets the key two timers share when they are duplicates of each other
+ * @param {Object} timer - Timer definition
+ * @returns {string} - Lowercased name and category
+ */
+const get_duplicate_key = (timer) => `${timer.name.trim().toLowerCase()}\n${(timer.category || '').trim().toLowerCase()}`;
+
+/**
+ * Splits imported timers into new ones and ones that already exist
+ * A timer is a duplicate when an existing timer, or an earlier timer in the same
+ * import, has the same name and category
+ * @param {Array<Object>} imported_timers - Timers read from the import
+ * @param {Array<Object>} existing_timers - Timers already saved
+ * @returns {{new_timers: Array<Object>, duplicate_timers: Array<Object>}} - Imported timers by whether they are new
+ */
+export const find_duplicate_timers = (imported_timers, existing_timers) => {
+  const seen_keys = new Set(existing_timers.map(get_duplicate_key));
+  const new_timers = [];
+  const duplicate_timers = [];
+
+  imported_timers.forEach(timer => {
+    const key = get_duplicate_key(timer);
+    if (seen_keys.has(key)) {
+      duplicate_timers.push(timer);
+    } else {
+      seen_keys.add(key);
+      new_timers.push(timer);
+    }
+  });
+
+  return { new_timers, duplicate_timers };
+};
+
+/**
+ * Turns imported definitions into timers that can be saved
+ * @param {Array<Object>} timers - Validated imported timers
+ * @returns {Array<Object>} - Timers with fresh IDs, ready for save_timers
+ */
+export const prepare_imported_timers = (timers) => {
+  const base_id = Date.now();
+  const created_at = new Date().toISOString();
+  return timers.map((timer, index) => ({
+    ...timer,
+    id: base_id + index,
+    is_default: false,
+    created_at,
+  }));
+};
+
+/**
+ * Writes timers to a JSON file and opens the share sheet for it
+ * @param {Array<Object>} timers - Timer definitions to export
+ * @returns {Promise<boolean>} - True if the share sheet was opened
+ */
+export const share_timer_export = async (timers) => {
+  const export_json = JSON.stringify(build_timer_export(timers), null, 2);
+  const success = await share_json_file(`timers_${get_file_date()}.json`, export_json, 'Export timers');
+  if (success) {
+    console.log(`📤 Exported ${timers.length} timers`);
+  }
+  return success;
+};
+
+/**
+ * Lets the user pick an export file and reads it
+ * @returns {Promise<string|null>} - File contents, null if no file was picked
+ */
+export const pick_timer_import_file = pick_json_file;
@@ -0,0 +1,285 @@
+/**
+ * Timer types and their phases
+ * Every timer runs as an ordered list of phases; a plain countdown is a single phase
+ */
+
+// Supported timer types
+export const TIMER_TYPES = {
+  COUNTDOWN: 'countdown',
+  POMODORO: 'pomodoro',
+  ROUTINE: 'routine',
+  STOPWATCH: 'stopwatch',
+};
+
+// Repeat count meaning a timer restarts until stopped
+export const REPEAT_FOREVER = 0;
+
+// Maximum rounds in a Pomodoro cycle
+export const MAX_POMODORO_ROUNDS = 12;
+
+// Maximum repeats of a routine block
+export const MAX_SEGMENT_REPEAT = 99;
+
+// Maximum rounds of a repeating timer, unless it repeats forever
+export const MAX_REPEAT_COUNT = 99;
+
+// Category that Pomodoro breaks are recorded under in history
+export const POMODORO_BREAK_CATEGORY = 'Break';
+
+// Default Pomodoro settings (durations in seconds)
+export const DEFAULT_POMODORO_SETTINGS = {
+  focus_duration: 25 * 60,
+  short_break_duration: 5 * 60,
+  long_break_duration: 15 * 60,
+  rounds_before_long_break: 4,
+};
+
+/**
+ * A single phase of a running timer
+ * @typedef {Object} TimerPhase
+ * @property {string} name - Display name of the phase (e.g. "Focus")
+ * @property {string} kind - Phase kind: 'countdown', 'focus', 'short_break', 'long_break' or 'segment'
+ * @property {number} duration - Phase duration in seconds
+ * @property {string} category - Category the phase is recorded under in history
+ * @property {number|null} round - Round number the phase belongs to, if any
+ * @property {number|null} total_rounds - Number of rounds in the cycle, if any
+ */
+
+/**
+ * A segment of a routine
+ * @typedef {Object} RoutineSegment
+ * @property {string} id - Unique identifier of the segment
+ * @property {string} name - Display name (e.g. "Plank")
+ * @property {number} duration - Segment duration in seconds
+ * @property {number} repeat - Times the block starting at this segment is repeated
+ * @property {boolean} linked - Whether the segment belongs to the previous segment's block
+ */
+
+/**
+ * Gets the type of a timer, treating timers saved before types existed as countdowns
+ * @param {Object} timer - Timer definition
+ * @returns {string} - One of TIMER_TYPES
+ */
+export const get_timer_type = (timer) => timer.type || TIMER_TYPES.COUNTDOWN;
+
+/**
+ * Builds the phases of a Pomodoro cycle: focus rounds separated by short breaks,
+ * ending with a long break
+ * @param {Object} timer - Pomodoro timer definition
+ * @returns {Array<TimerPhase>} - Ordered phases
+ */
+const get_pomodoro_phases = (timer) => {
+  const settings = { ...DEFAULT_POMODORO_SETTINGS, ...timer.pomodoro };
+  const total_rounds = Math.min(MAX_POMODORO_ROUNDS, Math.max(1, settings.rounds_before_long_break));
+  const phases = [];
+
+  for (let round = 1; round <= total_rounds; round++) {
+    phases.push({
+      name: 'Focus',
+      kind: 'focus',
+      duration: settings.focus_duration,
+      category: timer.category || 'Uncategorized',
+      round,
+      total_rounds,
+    });
+
+    const is_last_round = round === total_rounds;
+    phases.push({
+      name: is_last_round ? 'Long Break' : 'Short Break',
+      kind: is_last_round ? 'long_break' : 'short_break',
+      duration: is_last_round ? settings.long_break_duration : settings.short_break_duration,
+      category: POMODORO_BREAK_CATEGORY,
+      round,
+      total_rounds,
+    });
+  }
+
+  return phases;
+};
+
+/**
+ * Groups routine segments into blocks; a linked segment joins the block of the
+ * segment before it, so "Plank, Rest" can be repeated together
+ * @param {Array<RoutineSegment>} segments - Routine segments in order
+ * @returns {Array<Array<RoutineSegment>>} - Segment blocks in order
+ */
+export const get_segment_blocks = (segments = []) => {
+  return segments.reduce((blocks, segment) => {
+    if (segment.linked && blocks.length > 0) {
+      blocks[blocks.length - 1].push(segment);
+    } else {
+      blocks.push([segment]);
+    }
+    return blocks;
+  }, []);
+};
+
+/**
+ * Builds the phases of a routine by expanding each block's repeats
+ * @param {Object} timer - Routine timer definition
+ * @returns {Array<TimerPhase>} - Ordered phases
+ */
+const get_routine_phases = (timer) => {
+  const phases = [];
+
+  get_segment_blocks(timer.segments).forEach(block => {
+    const total_rounds = Math.min(MAX_SEGMENT_REPEAT, Math.max(1, block[0].repeat || 1));
+
+    for (let round = 1; round <= total_rounds; round++) {
+      block.forEach(segment => {
+        phases.push({
+          name: segment.name,
+          kind: 'segment',
+          duration: segment.duration,
+          category: timer.category || 'Uncategorized',
+          round: total_rounds > 1 ? round : null,
+          total_rounds: total_rounds > 1 ? total_rounds : null,
+        });
+      });
+    }
+  });
+
+  return phases;
+};
+
+/**
+ * Checks whether a timer counts up with no end instead of down to zero
+ * @param {Object} timer - Timer definition
+ * @returns {boolean} - True for stopwatches
+ */
+export const is_count_up_timer = (timer) => get_timer_type(timer) === TIMER_TYPES.STOPWATCH;
+
+/**
+ * Gets how many times a timer runs back to back
+ * @param {Object} timer - Timer definition with an optional repeat_count
+ * @returns {number} - Number of rounds, or REPEAT_FOREVER
+ */
+export const get_repeat_count = (timer) => {
+  if (is_count_up_timer(timer) || typeof timer.repeat_count !== 'number') {
+    return 1;
+  }
+  return timer.repeat_count === REPEAT_FOREVER ? REPEAT_FOREVER : Math.max(1, timer.repeat_count);
+};
+
+/**
+ * Checks whether a timer keeps counting into overtime once it reaches zero
+ * Repeating timers start their next round instead, so they never run over
+ * @param {Object} timer - Timer definition with an optional overtime flag
+ * @returns {boolean} - True if the timer runs into overtime
+ */
+export const has_overtime = (timer) => {
+  return !!timer.overtime && !is_count_up_timer(timer) && get_repeat_count(timer) === 1;
+};
+
+/**
+ * Gets a label for the repeat round a timer is in, e.g. "Round 3/10" or "Round 3"
+ * @param {number} round - Current round, starting at 1
+ * @param {number} repeat_count - Number of rounds, or REPEAT_FOREVER
+ * @returns {string} - Round label
+ */
+export const format_repeat_round = (round, repeat_count) => {
+  return repeat_count === REPEAT_FOREVER ? `Round ${round}` : `Round ${round}/${repeat_count}`;
+};
+
+/**
+ * Gets the ordered phases a timer runs through
+ * @param {Object} timer - Timer definition
+ * @returns {Array<TimerPhase>} - Ordered phases
+ */
+export const get_timer_phases = (timer) => {
+  const timer_type = get_timer_type(timer);
+
+  if (timer_type === TIMER_TYPES.POMODORO) {
+    return get_pomodoro_phases(timer);
+  }
+
+  if (timer_type === TIMER_TYPES.ROUTINE && timer.segments && timer.segments.length > 0) {
+    return get_routine_phases(timer);
+  }
+
+  return [{
+    name: timer.name,
+    kind: 'countdown',
+    duration: timer.duration,
+    category: timer.category || 'Uncategorized',
+    round: null,
+    total_rounds: null,
+  }];
+};
+
+/**
+ * Gets the total duration of a timer across all its phases
+ * @param {Object} timer - Timer definition
+ * @returns {number} - Total duration in seconds
+ */
+export const get_total_duration = (timer) => {
+  return get_timer_phases(timer).reduce((total, phase) => total + phase.duration, 0);
+};
+
+/**
+ * Finds the phase a timer is in after a given amount of elapsed time
+ * @param {Array<TimerPhase>} phases - Ordered phases of the timer
+ * @param {number} elapsed_ms - Elapsed milliseconds since the timer started
+ * @returns {{index: number, phase: TimerPhase, phase_elapsed_ms: number}} - Current phase position
+ */
+export const get_phase_at = (phases, elapsed_ms) => {
+  let phase_start_ms = 0;
+
+  for (let index = 0; index < phases.length; index++) {
+    const phase_end_ms = phase_start_ms + phases[index].duration * 1000;
+    if (elapsed_ms < phase_end_ms || index === phases.length - 1) {
+      return {
+        index,
+        phase: phases[index],
+        phase_elapsed_ms: Math.min(elapsed_ms, phase_end_ms) - phase_start_ms,
+      };
+    }
+    phase_start_ms = phase_end_ms;
+  }
+
+  return { index: 0, phase: phases[0], phase_elapsed_ms: 0 };
+};
+
+/**
+ * Gets a short label for a phase, e.g. "Focus · Round 2/4"
+ * @param {TimerPhase} phase - Phase to describe
+ * @returns {string} - Phase label
+ */
+export const format_phase_label = (phase) => {
+  if (phase.round && phase.total_rounds) {
+    return `${phase.name} · Round ${phase.round}/${phase.total_rounds}`;
+  }
+  return phase.name;
+};
+
+/**
+ * Formats a compact duration such as "5m", "45s" or "1m 30s"
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - Formatted duration
+ */
+const format_short_duration = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const remaining_seconds = seconds % 60;
+  if (minutes > 0 && remaining_seconds > 0) return `${minutes}m ${remaining_seconds}s`;
+  if (minutes > 0) return `${minutes}m`;
+  return `${remaining_seconds}s`;
+};
+
+/**
+ * Describes a routine's segments, e.g. "Warm-up 5m · (Plank 45s, Rest 15s) ×8 · Cool-down 3m"
+ * @param {Array<RoutineSegment>} segments - Routine segments in order
+ * @returns {string} - Segment summary
+ */
+export const format_segments_summary = (segments = []) => {
+  return get_segment_blocks(segments)
+    .map(block => {
+      const description = block
+        .map(segment => `${segment.name} ${format_short_duration(segment.duration)}`)
+        .join(', ');
+      const repeat = block[0].repeat || 1;
+
+      if (repeat <= 1) return description;
+      return block.length > 1 ? `(${description}) ×${repeat}` : `${description} ×${repeat}`;
+    })
+    .join(' · ');
+};
@@ -0,0 +1,219 @@
+import { get_stored_item, set_stored_items } from './storage_backend';
+import { enqueue_write } from './write_queue';
+import { STORAGE_KEYS } from './storage_keys';
+import { read_history } from './history';
+
+/**
+ * Trash for deleted timers and history
+ * Deleting moves data here instead of erasing it, so it can be undone right away or
+ * restored later from the trash. Items are purged for good after TRASH_RETENTION_DAYS
+ */
+
+// Days a deleted item stays in the trash
+export const TRASH_RETENTION_DAYS = 30;
+
+// Kinds of deleted data
+export const TRASH_ITEM_TYPES = {
+  TIMER: 'timer',
+  HISTORY: 'history',
+};
+
+/**
+ * A deleted timer or batch of history entries
+ * @typedef {Object} TrashItem
+ * @property {string} id - Unique identifier
+ * @property {string} type - One of TRASH_ITEM_TYPES
+ * @property {string} deleted_at - ISO string of when it was deleted
+ * @property {Object} [timer] - Deleted timer definition, for timer items
+ * @property {number} [timer_index] - Position the timer had in the timers list, for timer items
+ * @property {Array<Object>} [entries] - Deleted history entries, for history items
+ */
+
+/**
+ * Generates a unique trash item ID
+ * @returns {string} - New ID
+ */
+const generate_trash_id = () => `trash_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Reads the trash from storage
+ * @returns {Promise<Array<TrashItem>>} - Trash items, newest first
+ */
+const read_trash = async () => {
+  const trash_json = await get_stored_item(STORAGE_KEYS.TRASH);
+  const trash = trash_json === null ? [] : JSON.parse(trash_json);
+  return Array.isArray(trash) ? trash : [];
+};
+
+/**
+ * Checks whether a trash item is past the retention period
+ * @param {TrashItem} item - Trash item
+ * @param {number} now - Current epoch ms
+ * @returns {boolean} - True if it should be purged
+ */
+const is_expired = (item, now) => now - new Date(item.deleted_at).getTime() > TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+/**
+ * Loads the trash
+ * @returns {Promise<Array<TrashItem>>} - Trash items, newest first
+ */
+export const load_trash = async () => {
+  try {
+    const now = Date.now();
+    return (await read_trash()).filter(item => !is_expired(item, now));
+  } catch (error) {
+    console.error('🗑️ Error loading trash:', error);
+    return [];
+  }
+};
+
+/**
+ * Moves a deleted timer to the trash
+ * The timer itself is removed from the timers list by its caller
+ * @param {Object} timer - Deleted timer definition
+ * @param {number} timer_index - Position the timer had in the timers list
+ * @returns {Promise<string|null>} - ID of the trash item, null if it couldn't be saved
+ */
+export const trash_timer = async (timer, timer_index) => {
+  try {
+    const item = {
+      id: generate_trash_id(),
+      type: TRASH_ITEM_TYPES.TIMER,
+      deleted_at: new Date().toISOString(),
+      timer,
+      timer_index,
+    };
+
+    await enqueue_write(async () => {
+      const trash = await read_trash();
+      await set_stored_items([[STORAGE_KEYS.TRASH, JSON.stringify([item, ...trash])]]);
+    });
+
+    console.log(`🗑️ Moved timer "${timer.name}" to the trash`);
+    return item.id;
+  } catch (error) {
+    console.error('🗑️ Error moving timer to the trash:', error);
+    return null;
+  }
+};
+
+/**
+ * Moves history entries to the trash
+ * The entries leave the history and enter the trash in one write
+ * @param {Array<string>|null} entry_ids - IDs of the entries to delete, null for all of them
+ * @returns {Promise<{trash_item_id: string, entry_count: number}|null>} - Trash item and how many entries it holds, null if nothing was deleted
+ */
+export const trash_history_entries = async (entry_ids) => {
+  try {
+    return await enqueue_write(async () => {
+      const history = await read_history();
+      const is_deleted = (entry) => entry_ids === null || entry_ids.includes(entry.id);
+      const deleted_entries = history.filter(is_deleted);
+      if (deleted_entries.length === 0) {
+        return null;
+      }
+
+      const item = {
+        id: generate_trash_id(),
+        type: TRASH_ITEM_TYPES.HISTORY,
+        deleted_at: new Date().toISOString(),
+        entries: deleted_entries,
+      };
+      const trash = await read_trash();
+      await set_stored_items([
+        [STORAGE_KEYS.HISTORY, JSON.stringify(history.filter(entry => !is_deleted(entry)))],
+        [STORAGE_KEYS.TRASH, JSON.stringify([item, ...trash])],
+      ]);
+
+      console.log(`🗑️ Moved ${deleted_entries.length} history entries to the trash`);
+      return { trash_item_id: item.id, entry_count: deleted_entries.length };
+    });
+  } catch (error) {
+    console.error('🗑️ Error moving history to the trash:', error);
+    return null;
+  }
+};
+
+/**
+ * Takes an item back out of the trash
+ * History entries go straight back into the history; a timer is returned for its
+ * caller to add back to the timers list
+ * @param {string} trash_item_id - ID of the trash item
+ * @returns {Promise<TrashItem|null>} - Restored item, null if it is no longer in the trash
+ */
+export const restore_from_trash = async (trash_item_id) => {
+  try {
+    return await enqueue_write(async () => {
+      const trash = await read_trash();
+      const item = trash.find(trash_item => trash_item.id === trash_item_id);
+      if (!item) {
+        return null;
+      }
+
+      const writes = [[STORAGE_KEYS.TRASH, JSON.stringify(trash.filter(trash_item => trash_item.id !== trash_item_id))]];
+      if (item.type === TRASH_ITEM_TYPES.HISTORY) {
+        // Entries recorded since keep their place; history stays newest first
+        const history = await read_history();
+        const history_ids = new Set(history.map(entry => entry.id));
+        const restored_history = [...history, ...item.entries.filter(entry => !history_ids.has(entry.id))]
+          .sort((a, b) => new Date(b.completion_time) - new Date(a.completion_time));
+        writes.push([STORAGE_KEYS.HISTORY, JSON.stringify(restored_history)]);
+      }
+      await set_stored_items(writes);
+
+      console.log(`♻️ Restored ${item.type} from the trash`);
+      return item;
+    });
+  } catch (error) {
+    console.error('🗑️ Error restoring from the trash:', error);
+    return null;
+  }
+};
+
+/**
+ * Removes trash items for good
+ * @param {function(TrashItem): boolean} should_purge - Whether an item is purged
+ * @returns {Promise<number>} - Number of items purged
+ */
+const purge_trash = async (should_purge) => {
+  try {
+    return await enqueue_write(async () => {
+      const trash = await read_trash();
+      const kept_items = trash.filter(item => !should_purge(item));
+      if (kept_items.length !== trash.length) {
+        await set_stored_items([[STORAGE_KEYS.TRASH, JSON.stringify(kept_items)]]);
+      }
+      return trash.length - kept_items.length;
+    });
+  } catch (error) {
+    console.error('🗑️ Error purging the trash:', error);
+    return 0;
+  }
+};
+
+/**
+ * Deletes one trash item for good
+ * @param {string} trash_item_id - ID of the trash item
+ * @returns {Promise<boolean>} - True if the item was purged
+ */
+export const purge_trash_item = async (trash_item_id) => (await purge_trash(item => item.id === trash_item_id)) > 0;
+
+/**
+ * Deletes everything in the trash for good
+ * @returns {Promise<number>} - Number of items purged
+ */
+export const empty_trash = () => purge_trash(() => true);
+
+/**
+ * Deletes trash items older than the retention period for good
+ * Run at startup
+ * @returns {Promise<number>} - Number of items purged
+ */
+export const purge_expired_trash = async () => {
+  const now = Date.now();
+  const purged_count = await purge_trash(item => is_expired(item, now));
+  if (purged_count > 0) {
+    console.log(`🗑️ Purged ${purged_count} expired trash items`);
+  }
+  return purged_count;
+};
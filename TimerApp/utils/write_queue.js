@@ -0,0 +1,135 @@
+import { get_stored_item, set_stored_item, remove_stored_items } from './storage_backend';
+
+/**
+ * Write queue
+ * Every write to stored data runs one at a time, in the order it was queued, so a
+ * read-modify-write can't be overwritten by another one running at the same moment.
+ * Each write replaces a key's whole value in one step, so a reader sees either the old
+ * value or the new one. Repeated writes of the same key that are still waiting are
+ * coalesced into one write of the newest value
+ */
+
+// Promise that settles when the last queued write has run
+let queue_tail = Promise.resolve();
+
+/**
+ * Writes waiting to be queued or to run, by storage key
+ * @type {Map<string, {value: string, timeout_id: number|null, is_queued: boolean, promise: Promise<boolean>, resolve: function(boolean)}>}
+ */
+const pending_writes = new Map();
+
+/**
+ * Runs a task after every write queued before it
+ * A task must only read and write through storage_backend - queueing another write from
+ * inside a task would wait on itself
+ * @param {function(): Promise<*>} task - Task that reads and writes stored data
+ * @returns {Promise<*>} - Result of the task
+ */
+export const enqueue_write = (task) => {
+  const result = queue_tail.then(task);
+  queue_tail = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Queues a pending write to run
+ * Until it starts, newer values for the same key still replace the one it writes
+ * @param {string} key - Storage key of the pending write
+ * @param {Object} pending_write - Pending write for the key
+ */
+const queue_pending_write = (key, pending_write) => {
+  clearTimeout(pending_write.timeout_id);
+  pending_write.timeout_id = null;
+  pending_write.is_queued = true;
+
+  enqueue_write(async () => {
+    pending_writes.delete(key);
+    await set_stored_item(key, pending_write.value);
+  }).then(
+    () => pending_write.resolve(true),
+    (error) => {
+      console.error(`💥 Error writing ${key} to storage:`, error);
+      pending_write.resolve(false);
+    }
+  );
+};
+
+/**
+ * Writes a value, coalesced with other writes of the same key
+ * With a delay, the write waits until the key has gone that long without a new value
+ * @param {string} key - Storage key, one of STORAGE_KEYS
+ * @param {string} value - Value to store
+ * @param {number} delay_ms - How long to wait for newer values before queueing the write
+ * @returns {Promise<boolean>} - Resolves once the value, or a newer one, is saved; true if successful
+ */
+export const queue_write = (key, value, delay_ms = 0) => {
+  const pending_write = pending_writes.get(key);
+  if (pending_write) {
+    pending_write.value = value;
+    if (!pending_write.is_queued) {
+      clearTimeout(pending_write.timeout_id);
+      pending_write.timeout_id = setTimeout(() => queue_pending_write(key, pending_write), delay_ms);
+    }
+    return pending_write.promise;
+  }
+
+  const new_write = { value, timeout_id: null, is_queued: false };
+  new_write.promise = new Promise(resolve => { new_write.resolve = resolve; });
+  pending_writes.set(key, new_write);
+
+  if (delay_ms > 0) {
+    new_write.timeout_id = setTimeout(() => queue_pending_write(key, new_write), delay_ms);
+  } else {
+    queue_pending_write(key, new_write);
+  }
+  return new_write.promise;
+};
+
+/**
+ * Removes keys once every write queued before has run
+ * Writes of the keys that haven't started yet are dropped
+ * @param {Array<string>} keys - Storage keys to remove
+ * @returns {Promise<boolean>} - True if successful
+ */
+export const queue_remove = async (keys) => {
+  keys.forEach(key => {
+    const pending_write = pending_writes.get(key);
+    if (pending_write && !pending_write.is_queued) {
+      clearTimeout(pending_write.timeout_id);
+      pending_writes.delete(key);
+      pending_write.resolve(true);
+    }
+  });
+
+  try {
+    await enqueue_write(() => remove_stored_items(keys));
+    return true;
+  } catch (error) {
+    console.error(`💥 Error removing ${keys.join(', ')} from storage:`, error);
+    return false;
+  }
+};
+
+/**
+ * Queues every delayed write now and waits until all queued writes have run
+ * Used before the app goes to the background and before stored data is replaced
+ * @returns {Promise<void>}
+ */
+export const flush_pending_writes = async () => {
+  pending_writes.forEach((pending_write, key) => {
+    if (!pending_write.is_queued) {
+      queue_pending_write(key, pending_write);
+    }
+  });
+  await enqueue_write(async () => {});
+};
+
+/**
+ * Reads a stored value, including a write of it that hasn't run yet
+ * @param {string} key - Storage key, one of STORAGE_KEYS
+ * @returns {Promise<string|null>} - Newest value, null if nothing is stored
+ */
+export const read_latest = async (key) => {
+  const pending_write = pending_writes.get(key);
+  return pending_write ? pending_write.value : await get_stored_item(key);
+};